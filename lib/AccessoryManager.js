@@ -1,32 +1,126 @@
+const {
+  channelsToColorState,
+  colorStateToChannels,
+  formatColorString,
+  parseColorString,
+
+  COLOR_TEMPERATURE_MIN
+} = require('./color')
+const { findProfile } = require('./profiles')
+const { makeValueTransform } = require('./transform')
 const {
   COMMAND_CLASS_ALARM,
   COMMAND_CLASS_BATTERY,
+  COMMAND_CLASS_CENTRAL_SCENE,
   COMMAND_CLASS_CONFIGURATION,
+  COMMAND_CLASS_DOOR_LOCK,
   COMMAND_CLASS_MANUFACTURER_SPECIFIC,
   COMMAND_CLASS_METER,
+  COMMAND_CLASS_SENSOR_BINARY,
   COMMAND_CLASS_SENSOR_MULTILEVEL,
   COMMAND_CLASS_SWITCH_BINARY,
+  COMMAND_CLASS_SWITCH_COLOR,
+  COMMAND_CLASS_SWITCH_MULTILEVEL,
 
+  ALARM_INDEX_ACCESS_CONTROL,
+  ALARM_INDEX_CO,
   ALARM_INDEX_HOME_SECURITY,
+  ALARM_INDEX_SMOKE,
+  ALARM_INDEX_WATER,
   BATTERY_INDEX_LEVEL,
 
-  CONFIGURATION_INDEX_CURRENT_POWER_MODE,
-  CONFIGURATION_INDEX_LOW_BATTERY,
+  CENTRAL_SCENE_INDEX_SCENE_COUNT,
+
+  DOOR_LOCK_INDEX_LOCKED,
 
   MANUFACTURER_SPECIFIC_INDEX_SERIAL_NUMBER,
 
+  METER_INDEX_ELECTRIC_ACCUMULATED_ENERGY,
+  METER_INDEX_ELECTRIC_CURRENT,
   METER_INDEX_ELECTRIC_INSTANT_POWER,
+  METER_INDEX_ELECTRIC_VOLTAGE,
+  METER_INDEX_RESET,
+
+  SENSOR_BINARY_INDEX_SENSOR,
 
   SENSOR_MULTILEVEL_INDEX_HUMIDITY,
   SENSOR_MULTILEVEL_INDEX_LUMINANCE,
   SENSOR_MULTILEVEL_INDEX_TEMPERATURE,
 
-  SWITCH_BINARY_INDEX_SWITCH
+  COMMAND_CLASS_THERMOSTAT_MODE,
+  COMMAND_CLASS_THERMOSTAT_OPERATING_STATE,
+  COMMAND_CLASS_THERMOSTAT_SETPOINT,
+
+  SWITCH_BINARY_INDEX_SWITCH,
+  SWITCH_COLOR_INDEX_CHANNELS,
+  SWITCH_COLOR_INDEX_COLOR,
+  SWITCH_MULTILEVEL_INDEX_LEVEL,
+
+  THERMOSTAT_MODE_INDEX_MODE,
+  THERMOSTAT_OPERATING_STATE_INDEX_OPERATING_STATE,
+  THERMOSTAT_SETPOINT_INDEX_AUTO_CHANGEOVER,
+  THERMOSTAT_SETPOINT_INDEX_AWAY_HEATING,
+  THERMOSTAT_SETPOINT_INDEX_COOLING,
+  THERMOSTAT_SETPOINT_INDEX_COOLING_ECON,
+  THERMOSTAT_SETPOINT_INDEX_DRY_AIR,
+  THERMOSTAT_SETPOINT_INDEX_FURNACE,
+  THERMOSTAT_SETPOINT_INDEX_HEATING,
+  THERMOSTAT_SETPOINT_INDEX_HEATING_ECON,
+  THERMOSTAT_SETPOINT_INDEX_MOIST_AIR,
+
+  SWITCH_COLOR_CHANNEL_COLD_WHITE,
+  SWITCH_COLOR_CHANNEL_WARM_WHITE,
+
+  NODE_HEALTH_ALIVE,
+  NODE_HEALTH_ASLEEP,
+  NODE_HEALTH_DEAD,
+  NODE_HEALTH_UNRESPONSIVE
 } = require('./ZWave')
 
 const READY_STATE_UNREADY = 0
 const READY_STATE_READY = 1
 
+// The battery level below which a battery is considered low, unless the profile for the node says otherwise
+const LOW_BATTERY_LEVEL = 20
+
+// ZWave multilevel switches use a level of 0 - 99 whereas HomeKit uses a brightness of 0 - 100
+const SWITCH_MULTILEVEL_MAX_LEVEL = 99
+
+// How long to wait for further position reports from a window covering before it is considered stopped
+const WINDOW_COVERING_SETTLE_TIMEOUT = 5000
+
+// The range of target temperatures (in celsius) for a thermostat that does not report the range of its
+// setpoint. HomeKit only allows 10 - 38 by default, which excludes the frost protection setpoints of
+// radiator valves (i.e 4).
+const THERMOSTAT_TARGET_TEMPERATURE_MIN = 4
+const THERMOSTAT_TARGET_TEMPERATURE_MAX = 38
+
+// The thermostat setpoint that applies to each thermostat mode
+const THERMOSTAT_MODE_SETPOINT_INDEXES = {
+  Heat: THERMOSTAT_SETPOINT_INDEX_HEATING,
+  Cool: THERMOSTAT_SETPOINT_INDEX_COOLING,
+  Furnace: THERMOSTAT_SETPOINT_INDEX_FURNACE,
+  'Dry Air': THERMOSTAT_SETPOINT_INDEX_DRY_AIR,
+  'Moist Air': THERMOSTAT_SETPOINT_INDEX_MOIST_AIR,
+  Auto: THERMOSTAT_SETPOINT_INDEX_AUTO_CHANGEOVER,
+  'Auto Changeover': THERMOSTAT_SETPOINT_INDEX_AUTO_CHANGEOVER,
+  'Heat Econ': THERMOSTAT_SETPOINT_INDEX_HEATING_ECON,
+  'Cool Econ': THERMOSTAT_SETPOINT_INDEX_COOLING_ECON,
+  Away: THERMOSTAT_SETPOINT_INDEX_AWAY_HEATING
+}
+
+/**
+ * Whether a notification label (i.e "Water Leak detected") includes a label. The case of the labels
+ * reported by OpenZWave varies between device config files, so labels are compared case-insensitively.
+ *
+ * @param   {*} value
+ * @param   {string} label
+ * @returns {boolean}
+ */
+function includesLabel (value, label) {
+  return String(value).toLowerCase().includes(label.toLowerCase())
+}
+
 class AccessoryManager {
   /**
    * AccessoryManager constructor
@@ -35,21 +129,36 @@ class AccessoryManager {
    * @param {Object} hapCharacteristic
    * @param {Function} log
    * @param {Object} zwave
+   * @param {Function} hapAdaptiveLightingController
+   * @param {Object[]} profiles
+   * @param {Object} eveCharacteristics
    */
   constructor (
     hapService,
     hapCharacteristic,
     log,
-    zwave
+    zwave,
+    hapAdaptiveLightingController,
+    profiles = [],
+    eveCharacteristics = {}
   ) {
     this._hapService = hapService
     this._hapCharacteristic = hapCharacteristic
     this._log = log
     this._zwave = zwave
+    this._hapAdaptiveLightingController = hapAdaptiveLightingController
+    this._profiles = profiles
+    this._eveCharacteristics = eveCharacteristics
 
     this._accessory = null
     this._accessoryConfig = null
     this._accessoryReadyState = READY_STATE_UNREADY
+    this._profile = null
+    this._zwaveHandlers = []
+    this._zwaveNodeValueCharacteristics = new Map()
+    this._characteristicZwaveHandlers = new Map()
+    this._overriddenCharacteristics = new Set()
+    this._staleZwaveNodeValueIds = new Set()
   }
 
   /**
@@ -62,54 +171,471 @@ class AccessoryManager {
     this._accessoryConfig = accessoryConfig
     this._accessory = accessory
 
+    const zwaveNodeId = accessoryConfig.zwaveNodeId
+
+    // Use the last known data of the ZWave node to find the profile for the node until the node is ready
+    const cachedZwaveNode = this._zwave.getCachedNodeData(zwaveNodeId)
+
+    if (cachedZwaveNode !== undefined) {
+      this._profile = findProfile(this._profiles, cachedZwaveNode) || null
+    }
+
+    // Find the profile for the ZWave node. This handler is added before the services are configured
+    // so that the profile is available to the services once the node is ready.
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, zwaveNode => {
+      this._profile = findProfile(this._profiles, zwaveNode) || null
+
+      if (this._profile !== null) {
+        this._log(`${accessory.displayName} is using the "${this._profile.name}" profile`)
+      }
+    }))
+
     accessoryConfig.homekitServices
-      .concat('AccessoryInformation')
-      .forEach(service => {
-        switch (service) {
+      .map(serviceConfig => this._normalizeServiceConfig(serviceConfig))
+      .concat({ type: 'AccessoryInformation' })
+      .forEach(serviceConfig => {
+        switch (serviceConfig.type) {
           case 'AccessoryInformation':
             this._configureAccessoryInformationService()
             break
           case 'Battery':
             this._configureBatteryService()
             break
+          case 'CarbonMonoxideSensor':
+            this._configureNotificationSensorService(
+              serviceConfig,
+              this._hapService.CarbonMonoxideSensor,
+              this._hapCharacteristic.CarbonMonoxideDetected,
+              'Carbon Monoxide Detected',
+              ALARM_INDEX_CO,
+              'Carbon Monoxide Detected'
+            )
+            break
+          case 'ColorLightbulb':
+            this._configureLightbulbService(serviceConfig)
+            this._configureLightbulbColorCharacteristics(serviceConfig)
+            break
+          case 'ContactSensor':
+            this._configureContactSensorService(serviceConfig)
+            break
           case 'HumiditySensor':
-            this._configureHumiditySensorService()
+            this._configureHumiditySensorService(serviceConfig)
+            break
+          case 'LeakSensor':
+            this._configureNotificationSensorService(
+              serviceConfig,
+              this._hapService.LeakSensor,
+              this._hapCharacteristic.LeakDetected,
+              'Leak Detected',
+              ALARM_INDEX_WATER,
+              'Water Leak Detected'
+            )
+            break
+          case 'Lightbulb':
+            this._configureLightbulbService(serviceConfig)
             break
           case 'LightSensor':
-            this._configureLightSensorService()
+            this._configureLightSensorService(serviceConfig)
+            break
+          case 'LockMechanism':
+            this._configureLockMechanismService(serviceConfig)
             break
           case 'MotionSensor':
-            this._configureMotionSensorService()
+            this._configureMotionSensorService(serviceConfig)
             break
           case 'Outlet':
-            this._configureOutletService()
+            this._configureOutletService(serviceConfig)
+            break
+          case 'SmokeSensor':
+            this._configureNotificationSensorService(
+              serviceConfig,
+              this._hapService.SmokeSensor,
+              this._hapCharacteristic.SmokeDetected,
+              'Smoke Detected',
+              ALARM_INDEX_SMOKE,
+              'Smoke Detected'
+            )
+            break
+          case 'StatelessProgrammableSwitch':
+            this._configureStatelessProgrammableSwitchServices()
             break
           case 'Switch':
-            this._configureSwitchService()
+            this._configureSwitchService(serviceConfig)
             break
           case 'TemperatureSensor':
-            this._configureTemperatureSensorService()
+            this._configureTemperatureSensorService(serviceConfig)
+            break
+          case 'Thermostat':
+            this._configureThermostatService(serviceConfig)
+            break
+          case 'WindowCovering':
+            this._configureWindowCoveringService(serviceConfig)
             break
         }
       })
 
-    // Update the accessory information service with the latest ZWave node information
-    const zwaveNodeId = accessoryConfig.zwaveNodeId
+    // Configure any characteristic mappings defined in the config. These are configured after the services
+    // so that they can override the characteristics configured by the services.
+    const characteristicMappings = accessoryConfig.characteristicMappings || []
+
+    characteristicMappings.forEach(characteristicMapping => {
+      this._configureCharacteristicMapping(characteristicMapping)
+    })
+
+    // Configure the ZWave configuration parameters defined in the config
+    if (accessoryConfig.zwaveParameters) {
+      this._configureZwaveParameters(accessoryConfig.zwaveParameters)
+    }
+
+    // Configure any characteristic mappings defined by the profile for the ZWave node, unless the
+    // characteristic has been mapped in the config. The node is ready again each time the ZWave
+    // driver reconnects, but the mappings only need to be configured once.
+    let profileCharacteristicMappingsConfigured = false
 
-    this._zwave.onNodeReady(zwaveNodeId, zwaveNode => {
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      if (profileCharacteristicMappingsConfigured) {
+        return
+      }
+
+      profileCharacteristicMappingsConfigured = true
+
+      const profileCharacteristicMappings = (this._profile && this._profile.characteristicMappings) || []
+      const isMappedInConfig = ({ service, subtype, characteristic }) => characteristicMappings.some(mapping => {
+        return mapping.service === service && mapping.subtype === subtype && mapping.characteristic === characteristic
+      })
+
+      profileCharacteristicMappings
+        .filter(characteristicMapping => !isMappedInConfig(characteristicMapping))
+        .forEach(characteristicMapping => {
+          this._configureCharacteristicMapping(characteristicMapping)
+        })
+    }))
+
+    // The accessory is unavailable until the ZWave node is ready again if the node is removed from the network
+    this._trackZwaveHandler(this._zwave.onNodeRemoved(zwaveNodeId, () => {
+      this._accessoryReadyState = READY_STATE_UNREADY
+
+      this._log(`${accessory.displayName} is unavailable as ZWave node ${zwaveNodeId} has been removed from the network`)
+    }))
+
+    // Log when the health of the ZWave node changes (i.e the node being dead)
+    this._trackZwaveHandler(this._zwave.onNodeHealthChanged(zwaveNodeId, health => {
+      this._log(`${accessory.displayName} ZWave node ${zwaveNodeId} is ${health}`)
+    }))
+
+    // The accessory is unavailable until the ZWave node is ready again if the ZWave driver fails
+    this._trackZwaveHandler(this._zwave.onDriverFailed(() => {
+      if (this._accessoryReadyState === READY_STATE_UNREADY) {
+        return
+      }
+
+      this._accessoryReadyState = READY_STATE_UNREADY
+
+      this._log(`${accessory.displayName} is unavailable as the ZWave driver has failed`)
+    }))
+
+    // Update the accessory information service with the latest ZWave node information
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, zwaveNode => {
       this._accessoryReadyState = READY_STATE_READY
 
-      const { value: serialNumber } = this._zwave.findNodeValue(zwaveNodeId, {
+      // Not every node reports a serial number
+      const serialNumberNodeValue = this._zwave.findNodeValue(zwaveNodeId, {
         class_id: COMMAND_CLASS_MANUFACTURER_SPECIFIC,
         index: MANUFACTURER_SPECIFIC_INDEX_SERIAL_NUMBER
       })
 
       this._configureAccessoryInformationService(
-        zwaveNode.manufacturer,
-        zwaveNode.product,
-        serialNumber
+        zwaveNode.manufacturer || undefined,
+        zwaveNode.product || undefined,
+        serialNumberNodeValue ? serialNumberNodeValue.value : undefined
       )
+    }))
+  }
+
+  /**
+   * Get the accessory
+   *
+   * @returns {Object}
+   */
+  getAccessory () {
+    return this._accessory
+  }
+
+  /**
+   * Get the characteristics of the accessory that are updated from each ZWave node value
+   *
+   * @returns {{nodeValueId: string, accessory: string, service: string, subtype: string, characteristic: string}[]}
+   */
+  getZwaveNodeValueMappings () {
+    const findService = characteristic => this._accessory.services.find(service => {
+      return service.characteristics.includes(characteristic)
+    })
+    const getServiceType = service => Object.keys(this._hapService).find(serviceType => {
+      return this._hapService[serviceType] && this._hapService[serviceType].UUID === service.UUID
+    })
+
+    const mappings = []
+
+    this._zwaveNodeValueCharacteristics.forEach((characteristics, nodeValueId) => {
+      characteristics.forEach(characteristic => {
+        const service = findService(characteristic)
+
+        // The characteristic may have been removed from the accessory
+        if (service === undefined) {
+          return
+        }
+
+        mappings.push({
+          nodeValueId,
+          accessory: this._accessory.displayName,
+          service: getServiceType(service) || service.displayName,
+          subtype: service.subtype || undefined,
+          characteristic: characteristic.displayName
+        })
+      })
+    })
+
+    return mappings
+  }
+
+  /**
+   * Destroy the accessory manager, removing all of the ZWave handlers added for the accessory. This
+   * should be called when the accessory is removed from the platform.
+   */
+  destroy () {
+    this._zwaveHandlers.forEach(removeZwaveHandler => removeZwaveHandler())
+    this._zwaveHandlers = []
+  }
+
+  /**
+   * Normalize the config for a service. A service can be defined as just its type (i.e "Switch")
+   * or as an object that targets a specific ZWave instance (endpoint) of the node:
+   *
+   * { "type": "Switch", "zwaveInstance": 2, "displayName": "Right Switch" }
+   *
+   * Services that target a specific instance are given a subtype so that an accessory can have
+   * more than one service of the same type.
+   *
+   * @param   {string|Object} serviceConfig
+   * @returns {{type: string, zwaveInstance: number, subtype: string, displayName: string}}
+   */
+  _normalizeServiceConfig (serviceConfig) {
+    if (typeof serviceConfig === 'string') {
+      serviceConfig = { type: serviceConfig }
+    }
+
+    const zwaveInstance = serviceConfig.zwaveInstance || this._accessoryConfig.zwaveInstance || 1
+
+    return {
+      type: serviceConfig.type,
+      zwaveInstance,
+      subtype: serviceConfig.zwaveInstance === undefined ? undefined : `instance-${zwaveInstance}`,
+      displayName: serviceConfig.displayName
+    }
+  }
+
+  /**
+   * Configure the ZWave configuration parameters for the node. When the node is ready, the parameters
+   * that differ from the config are written to the node, and each write is confirmed by the node
+   * reporting the new value (see ZWave.updateNodeValueByIdWithConfirmation). Writes for a sleeping node
+   * are queued until the node wakes up.
+   *
+   * @param {Object} zwaveParameters map of parameter index to value
+   */
+  _configureZwaveParameters (zwaveParameters) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+
+    const parameters = Object.entries(zwaveParameters).map(([index, value]) => ({
+      index: Number(index),
+      value,
+      nodeValueId: this._zwave.generateNodeValueId({
+        nodeId: zwaveNodeId,
+        commandClass: COMMAND_CLASS_CONFIGURATION,
+        valueIndex: Number(index)
+      })
+    }))
+    // The value to write for each parameter that differs from the config
+    const queuedParameters = new Map()
+
+    // List parameters are reported as the label of the selected item, so a parameter given as the
+    // index of an item is resolved to the label of the item
+    const resolveParameterValue = (parameter, nodeValue) => {
+      const items = Array.isArray(nodeValue.values) ? nodeValue.values.map(String) : []
+
+      if (
+        nodeValue.type === 'list' &&
+        Number.isInteger(parameter.value) &&
+        !items.includes(String(parameter.value)) &&
+        items[parameter.value] !== undefined
+      ) {
+        return items[parameter.value]
+      }
+
+      return parameter.value
+    }
+
+    // The value being written to each parameter, until the write has been confirmed (or has failed)
+    const writingParameters = new Map()
+
+    const writeQueuedParameters = () => {
+      queuedParameters.forEach((value, parameter) => {
+        this._log(`${accessoryDisplayName} ZWave parameter ${parameter.index} updating to: ${value}`)
+
+        writingParameters.set(parameter, value)
+
+        this._zwave.updateNodeValueByIdWithConfirmation(parameter.nodeValueId, value, err => {
+          writingParameters.delete(parameter)
+
+          if (err) {
+            const nodeValue = this._zwave.findNodeValue(zwaveNodeId, {
+              class_id: COMMAND_CLASS_CONFIGURATION,
+              index: parameter.index
+            })
+            const reportedValue = nodeValue === undefined ? 'unknown' : nodeValue.value
+
+            this._log(`${accessoryDisplayName} ZWave parameter ${parameter.index} was not updated (expected ${value}, the node reports ${reportedValue}): ${err.message}`)
+          } else {
+            this._log(`${accessoryDisplayName} ZWave parameter ${parameter.index} updated to ${value}`)
+          }
+        })
+      })
+
+      queuedParameters.clear()
+    }
+
+    // Read the current parameters when the node is ready, and write the parameters that differ
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      queuedParameters.clear()
+
+      parameters.forEach(parameter => {
+        const nodeValue = this._zwave.findNodeValue(zwaveNodeId, {
+          class_id: COMMAND_CLASS_CONFIGURATION,
+          index: parameter.index
+        })
+
+        if (nodeValue === undefined) {
+          this._log(`${accessoryDisplayName} ZWave parameter ${parameter.index} is not supported by the node`)
+
+          return
+        }
+
+        const value = resolveParameterValue(parameter, nodeValue)
+
+        // Values are compared as strings as a list parameter could be given as a number (i.e "1" and 1)
+        if (String(value) !== String(nodeValue.value)) {
+          queuedParameters.set(parameter, value)
+        }
+      })
+
+      if (queuedParameters.size === 0) {
+        return
+      }
+
+      if (this._zwave.getNodeHealth(zwaveNodeId) === NODE_HEALTH_ASLEEP) {
+        this._log(`${accessoryDisplayName} ZWave parameter updates queued until the node wakes up`)
+
+        return
+      }
+
+      writeQueuedParameters()
+    }))
+
+    // A node can reject a parameter value (i.e when it is out of range for the parameter), and report
+    // its current value instead
+    parameters.forEach(parameter => {
+      this._trackZwaveHandler(this._zwave.onNodeValueChanged(parameter.nodeValueId, reportedValue => {
+        const value = writingParameters.get(parameter)
+
+        if (value !== undefined && String(value) !== String(reportedValue)) {
+          this._log(`${accessoryDisplayName} ZWave parameter ${parameter.index} expected ${value}, but the node reported ${reportedValue}`)
+        }
+      }))
     })
+
+    // Write any queued parameters once a sleeping node wakes up
+    this._trackZwaveHandler(this._zwave.onNodeHealthChanged(zwaveNodeId, health => {
+      if (health === NODE_HEALTH_ALIVE && queuedParameters.size > 0) {
+        writeQueuedParameters()
+      }
+    }))
+  }
+
+  /**
+   * Configure a characteristic that is mapped to a ZWave node value via the config
+   *
+   * @param {Object} characteristicMapping
+   */
+  _configureCharacteristicMapping ({
+    service: serviceName,
+    subtype,
+    characteristic: characteristicName,
+    commandClass,
+    instance,
+    index,
+    direction = 'read',
+    transform
+  }) {
+    const accessoryDisplayName = this._accessory.displayName
+    const serviceType = this._hapService[serviceName]
+    const characteristicType = this._hapCharacteristic[characteristicName]
+
+    if (serviceType === undefined || characteristicType === undefined) {
+      this._log(`${accessoryDisplayName} characteristic mapping "${serviceName}.${characteristicName}" is invalid and will be ignored`)
+
+      return
+    }
+
+    const service = this._getService(serviceType, subtype)
+    const characteristic = service.getCharacteristic(characteristicType)
+    const zwaveNodeValueCriteria = {
+      commandClass,
+      valueIndex: index,
+      valueInstance: instance || this._accessoryConfig.zwaveInstance || 1
+    }
+    const { read, write } = makeValueTransform(transform)
+
+    // HomeKit expects numeric values for characteristics that are not booleans
+    const readValueFilter = value => {
+      value = read(value)
+
+      return typeof value === 'boolean' && characteristic.props.format !== 'bool' ? Number(value) : value
+    }
+
+    // Setup handlers for when the value for the characteristic is requested by HomeKit / updated outside of HomeKit.
+    // Any handlers already configured for the characteristic by a service are replaced.
+    if (direction === 'read' || direction === 'readwrite') {
+      characteristic.removeAllListeners('get')
+
+      this._overrideCharacteristic(characteristic)
+
+      characteristic
+        .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+          characteristicName,
+          this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria),
+          readValueFilter
+        ))
+
+      this._updateCharacteristicValueOnZwaveNodeValueUpdated(
+        characteristic,
+        characteristicName,
+        zwaveNodeValueCriteria,
+        readValueFilter
+      )
+    }
+
+    // Setup handler for when the value for the characteristic is updated by HomeKit
+    if (direction === 'write' || direction === 'readwrite') {
+      characteristic.removeAllListeners('set')
+
+      characteristic
+        .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
+          characteristicName,
+          zwaveNodeValueCriteria,
+          write,
+          { characteristic }
+        ))
+    }
   }
 
   /**
@@ -132,9 +658,13 @@ class AccessoryManager {
 
   /**
    * Configure the "Outlet" service for the accessory
+   *
+   * @param {Object} serviceConfig
    */
-  _configureOutletService () {
-    const outletService = this._getService(this._hapService.Outlet)
+  _configureOutletService (serviceConfig) {
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const outletService = this._getService(this._hapService.Outlet, serviceConfig.subtype, serviceConfig.displayName)
     const onCharacteristic = outletService.getCharacteristic(this._hapCharacteristic.On)
     const outletInUseCharacteristic = outletService.getCharacteristic(this._hapCharacteristic.OutletInUse)
 
@@ -142,7 +672,8 @@ class AccessoryManager {
     const onCharacteristicName = 'On'
     const onCharacteristicZwaveNodeValueCriteria = {
       commandClass: COMMAND_CLASS_SWITCH_BINARY,
-      valueIndex: SWITCH_BINARY_INDEX_SWITCH
+      valueIndex: SWITCH_BINARY_INDEX_SWITCH,
+      valueInstance: zwaveInstance
     }
 
     onCharacteristic
@@ -154,16 +685,19 @@ class AccessoryManager {
       .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
         onCharacteristicName,
         onCharacteristicZwaveNodeValueCriteria,
-        Boolean
+        Boolean,
+        { characteristic: onCharacteristic }
       ))
 
     // Setup handler for when the value for the "Outlet In Use" characteristic is requested by HomeKit
     const outletInUseCharacteristicName = 'Outlet In Use'
     const outletInUseCharacteristicZwaveNodeValueCriteria = {
       commandClass: COMMAND_CLASS_METER,
-      valueIndex: METER_INDEX_ELECTRIC_INSTANT_POWER
+      valueIndex: METER_INDEX_ELECTRIC_INSTANT_POWER,
+      valueInstance: zwaveInstance
     }
-    const outletInUseCharacteristicValueFilter = value => Number(value) > 0
+    const outletInUseThreshold = this._accessoryConfig.outletInUseThreshold || 0
+    const outletInUseCharacteristicValueFilter = value => Number(value) > outletInUseThreshold
 
     outletInUseCharacteristic
       .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
@@ -186,57 +720,256 @@ class AccessoryManager {
       outletInUseCharacteristicZwaveNodeValueCriteria,
       outletInUseCharacteristicValueFilter
     )
+
+    this._configureEnergyCharacteristics(outletService, zwaveInstance)
   }
 
   /**
-   * Configure the "Humidity Sensor" service for the accessory
+   * Configure the Eve energy characteristics (i.e "Current Consumption") for a service, using the
+   * values of the Meter command class. A characteristic is only added to the service if the node
+   * supports the value for it, which is not known until the node is ready (unless the last known
+   * values of the node have been cached).
+   *
+   * @param {Object} service
+   * @param {number} zwaveInstance
    */
-  _configureHumiditySensorService () {
-    const service = this._getService(this._hapService.HumiditySensor)
-    const characteristic = service.getCharacteristic(this._hapCharacteristic.CurrentRelativeHumidity)
+  _configureEnergyCharacteristics (service, zwaveInstance) {
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
 
-    // Setup handler for when the value for the "Current Relative Humidity" characteristic is requested by HomeKit
-    const characteristicName = 'Current Relative Humidity'
-    const zwaveNodeValueCriteria = {
-      commandClass: COMMAND_CLASS_SENSOR_MULTILEVEL,
-      valueIndex: SENSOR_MULTILEVEL_INDEX_HUMIDITY
+    const { CurrentConsumption, ElectricCurrent, ResetTotal, TotalConsumption, Voltage } = this._eveCharacteristics
+
+    const meterCharacteristics = [
+      { characteristicType: CurrentConsumption, characteristicName: 'Current Consumption', valueIndex: METER_INDEX_ELECTRIC_INSTANT_POWER },
+      { characteristicType: TotalConsumption, characteristicName: 'Total Consumption', valueIndex: METER_INDEX_ELECTRIC_ACCUMULATED_ENERGY },
+      { characteristicType: Voltage, characteristicName: 'Voltage', valueIndex: METER_INDEX_ELECTRIC_VOLTAGE },
+      { characteristicType: ElectricCurrent, characteristicName: 'Electric Current', valueIndex: METER_INDEX_ELECTRIC_CURRENT }
+    ].filter(({ characteristicType }) => characteristicType !== undefined)
+
+    const configuredCharacteristicNames = new Set()
+
+    const getCharacteristic = characteristicType => {
+      // The characteristics are not part of the HomeKit definition of the service, so they have to be
+      // added as optional characteristics to stop HAP warning about them
+      service.addOptionalCharacteristic(characteristicType)
+
+      return service.getCharacteristic(characteristicType)
     }
 
-    characteristic
-      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+    const configureMeterCharacteristic = ({ characteristicType, characteristicName, valueIndex }) => {
+      const characteristic = getCharacteristic(characteristicType)
+      const zwaveNodeValueCriteria = {
+        commandClass: COMMAND_CLASS_METER,
+        valueIndex,
+        valueInstance: zwaveInstance
+      }
+      const valueFilter = value => Number(value) || 0
+
+      characteristic
+        .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+          characteristicName,
+          this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria),
+          valueFilter
+        ))
+
+      this._updateCharacteristicValueOnZwaveNodeValueUpdated(
+        characteristic,
         characteristicName,
-        this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria),
-        Number
+        zwaveNodeValueCriteria,
+        valueFilter
+      )
+    }
+
+    // Eve resets the total consumption by writing the time of the reset, which resets the
+    // accumulated values of the meter on the node
+    const configureResetTotalCharacteristic = () => {
+      getCharacteristic(ResetTotal)
+        .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
+          'Reset Total',
+          {
+            commandClass: COMMAND_CLASS_METER,
+            valueIndex: METER_INDEX_RESET,
+            valueInstance: zwaveInstance
+          },
+          () => true,
+          // The node does not report the reset back, only the reset accumulated values
+          { confirm: false }
+        ))
+    }
+
+    const configureSupportedCharacteristics = () => {
+      const isSupported = valueIndex => this._zwave.findNodeValue(zwaveNodeId, {
+        class_id: COMMAND_CLASS_METER,
+        index: valueIndex,
+        instance: zwaveInstance
+      }) !== undefined
+
+      meterCharacteristics
+        .filter(({ characteristicName }) => !configuredCharacteristicNames.has(characteristicName))
+        .filter(({ valueIndex }) => isSupported(valueIndex))
+        .forEach(meterCharacteristic => {
+          configuredCharacteristicNames.add(meterCharacteristic.characteristicName)
+
+          configureMeterCharacteristic(meterCharacteristic)
+        })
+
+      if (
+        ResetTotal !== undefined &&
+        configuredCharacteristicNames.has('Total Consumption') &&
+        !configuredCharacteristicNames.has('Reset Total') &&
+        isSupported(METER_INDEX_RESET)
+      ) {
+        configuredCharacteristicNames.add('Reset Total')
+
+        configureResetTotalCharacteristic()
+      }
+    }
+
+    configureSupportedCharacteristics()
+
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, configureSupportedCharacteristics))
+  }
+
+  /**
+   * Configure the "Contact Sensor" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureContactSensorService (serviceConfig) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.ContactSensor, serviceConfig.subtype, serviceConfig.displayName)
+    const contactSensorStateCharacteristic = service.getCharacteristic(this._hapCharacteristic.ContactSensorState)
+
+    const { CONTACT_DETECTED, CONTACT_NOT_DETECTED } = this._hapCharacteristic.ContactSensorState
+
+    // The contact state can be reported by either the "Access Control" notification or the
+    // binary sensor, depending on the device. The "Access Control" notification also reports
+    // events that are not related to the contact state, so those are ignored.
+    const accessControlZwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_ALARM,
+      valueIndex: ALARM_INDEX_ACCESS_CONTROL,
+      valueInstance: zwaveInstance
+    }
+    const binarySensorZwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_SENSOR_BINARY,
+      valueIndex: SENSOR_BINARY_INDEX_SENSOR,
+      valueInstance: zwaveInstance
+    }
+    const accessControlValueFilter = value => {
+      value = String(value)
+
+      if (value.includes('is open')) {
+        return CONTACT_NOT_DETECTED
+      }
+
+      if (value.includes('is closed')) {
+        return CONTACT_DETECTED
+      }
+
+      return null
+    }
+    const binarySensorValueFilter = value => value ? CONTACT_NOT_DETECTED : CONTACT_DETECTED
+
+    // Setup handler for when the value for the "Contact Sensor State" characteristic is requested by HomeKit
+    const contactSensorStateCharacteristicName = 'Contact Sensor State'
+    const contactSensorStateZwaveNodeValueResolver = () => {
+      const accessControlNodeValue = this._findZwaveNodeValue({
+        class_id: COMMAND_CLASS_ALARM,
+        index: ALARM_INDEX_ACCESS_CONTROL,
+        instance: zwaveInstance
+      })
+      const contactSensorState = accessControlNodeValue
+        ? accessControlValueFilter(accessControlNodeValue.value)
+        : null
+
+      if (contactSensorState !== null) {
+        return contactSensorState
+      }
+
+      const binarySensorNodeValue = this._findZwaveNodeValue({
+        class_id: COMMAND_CLASS_SENSOR_BINARY,
+        index: SENSOR_BINARY_INDEX_SENSOR,
+        instance: zwaveInstance
+      })
+
+      return binarySensorNodeValue
+        ? binarySensorValueFilter(binarySensorNodeValue.value)
+        : contactSensorStateCharacteristic.value
+    }
+
+    contactSensorStateCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        contactSensorStateCharacteristicName,
+        contactSensorStateZwaveNodeValueResolver
       ))
 
-    // Setup handler for when the corresponding ZWave node value is updated outside of HomeKit
-    this._updateCharacteristicValueOnZwaveNodeValueUpdated(
-      characteristic,
-      characteristicName,
-      zwaveNodeValueCriteria,
-      Number
-    )
+    // Setup handlers for the "Status Tampered" characteristic
+    this._configureStatusTamperedCharacteristic(service, serviceConfig)
+
+    // Setup handlers for when the corresponding ZWave node values are updated outside of HomeKit
+
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the "Contact Sensor State"
+    // characteristic, we manually bind handlers as the characteristic can be driven by more than one
+    // ZWave node value
+    const updateContactSensorState = contactSensorState => {
+      if (contactSensorState === null || contactSensorStateCharacteristic.value === contactSensorState) {
+        return
+      }
+
+      contactSensorStateCharacteristic.updateValue(contactSensorState)
+
+      this._log(`${accessoryDisplayName} "${contactSensorStateCharacteristicName}" characteristic value updated to ${contactSensorState} outside of HomeKit`)
+    }
+
+    const accessControlZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...accessControlZwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(accessControlZwaveNodeValueId, [contactSensorStateCharacteristic], value => {
+      updateContactSensorState(accessControlValueFilter(value))
+    })
+
+    const binarySensorZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...binarySensorZwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(binarySensorZwaveNodeValueId, [contactSensorStateCharacteristic], value => {
+      updateContactSensorState(binarySensorValueFilter(value))
+    })
+
+    // Setup handlers for the "Status Active" and "Status Fault" characteristics
+    this._configureStatusCharacteristics(service)
   }
 
   /**
-   * Configure the "Light Sensor" service for the accessory
+   * Configure the "Status Tampered" characteristic for a service using the "Home Security" notification
+   *
+   * @param {Object} service
+   * @param {Object} serviceConfig
    */
-  _configureLightSensorService () {
-    const service = this._getService(this._hapService.LightSensor)
-    const characteristic = service.getCharacteristic(this._hapCharacteristic.CurrentAmbientLightLevel)
+  _configureStatusTamperedCharacteristic (service, serviceConfig) {
+    const zwaveInstance = serviceConfig.zwaveInstance
 
-    // Setup handler for when the value for the "Current Ambient Light Level" characteristic is requested by HomeKit
-    const characteristicName = 'Current Ambient Light Level'
+    const characteristic = service.getCharacteristic(this._hapCharacteristic.StatusTampered)
+
+    // Setup handler for when the value for the "Status Tampered" characteristic is requested by HomeKit
+    const characteristicName = 'Status Tampered'
     const zwaveNodeValueCriteria = {
-      commandClass: COMMAND_CLASS_SENSOR_MULTILEVEL,
-      valueIndex: SENSOR_MULTILEVEL_INDEX_LUMINANCE
+      commandClass: COMMAND_CLASS_ALARM,
+      valueIndex: ALARM_INDEX_HOME_SECURITY,
+      valueInstance: zwaveInstance
     }
+    const valueFilter = value => includesLabel(value, 'Tampering') ? 1 : 0
 
     characteristic
       .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
         characteristicName,
-        this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria),
-        Number
+        this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria, ''),
+        valueFilter
       ))
 
     // Setup handler for when the corresponding ZWave node value is updated outside of HomeKit
@@ -244,104 +977,1278 @@ class AccessoryManager {
       characteristic,
       characteristicName,
       zwaveNodeValueCriteria,
-      Number
+      valueFilter
     )
   }
 
   /**
-   * Configure the "Motion Sensor" service for the accessory
+   * Configure the "Status Active" and "Status Fault" characteristics for a sensor service to reflect
+   * the health of the ZWave node. A service can also provide a resolver for whether the node has
+   * reported a fault itself (i.e a smoke alarm needing to be replaced).
+   *
+   * Returns a function to update the "Status Fault" characteristic when the fault reported by the node changes.
+   *
+   * @param   {Object} service
+   * @param   {Function} zwaveNodeFaultResolver
+   * @returns {Function}
    */
-  _configureMotionSensorService () {
+  _configureStatusCharacteristics (service, zwaveNodeFaultResolver = () => false) {
     const accessoryDisplayName = this._accessory.displayName
     const zwaveNodeId = this._accessoryConfig.zwaveNodeId
 
-    const service = this._getService(this._hapService.MotionSensor)
-    const motionDetectedCharacteristic = service.getCharacteristic(this._hapCharacteristic.MotionDetected)
-    const statusTamperedCharacteristic = service.getCharacteristic(this._hapCharacteristic.StatusTampered)
-    const zwaveNodeValueCriteria = {
-      commandClass: COMMAND_CLASS_ALARM,
-      valueIndex: ALARM_INDEX_HOME_SECURITY
-    }
+    const statusActiveCharacteristic = service.getCharacteristic(this._hapCharacteristic.StatusActive)
+    const statusFaultCharacteristic = service.getCharacteristic(this._hapCharacteristic.StatusFault)
+
+    const { GENERAL_FAULT, NO_FAULT } = this._hapCharacteristic.StatusFault
+
+    const resolveStatusActive = () => !this._isZwaveNodeDead()
+    const resolveStatusFault = () => this._isZwaveNodeFaulty() || zwaveNodeFaultResolver() ? GENERAL_FAULT : NO_FAULT
+
+    statusActiveCharacteristic.updateValue(resolveStatusActive())
+    statusFaultCharacteristic.updateValue(resolveStatusFault())
+
+    // Setup handlers for when the value for the characteristics are requested by HomeKit
+    statusActiveCharacteristic.on('get', done => done(null, resolveStatusActive()))
+    statusFaultCharacteristic.on('get', done => done(null, resolveStatusFault()))
+
+    // Setup handlers for when the health of the ZWave node changes
+    const updateCharacteristic = (characteristic, characteristicName, value) => {
+      if (characteristic.value !== value) {
+        characteristic.updateValue(value)
+
+        this._log(`${accessoryDisplayName} "${characteristicName}" characteristic value updated to ${value} outside of HomeKit`)
+      }
+    }
+    const updateStatusFault = () => updateCharacteristic(statusFaultCharacteristic, 'Status Fault', resolveStatusFault())
+
+    this._trackZwaveHandler(this._zwave.onNodeHealthChanged(zwaveNodeId, () => {
+      updateCharacteristic(statusActiveCharacteristic, 'Status Active', resolveStatusActive())
+      updateStatusFault()
+    }))
+
+    return updateStatusFault
+  }
+
+  /**
+   * Configure a sensor service that is driven by a notification (i.e "Smoke Alarm") reported by
+   * the node. The "Status Fault" characteristic is also derived from the same notification.
+   *
+   * @param {Object} serviceConfig
+   * @param {Object} serviceType
+   * @param {Object} characteristicType
+   * @param {string} characteristicName
+   * @param {number} alarmIndex
+   * @param {string} detectedLabel
+   */
+  _configureNotificationSensorService (
+    serviceConfig,
+    serviceType,
+    characteristicType,
+    characteristicName,
+    alarmIndex,
+    detectedLabel
+  ) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(serviceType, serviceConfig.subtype, serviceConfig.displayName)
+    const detectedCharacteristic = service.getCharacteristic(characteristicType)
+    const zwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_ALARM,
+      valueIndex: alarmIndex,
+      valueInstance: zwaveInstance
+    }
+    const zwaveNodeValueResolver = this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria, '')
+
+    // Setup handler for when the value for the detected characteristic is requested by HomeKit
+    const detectedValueFilter = value => includesLabel(value, detectedLabel) ? 1 : 0
+
+    detectedCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        characteristicName,
+        zwaveNodeValueResolver,
+        detectedValueFilter
+      ))
+
+    // A fault reported by the node (i.e the alarm needing to be replaced)
+    const statusFaultValueFilter = value => {
+      return ['Replacement Required', 'Maintenance Required', 'Failure'].some(label => includesLabel(value, label)) ? 1 : 0
+    }
+
+    // Setup handlers for the "Status Active" and "Status Fault" characteristics - The node is
+    // faulty if it is not responding, or if it has reported a fault
+    const updateStatusFault = this._configureStatusCharacteristics(service, () => {
+      return statusFaultValueFilter(zwaveNodeValueResolver()) === 1
+    })
+
+    // Setup handlers for the "Status Tampered" characteristic
+    this._configureStatusTamperedCharacteristic(service, serviceConfig)
+
+    // Setup handlers for when the corresponding ZWave node value is updated outside of HomeKit
+
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the detected
+    // and "Status Fault" characteristic, we manually bind a handler as both characteristics use the
+    // same ZWave node value
+    const notificationZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...zwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(notificationZwaveNodeValueId, [detectedCharacteristic], value => {
+      const detected = detectedValueFilter(value)
+
+      if (detectedCharacteristic.value !== detected) {
+        detectedCharacteristic.updateValue(detected)
+
+        this._log(`${accessoryDisplayName} "${characteristicName}" characteristic value updated to ${detected} outside of HomeKit`)
+      }
+
+      updateStatusFault()
+    })
+  }
+
+  /**
+   * Configure the "Humidity Sensor" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureHumiditySensorService (serviceConfig) {
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.HumiditySensor, serviceConfig.subtype, serviceConfig.displayName)
+    const characteristic = service.getCharacteristic(this._hapCharacteristic.CurrentRelativeHumidity)
+
+    // Setup handler for when the value for the "Current Relative Humidity" characteristic is requested by HomeKit
+    const characteristicName = 'Current Relative Humidity'
+    const zwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_SENSOR_MULTILEVEL,
+      valueIndex: SENSOR_MULTILEVEL_INDEX_HUMIDITY,
+      valueInstance: zwaveInstance
+    }
+
+    characteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        characteristicName,
+        this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria),
+        Number
+      ))
+
+    // Setup handler for when the corresponding ZWave node value is updated outside of HomeKit
+    this._updateCharacteristicValueOnZwaveNodeValueUpdated(
+      characteristic,
+      characteristicName,
+      zwaveNodeValueCriteria,
+      Number
+    )
+
+    // Setup handlers for the "Status Active" and "Status Fault" characteristics
+    this._configureStatusCharacteristics(service)
+  }
+
+  /**
+   * Configure the "Lightbulb" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureLightbulbService (serviceConfig) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.Lightbulb, serviceConfig.subtype, serviceConfig.displayName)
+    const onCharacteristic = service.getCharacteristic(this._hapCharacteristic.On)
+    const brightnessCharacteristic = service.getCharacteristic(this._hapCharacteristic.Brightness)
+    const zwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_SWITCH_MULTILEVEL,
+      valueIndex: SWITCH_MULTILEVEL_INDEX_LEVEL,
+      valueInstance: zwaveInstance
+    }
+    const zwaveNodeValueResolver = this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria)
+
+    // Keep track of the last non-zero level so that turning the light back on restores
+    // the previous brightness rather than switching to full brightness
+    let lastNonZeroLevel = SWITCH_MULTILEVEL_MAX_LEVEL
+
+    const rememberLevel = level => {
+      if (level > 0) {
+        lastNonZeroLevel = level
+      }
+
+      return level
+    }
+    const levelToBrightness = level => {
+      level = Number(level)
+
+      return level >= SWITCH_MULTILEVEL_MAX_LEVEL ? 100 : level
+    }
+    const brightnessToLevel = brightness => Math.min(Number(brightness), SWITCH_MULTILEVEL_MAX_LEVEL)
+
+    // Setup handlers for when the value for the "On" characteristic is requested / updated by HomeKit
+    const onCharacteristicName = 'On'
+    const onCharacteristicValueFilter = value => Number(value) > 0
+
+    onCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        onCharacteristicName,
+        zwaveNodeValueResolver,
+        onCharacteristicValueFilter
+      ))
+      .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
+        onCharacteristicName,
+        zwaveNodeValueCriteria,
+        value => value ? lastNonZeroLevel : 0,
+        { characteristic: onCharacteristic }
+      ))
+
+    // Setup handlers for when the value for the "Brightness" characteristic is requested / updated by HomeKit.
+    // When the light is off, the last non-zero level is reported so that HomeKit does not show a brightness of 0
+    const brightnessCharacteristicName = 'Brightness'
+
+    brightnessCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        brightnessCharacteristicName,
+        zwaveNodeValueResolver,
+        value => levelToBrightness(Number(value) > 0 ? value : lastNonZeroLevel)
+      ))
+      .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
+        brightnessCharacteristicName,
+        zwaveNodeValueCriteria,
+        value => rememberLevel(brightnessToLevel(value)),
+        { characteristic: brightnessCharacteristic }
+      ))
+
+    // Remember the current level of the light when the node is ready
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      rememberLevel(Number(zwaveNodeValueResolver()))
+    }))
+
+    // Setup handlers for when the corresponding ZWave node value is updated outside of HomeKit
+
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the "On"
+    // and "Brightness" characteristic, we manually bind a handler as both characteristics use the
+    // same ZWave node value
+    const levelZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...zwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(levelZwaveNodeValueId, [onCharacteristic, brightnessCharacteristic], value => {
+      const level = rememberLevel(Number(value))
+      const on = onCharacteristicValueFilter(level)
+
+      if (onCharacteristic.value !== on && !this._isCharacteristicOverridden(onCharacteristic)) {
+        onCharacteristic.updateValue(on)
+
+        this._log(`${accessoryDisplayName} "${onCharacteristicName}" characteristic value updated to ${on} outside of HomeKit`)
+      }
+
+      if (!on) {
+        return
+      }
+
+      const brightness = levelToBrightness(level)
+
+      if (brightnessCharacteristic.value !== brightness && !this._isCharacteristicOverridden(brightnessCharacteristic)) {
+        brightnessCharacteristic.updateValue(brightness)
+
+        this._log(`${accessoryDisplayName} "${brightnessCharacteristicName}" characteristic value updated to ${brightness} outside of HomeKit`)
+      }
+    })
+  }
+
+  /**
+   * Configure the colour characteristics ("Hue", "Saturation" and "Color Temperature") of the
+   * "Lightbulb" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureLightbulbColorCharacteristics (serviceConfig) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.Lightbulb, serviceConfig.subtype, serviceConfig.displayName)
+    const hueCharacteristic = service.getCharacteristic(this._hapCharacteristic.Hue)
+    const saturationCharacteristic = service.getCharacteristic(this._hapCharacteristic.Saturation)
+    const colorTemperatureCharacteristic = service.getCharacteristic(this._hapCharacteristic.ColorTemperature)
+    const zwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_SWITCH_COLOR,
+      valueIndex: SWITCH_COLOR_INDEX_COLOR,
+      valueInstance: zwaveInstance
+    }
+    const zwaveNodeValueResolver = this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria)
+
+    // The white channels supported by the device are not known until the node is ready
+    const supportedWhiteChannels = { warmWhite: false, coldWhite: false }
+    const colorState = {
+      hue: 0,
+      saturation: 0,
+      colorTemperature: COLOR_TEMPERATURE_MIN,
+      whiteMode: false
+    }
+
+    let adaptiveLightingController = null
+
+    const toColorState = value => channelsToColorState(parseColorString(value), supportedWhiteChannels)
+    const toZwaveColor = changes => {
+      Object.assign(colorState, changes)
+
+      return formatColorString(
+        colorStateToChannels(colorState, supportedWhiteChannels),
+        supportedWhiteChannels.warmWhite || supportedWhiteChannels.coldWhite
+      )
+    }
+
+    const characteristics = [
+      {
+        characteristic: hueCharacteristic,
+        characteristicName: 'Hue',
+        valueFilter: value => toColorState(value).hue,
+        setValueFilter: hue => toZwaveColor({ hue, whiteMode: false })
+      },
+      {
+        characteristic: saturationCharacteristic,
+        characteristicName: 'Saturation',
+        valueFilter: value => toColorState(value).saturation,
+        setValueFilter: saturation => toZwaveColor({ saturation, whiteMode: false })
+      },
+      {
+        characteristic: colorTemperatureCharacteristic,
+        characteristicName: 'Color Temperature',
+        valueFilter: value => toColorState(value).colorTemperature,
+        setValueFilter: colorTemperature => toZwaveColor({ colorTemperature, whiteMode: true })
+      }
+    ]
+
+    // Setup handlers for when the value for the colour characteristics are requested / updated by HomeKit
+    characteristics.forEach(({ characteristic, characteristicName, valueFilter, setValueFilter }) => {
+      characteristic
+        .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+          characteristicName,
+          zwaveNodeValueResolver,
+          valueFilter
+        ))
+        .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
+          characteristicName,
+          zwaveNodeValueCriteria,
+          setValueFilter,
+          { characteristic }
+        ))
+    })
+
+    // Determine the supported white channels and enable Adaptive Lighting (if possible) when the node is ready
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      const channels = this._zwave.findNodeValue(zwaveNodeId, {
+        class_id: COMMAND_CLASS_SWITCH_COLOR,
+        index: SWITCH_COLOR_INDEX_CHANNELS,
+        instance: zwaveInstance
+      })
+      const channelMask = Number(channels ? channels.value : 0)
+
+      supportedWhiteChannels.warmWhite = Boolean(channelMask & SWITCH_COLOR_CHANNEL_WARM_WHITE)
+      supportedWhiteChannels.coldWhite = Boolean(channelMask & SWITCH_COLOR_CHANNEL_COLD_WHITE)
+
+      Object.assign(colorState, toColorState(zwaveNodeValueResolver()))
+
+      const hasWhiteChannels = supportedWhiteChannels.warmWhite || supportedWhiteChannels.coldWhite
+
+      if (hasWhiteChannels && this._hapAdaptiveLightingController && !adaptiveLightingController) {
+        adaptiveLightingController = new this._hapAdaptiveLightingController(service)
+
+        this._accessory.configureController(adaptiveLightingController)
+
+        this._log(`${accessoryDisplayName} Adaptive Lighting enabled`)
+      }
+    }))
+
+    // Setup handlers for when the corresponding ZWave node value is updated outside of HomeKit
+
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the colour
+    // characteristics, we manually bind a handler as all of the characteristics use the same
+    // ZWave node value
+    const colorZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...zwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(colorZwaveNodeValueId, [hueCharacteristic, saturationCharacteristic, colorTemperatureCharacteristic], value => {
+      const updatedColorState = toColorState(value)
+
+      Object.assign(colorState, updatedColorState)
+
+      // A colour being set at the device means Adaptive Lighting is no longer in control
+      if (
+        !updatedColorState.whiteMode &&
+        adaptiveLightingController &&
+        adaptiveLightingController.isAdaptiveLightingActive()
+      ) {
+        adaptiveLightingController.disableAdaptiveLighting()
+      }
+
+      characteristics.forEach(({ characteristic, characteristicName, valueFilter }) => {
+        const characteristicValue = valueFilter(value)
+
+        if (characteristic.value !== characteristicValue && !this._isCharacteristicOverridden(characteristic)) {
+          characteristic.updateValue(characteristicValue)
+
+          this._log(`${accessoryDisplayName} "${characteristicName}" characteristic value updated to ${characteristicValue} outside of HomeKit`)
+        }
+      })
+    })
+  }
+
+  /**
+   * Configure the "Light Sensor" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureLightSensorService (serviceConfig) {
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.LightSensor, serviceConfig.subtype, serviceConfig.displayName)
+    const characteristic = service.getCharacteristic(this._hapCharacteristic.CurrentAmbientLightLevel)
+
+    // Setup handler for when the value for the "Current Ambient Light Level" characteristic is requested by HomeKit
+    const characteristicName = 'Current Ambient Light Level'
+    const zwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_SENSOR_MULTILEVEL,
+      valueIndex: SENSOR_MULTILEVEL_INDEX_LUMINANCE,
+      valueInstance: zwaveInstance
+    }
+
+    characteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        characteristicName,
+        this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria),
+        Number
+      ))
+
+    // Setup handler for when the corresponding ZWave node value is updated outside of HomeKit
+    this._updateCharacteristicValueOnZwaveNodeValueUpdated(
+      characteristic,
+      characteristicName,
+      zwaveNodeValueCriteria,
+      Number
+    )
+
+    // Setup handlers for the "Status Active" and "Status Fault" characteristics
+    this._configureStatusCharacteristics(service)
+  }
+
+  /**
+   * Configure the "Lock Mechanism" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureLockMechanismService (serviceConfig) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.LockMechanism, serviceConfig.subtype, serviceConfig.displayName)
+    const lockCurrentStateCharacteristic = service.getCharacteristic(this._hapCharacteristic.LockCurrentState)
+    const lockTargetStateCharacteristic = service.getCharacteristic(this._hapCharacteristic.LockTargetState)
+    const lockedZwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_DOOR_LOCK,
+      valueIndex: DOOR_LOCK_INDEX_LOCKED,
+      valueInstance: zwaveInstance
+    }
+    const accessControlZwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_ALARM,
+      valueIndex: ALARM_INDEX_ACCESS_CONTROL,
+      valueInstance: zwaveInstance
+    }
+
+    const { LockCurrentState, LockTargetState } = this._hapCharacteristic
+
+    // The "Access Control" notification reports manual, keypad and RF operations as well as
+    // jammed / unknown states. Notifications that are not related to the lock state are ignored.
+    const accessControlValueFilter = value => {
+      value = String(value)
+
+      if (value.includes('Jammed') || value.includes('Not Fully Locked')) {
+        return LockCurrentState.JAMMED
+      }
+
+      if (value.includes('Unknown')) {
+        return LockCurrentState.UNKNOWN
+      }
+
+      if (value.includes('Unlock Operation')) {
+        return LockCurrentState.UNSECURED
+      }
+
+      if (value.includes('Lock Operation') || value.includes('Locked Operation')) {
+        return LockCurrentState.SECURED
+      }
+
+      return null
+    }
+    const lockedValueFilter = value => value ? LockCurrentState.SECURED : LockCurrentState.UNSECURED
+    const isLockFault = lockState => lockState === LockCurrentState.JAMMED || lockState === LockCurrentState.UNKNOWN
+
+    // The node does not reset the "Access Control" notification once a jam has been cleared, so a jammed /
+    // unknown state is cleared when the Door Lock value changes (i.e the lock is operated successfully)
+    const lockedZwaveNodeValueResolver = this._makeZwaveNodeValueResolver(lockedZwaveNodeValueCriteria)
+    let lastLockedValue
+    let isLockFaultCleared = false
+
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      lastLockedValue = lockedZwaveNodeValueResolver()
+    }))
+
+    // Setup handler for when the value for the "Lock Current State" characteristic is requested by HomeKit
+    const lockCurrentStateCharacteristicName = 'Lock Current State'
+    const lockCurrentStateZwaveNodeValueResolver = () => {
+      const accessControlNodeValue = this._findZwaveNodeValue({
+        class_id: COMMAND_CLASS_ALARM,
+        index: ALARM_INDEX_ACCESS_CONTROL,
+        instance: zwaveInstance
+      })
+      const accessControlLockState = accessControlNodeValue
+        ? accessControlValueFilter(accessControlNodeValue.value)
+        : null
+
+      // A jammed / unknown state can only be reported via the "Access Control" notification
+      if (isLockFault(accessControlLockState) && !isLockFaultCleared) {
+        return accessControlLockState
+      }
+
+      const locked = lockedZwaveNodeValueResolver()
+
+      return locked === undefined ? LockCurrentState.UNKNOWN : lockedValueFilter(locked)
+    }
+
+    lockCurrentStateCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        lockCurrentStateCharacteristicName,
+        lockCurrentStateZwaveNodeValueResolver
+      ))
+
+    // Setup handlers for when the value for the "Lock Target State" characteristic is requested / updated by HomeKit
+    const lockTargetStateCharacteristicName = 'Lock Target State'
+
+    lockTargetStateCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        lockTargetStateCharacteristicName,
+        this._makeZwaveNodeValueResolver(lockedZwaveNodeValueCriteria),
+        value => value ? LockTargetState.SECURED : LockTargetState.UNSECURED
+      ))
+      .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
+        lockTargetStateCharacteristicName,
+        lockedZwaveNodeValueCriteria,
+        value => value === LockTargetState.SECURED,
+        { characteristic: lockTargetStateCharacteristic }
+      ))
+
+    // Setup handlers for when the corresponding ZWave node values are updated outside of HomeKit
+
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the "Lock Current State"
+    // and "Lock Target State" characteristics, we manually bind handlers as the characteristics can be
+    // driven by more than one ZWave node value
+    const updateLockState = lockCurrentState => {
+      if (lockCurrentState === null) {
+        return
+      }
+
+      if (lockCurrentStateCharacteristic.value !== lockCurrentState && !this._isCharacteristicOverridden(lockCurrentStateCharacteristic)) {
+        lockCurrentStateCharacteristic.updateValue(lockCurrentState)
+
+        this._log(`${accessoryDisplayName} "${lockCurrentStateCharacteristicName}" characteristic value updated to ${lockCurrentState} outside of HomeKit`)
+      }
+
+      // Keep the target state in sync when the lock has been operated manually / via a keypad so
+      // that HomeKit does not show the lock as "Locking..." or "Unlocking..."
+      if (lockCurrentState !== LockCurrentState.SECURED && lockCurrentState !== LockCurrentState.UNSECURED) {
+        return
+      }
+
+      const lockTargetState = lockCurrentState === LockCurrentState.SECURED
+        ? LockTargetState.SECURED
+        : LockTargetState.UNSECURED
+
+      if (lockTargetStateCharacteristic.value !== lockTargetState && !this._isCharacteristicOverridden(lockTargetStateCharacteristic)) {
+        lockTargetStateCharacteristic.updateValue(lockTargetState)
+
+        this._log(`${accessoryDisplayName} "${lockTargetStateCharacteristicName}" characteristic value updated to ${lockTargetState} outside of HomeKit`)
+      }
+    }
+
+    const lockedZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...lockedZwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(lockedZwaveNodeValueId, [lockCurrentStateCharacteristic, lockTargetStateCharacteristic], value => {
+      if (value !== lastLockedValue) {
+        isLockFaultCleared = true
+      }
+
+      lastLockedValue = value
+
+      // The same Door Lock value being reported again does not clear a jammed / unknown state
+      if (!isLockFaultCleared && isLockFault(lockCurrentStateCharacteristic.value)) {
+        return
+      }
+
+      updateLockState(lockedValueFilter(value))
+    })
+
+    const accessControlZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...accessControlZwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(accessControlZwaveNodeValueId, [lockCurrentStateCharacteristic, lockTargetStateCharacteristic], value => {
+      const accessControlLockState = accessControlValueFilter(value)
+
+      if (isLockFault(accessControlLockState)) {
+        isLockFaultCleared = false
+      }
+
+      updateLockState(accessControlLockState)
+    })
+  }
+
+  /**
+   * Configure the "Motion Sensor" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureMotionSensorService (serviceConfig) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.MotionSensor, serviceConfig.subtype, serviceConfig.displayName)
+    const motionDetectedCharacteristic = service.getCharacteristic(this._hapCharacteristic.MotionDetected)
+    const statusTamperedCharacteristic = service.getCharacteristic(this._hapCharacteristic.StatusTampered)
+    const zwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_ALARM,
+      valueIndex: ALARM_INDEX_HOME_SECURITY,
+      valueInstance: zwaveInstance
+    }
+    const zwaveNodeValueResolver = this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria)
+
+    // Setup handler for when the value for the "Motion Detected" characteristic is requested by HomeKit
+    const motionDetectedCharacteristicName = 'Motion Detected'
+    const motionDetectedValueFilter = value => value.includes('Motion Detected')
+
+    motionDetectedCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        motionDetectedCharacteristicName,
+        zwaveNodeValueResolver,
+        motionDetectedValueFilter
+      ))
+
+    // Setup handler for when the value for the "Status Tampered" characteristic is requested by HomeKit
+    const statusTamperedCharacteristicName = 'Status Tampered'
+    const statusTamperedValueFilter = value => value.includes('Tampering') ? 1 : 0
+
+    statusTamperedCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        statusTamperedCharacteristicName,
+        zwaveNodeValueResolver,
+        statusTamperedValueFilter
+      ))
+
+    // Setup handlers for when the corresponding ZWave node value is updated outside of HomeKit
+
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the "Motion Detected"
+    // and "Status Tampered" characteristic, we manually bind a handler as both characteristics use the
+    // same ZWave node value
+    const homeSecurityZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...zwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(homeSecurityZwaveNodeValueId, [motionDetectedCharacteristic, statusTamperedCharacteristic], value => {
+      const motionDetected = motionDetectedValueFilter(value)
+      const statusTampered = statusTamperedValueFilter(value)
+
+      if (motionDetectedCharacteristic.value !== motionDetected && !this._isCharacteristicOverridden(motionDetectedCharacteristic)) {
+        motionDetectedCharacteristic.updateValue(motionDetected)
+
+        this._log(`${accessoryDisplayName} "${motionDetectedCharacteristicName}" characteristic value updated to ${motionDetected} outside of HomeKit`)
+      }
+
+      if (statusTamperedCharacteristic.value !== statusTampered && !this._isCharacteristicOverridden(statusTamperedCharacteristic)) {
+        statusTamperedCharacteristic.updateValue(statusTampered)
+
+        this._log(`${accessoryDisplayName} "${statusTamperedCharacteristicName}" characteristic value updated to ${statusTampered} outside of HomeKit`)
+      }
+    })
+
+    // Setup handlers for the "Status Active" and "Status Fault" characteristics
+    this._configureStatusCharacteristics(service)
+  }
+
+  /**
+   * Configure the "Temperature Sensor" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureTemperatureSensorService (serviceConfig) {
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.TemperatureSensor, serviceConfig.subtype, serviceConfig.displayName)
+    const characteristic = service.getCharacteristic(this._hapCharacteristic.CurrentTemperature)
+
+    // Setup handler for when the value for the "Current Temperature" characteristic is requested by HomeKit
+    const characteristicName = 'Current Temperature'
+    const zwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_SENSOR_MULTILEVEL,
+      valueIndex: SENSOR_MULTILEVEL_INDEX_TEMPERATURE,
+      valueInstance: zwaveInstance
+    }
+
+    characteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        characteristicName,
+        this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria),
+        Number
+      ))
+
+    // Setup handler for when the corresponding ZWave node value is updated outside of HomeKit
+    this._updateCharacteristicValueOnZwaveNodeValueUpdated(
+      characteristic,
+      characteristicName,
+      zwaveNodeValueCriteria,
+      Number
+    )
+
+    // Setup handlers for the "Status Active" and "Status Fault" characteristics
+    this._configureStatusCharacteristics(service)
+  }
+
+  /**
+   * Configure the "Thermostat" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureThermostatService (serviceConfig) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.Thermostat, serviceConfig.subtype, serviceConfig.displayName)
+    const currentTemperatureCharacteristic = service.getCharacteristic(this._hapCharacteristic.CurrentTemperature)
+    const targetTemperatureCharacteristic = service.getCharacteristic(this._hapCharacteristic.TargetTemperature)
+    const currentHeatingCoolingStateCharacteristic = service.getCharacteristic(this._hapCharacteristic.CurrentHeatingCoolingState)
+    const targetHeatingCoolingStateCharacteristic = service.getCharacteristic(this._hapCharacteristic.TargetHeatingCoolingState)
+    const temperatureDisplayUnitsCharacteristic = service.getCharacteristic(this._hapCharacteristic.TemperatureDisplayUnits)
+
+    const { CurrentHeatingCoolingState, TargetHeatingCoolingState, TemperatureDisplayUnits } = this._hapCharacteristic
+
+    const modeZwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_THERMOSTAT_MODE,
+      valueIndex: THERMOSTAT_MODE_INDEX_MODE,
+      valueInstance: zwaveInstance
+    }
+    const findNodeValue = (commandClass, valueIndex) => this._findZwaveNodeValue({
+      class_id: commandClass,
+      index: valueIndex,
+      instance: zwaveInstance
+    })
+
+    // HomeKit always uses celsius, whereas the device could be using fahrenheit. The units used by
+    // the device are not known until the node is ready.
+    let setpointUnits = 'C'
+
+    const toCelsius = (value, units) => {
+      value = Number(value)
+
+      return Math.round((units === 'F' ? (value - 32) * 5 / 9 : value) * 10) / 10
+    }
+    const fromCelsius = (value, units) => {
+      value = Number(value)
+
+      return Math.round((units === 'F' ? (value * 9 / 5) + 32 : value) * 10) / 10
+    }
+
+    // The setpoint to use depends on the current mode of the thermostat. If the device does not
+    // support a setpoint for the current mode, the heating setpoint is used.
+    const setpointIndexResolver = () => {
+      const mode = findNodeValue(COMMAND_CLASS_THERMOSTAT_MODE, THERMOSTAT_MODE_INDEX_MODE)
+      const setpointIndex = THERMOSTAT_MODE_SETPOINT_INDEXES[mode ? mode.value : undefined]
+
+      return setpointIndex && findNodeValue(COMMAND_CLASS_THERMOSTAT_SETPOINT, setpointIndex)
+        ? setpointIndex
+        : THERMOSTAT_SETPOINT_INDEX_HEATING
+    }
+
+    // The thermostat mode labels supported by the device for each HomeKit target state. These are
+    // updated with the modes the device actually supports when the node is ready.
+    const modeLabels = {
+      [TargetHeatingCoolingState.OFF]: 'Off',
+      [TargetHeatingCoolingState.HEAT]: 'Heat',
+      [TargetHeatingCoolingState.COOL]: 'Cool',
+      [TargetHeatingCoolingState.AUTO]: 'Auto'
+    }
+
+    const modeValueFilter = value => {
+      value = String(value)
+
+      if (value === 'Off') {
+        return TargetHeatingCoolingState.OFF
+      }
+
+      if (value.includes('Cool')) {
+        return TargetHeatingCoolingState.COOL
+      }
+
+      if (value.includes('Auto')) {
+        return TargetHeatingCoolingState.AUTO
+      }
+
+      return TargetHeatingCoolingState.HEAT
+    }
+    const operatingStateValueFilter = value => {
+      value = String(value)
+
+      if (value.includes('Heating')) {
+        return CurrentHeatingCoolingState.HEAT
+      }
+
+      if (value.includes('Cooling')) {
+        return CurrentHeatingCoolingState.COOL
+      }
+
+      return CurrentHeatingCoolingState.OFF
+    }
+
+    // Setup handler for when the value for the "Current Temperature" characteristic is requested by HomeKit.
+    // Devices without a temperature sensor (i.e some radiator valves) report the setpoint as the current
+    // temperature, and the last value of the characteristic is used if the device has neither.
+    const currentTemperatureCharacteristicName = 'Current Temperature'
+    const currentTemperatureZwaveNodeValueResolver = () => {
+      const temperature = findNodeValue(COMMAND_CLASS_SENSOR_MULTILEVEL, SENSOR_MULTILEVEL_INDEX_TEMPERATURE) ||
+        findNodeValue(COMMAND_CLASS_THERMOSTAT_SETPOINT, setpointIndexResolver())
+
+      return temperature
+        ? toCelsius(temperature.value, temperature.units)
+        : currentTemperatureCharacteristic.value
+    }
+
+    currentTemperatureCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        currentTemperatureCharacteristicName,
+        currentTemperatureZwaveNodeValueResolver
+      ))
+
+    // Setup handlers for when the value for the "Target Temperature" characteristic is requested / updated by HomeKit
+    const targetTemperatureCharacteristicName = 'Target Temperature'
+    const targetTemperatureZwaveNodeValueResolver = () => {
+      const setpoint = findNodeValue(COMMAND_CLASS_THERMOSTAT_SETPOINT, setpointIndexResolver())
+
+      return setpoint
+        ? toCelsius(setpoint.value, setpoint.units)
+        : targetTemperatureCharacteristic.value
+    }
+
+    targetTemperatureCharacteristic
+      .setProps({ minValue: THERMOSTAT_TARGET_TEMPERATURE_MIN, maxValue: THERMOSTAT_TARGET_TEMPERATURE_MAX })
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        targetTemperatureCharacteristicName,
+        targetTemperatureZwaveNodeValueResolver
+      ))
+      .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
+        targetTemperatureCharacteristicName,
+        () => ({
+          commandClass: COMMAND_CLASS_THERMOSTAT_SETPOINT,
+          valueIndex: setpointIndexResolver(),
+          valueInstance: zwaveInstance
+        }),
+        value => fromCelsius(value, setpointUnits),
+        { characteristic: targetTemperatureCharacteristic }
+      ))
+
+    // Setup handler for when the value for the "Current Heating Cooling State" characteristic is requested by HomeKit.
+    // If the device does not support reporting its operating state, the state is derived from the current mode, and
+    // devices that support neither (i.e some radiator valves) are always heating.
+    const currentHeatingCoolingStateCharacteristicName = 'Current Heating Cooling State'
+    const currentHeatingCoolingStateZwaveNodeValueResolver = () => {
+      const operatingState = findNodeValue(
+        COMMAND_CLASS_THERMOSTAT_OPERATING_STATE,
+        THERMOSTAT_OPERATING_STATE_INDEX_OPERATING_STATE
+      )
+
+      if (operatingState) {
+        return operatingStateValueFilter(operatingState.value)
+      }
+
+      const mode = findNodeValue(COMMAND_CLASS_THERMOSTAT_MODE, THERMOSTAT_MODE_INDEX_MODE)
+      const targetHeatingCoolingState = mode ? modeValueFilter(mode.value) : TargetHeatingCoolingState.HEAT
+
+      return targetHeatingCoolingState === TargetHeatingCoolingState.AUTO
+        ? CurrentHeatingCoolingState.OFF
+        : targetHeatingCoolingState
+    }
+
+    currentHeatingCoolingStateCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        currentHeatingCoolingStateCharacteristicName,
+        currentHeatingCoolingStateZwaveNodeValueResolver
+      ))
+
+    // Setup handlers for when the value for the "Target Heating Cooling State" characteristic is requested / updated by HomeKit
+    const targetHeatingCoolingStateCharacteristicName = 'Target Heating Cooling State'
+    const targetHeatingCoolingStateSetter = this._makeCharacteristicSetterForZwaveNodeValue(
+      targetHeatingCoolingStateCharacteristicName,
+      modeZwaveNodeValueCriteria,
+      value => modeLabels[value],
+      { characteristic: targetHeatingCoolingStateCharacteristic }
+    )
+
+    targetHeatingCoolingStateCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        targetHeatingCoolingStateCharacteristicName,
+        this._makeZwaveNodeValueResolver(modeZwaveNodeValueCriteria),
+        modeValueFilter
+      ))
+      .on('set', (value, done) => {
+        // A device without a mode is always heating, so there is no mode to write
+        if (!findNodeValue(COMMAND_CLASS_THERMOSTAT_MODE, THERMOSTAT_MODE_INDEX_MODE)) {
+          return done(null)
+        }
+
+        targetHeatingCoolingStateSetter(value, done)
+      })
+
+    // Setup handlers for when the value for the "Temperature Display Units" characteristic is requested / updated by HomeKit.
+    // The units used by the device can not be changed, so updates from HomeKit only affect how HomeKit displays the temperature
+    const temperatureDisplayUnitsCharacteristicName = 'Temperature Display Units'
+
+    temperatureDisplayUnitsCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        temperatureDisplayUnitsCharacteristicName,
+        () => setpointUnits,
+        units => units === 'F' ? TemperatureDisplayUnits.FAHRENHEIT : TemperatureDisplayUnits.CELSIUS
+      ))
+      .on('set', (value, done) => {
+        this._log(`${accessoryDisplayName} "${temperatureDisplayUnitsCharacteristicName}" value updating to: ${value}`)
+
+        done(null)
+      })
+
+    // Determine the units and supported modes of the device when the node is ready
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      const setpoint = findNodeValue(COMMAND_CLASS_THERMOSTAT_SETPOINT, THERMOSTAT_SETPOINT_INDEX_HEATING)
+      const mode = findNodeValue(COMMAND_CLASS_THERMOSTAT_MODE, THERMOSTAT_MODE_INDEX_MODE)
+
+      if (setpoint && setpoint.units) {
+        setpointUnits = setpoint.units
+      }
+
+      // Nodes that do not know the range of their setpoint report a range of 0 - 0
+      if (setpoint && Number.isFinite(setpoint.min) && Number.isFinite(setpoint.max) && setpoint.min < setpoint.max) {
+        targetTemperatureCharacteristic.setProps({
+          minValue: toCelsius(setpoint.min, setpointUnits),
+          maxValue: toCelsius(setpoint.max, setpointUnits)
+        })
+      }
+
+      // A device without a mode is always heating
+      if (!mode) {
+        targetHeatingCoolingStateCharacteristic.updateValue(TargetHeatingCoolingState.HEAT)
+        targetHeatingCoolingStateCharacteristic.setProps({ validValues: [TargetHeatingCoolingState.HEAT] })
+
+        return
+      }
+
+      if (!Array.isArray(mode.values)) {
+        return
+      }
+
+      const supportedModeLabels = {
+        [TargetHeatingCoolingState.OFF]: mode.values.find(label => label === 'Off'),
+        [TargetHeatingCoolingState.HEAT]: mode.values.find(label => label === 'Heat'),
+        [TargetHeatingCoolingState.COOL]: mode.values.find(label => label === 'Cool'),
+        [TargetHeatingCoolingState.AUTO]: mode.values.find(label => label === 'Auto' || label === 'Auto Changeover')
+      }
+      const validValues = Object.keys(supportedModeLabels)
+        .filter(state => supportedModeLabels[state] !== undefined)
+        .map(Number)
+
+      Object.assign(modeLabels, supportedModeLabels)
+
+      if (validValues.length > 0) {
+        targetHeatingCoolingStateCharacteristic.setProps({ validValues })
+      }
+    }))
+
+    // Setup handlers for when the corresponding ZWave node values are updated outside of HomeKit
+
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated, we manually bind handlers as
+    // the value of some characteristics depend on more than one ZWave node value
+    const updateCharacteristic = (characteristic, characteristicName, value) => {
+      if (characteristic.value === value || this._isCharacteristicOverridden(characteristic)) {
+        return
+      }
+
+      characteristic.updateValue(value)
+
+      this._log(`${accessoryDisplayName} "${characteristicName}" characteristic value updated to ${value} outside of HomeKit`)
+    }
+
+    const currentTemperatureZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      commandClass: COMMAND_CLASS_SENSOR_MULTILEVEL,
+      valueIndex: SENSOR_MULTILEVEL_INDEX_TEMPERATURE,
+      valueInstance: zwaveInstance
+    })
+
+    this._onZwaveNodeValueChanged(currentTemperatureZwaveNodeValueId, [currentTemperatureCharacteristic], () => {
+      updateCharacteristic(
+        currentTemperatureCharacteristic,
+        currentTemperatureCharacteristicName,
+        currentTemperatureZwaveNodeValueResolver()
+      )
+    })
+
+    const modeZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...modeZwaveNodeValueCriteria
+    })
+
+    this._onZwaveNodeValueChanged(modeZwaveNodeValueId, [targetHeatingCoolingStateCharacteristic, targetTemperatureCharacteristic, currentHeatingCoolingStateCharacteristic], value => {
+      updateCharacteristic(
+        targetHeatingCoolingStateCharacteristic,
+        targetHeatingCoolingStateCharacteristicName,
+        modeValueFilter(value)
+      )
+
+      // The mode determines which setpoint is used (and the current state if the device does not report its operating state)
+      updateCharacteristic(
+        targetTemperatureCharacteristic,
+        targetTemperatureCharacteristicName,
+        targetTemperatureZwaveNodeValueResolver()
+      )
+
+      updateCharacteristic(
+        currentHeatingCoolingStateCharacteristic,
+        currentHeatingCoolingStateCharacteristicName,
+        currentHeatingCoolingStateZwaveNodeValueResolver()
+      )
+    })
+
+    const operatingStateZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      commandClass: COMMAND_CLASS_THERMOSTAT_OPERATING_STATE,
+      valueIndex: THERMOSTAT_OPERATING_STATE_INDEX_OPERATING_STATE,
+      valueInstance: zwaveInstance
+    })
+
+    this._onZwaveNodeValueChanged(operatingStateZwaveNodeValueId, [currentHeatingCoolingStateCharacteristic], value => {
+      updateCharacteristic(
+        currentHeatingCoolingStateCharacteristic,
+        currentHeatingCoolingStateCharacteristicName,
+        operatingStateValueFilter(value)
+      )
+    })
+
+    new Set(Object.values(THERMOSTAT_MODE_SETPOINT_INDEXES).concat(THERMOSTAT_SETPOINT_INDEX_HEATING))
+      .forEach(setpointIndex => {
+        const setpointZwaveNodeValueId = this._zwave.generateNodeValueId({
+          nodeId: zwaveNodeId,
+          commandClass: COMMAND_CLASS_THERMOSTAT_SETPOINT,
+          valueIndex: setpointIndex,
+          valueInstance: zwaveInstance
+        })
+
+        this._onZwaveNodeValueChanged(setpointZwaveNodeValueId, [targetTemperatureCharacteristic, currentTemperatureCharacteristic], () => {
+          // Only the setpoint for the current mode is reflected in HomeKit
+          if (setpointIndex !== setpointIndexResolver()) {
+            return
+          }
+
+          updateCharacteristic(
+            targetTemperatureCharacteristic,
+            targetTemperatureCharacteristicName,
+            targetTemperatureZwaveNodeValueResolver()
+          )
+
+          // The setpoint is the current temperature of devices without a temperature sensor
+          updateCharacteristic(
+            currentTemperatureCharacteristic,
+            currentTemperatureCharacteristicName,
+            currentTemperatureZwaveNodeValueResolver()
+          )
+        })
+      })
+  }
+
+  /**
+   * Configure the "Window Covering" service for the accessory
+   *
+   * @param {Object} serviceConfig
+   */
+  _configureWindowCoveringService (serviceConfig) {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+    const zwaveInstance = serviceConfig.zwaveInstance
+    const invertPosition = () => Boolean(this._accessoryConfig.invertPosition !== undefined
+      ? this._accessoryConfig.invertPosition
+      : this._getProfileQuirk('invertPosition', false))
+
+    const service = this._getService(this._hapService.WindowCovering, serviceConfig.subtype, serviceConfig.displayName)
+    const currentPositionCharacteristic = service.getCharacteristic(this._hapCharacteristic.CurrentPosition)
+    const targetPositionCharacteristic = service.getCharacteristic(this._hapCharacteristic.TargetPosition)
+    const positionStateCharacteristic = service.getCharacteristic(this._hapCharacteristic.PositionState)
+    const holdPositionCharacteristic = service.getCharacteristic(this._hapCharacteristic.HoldPosition)
+    const zwaveNodeValueCriteria = {
+      commandClass: COMMAND_CLASS_SWITCH_MULTILEVEL,
+      valueIndex: SWITCH_MULTILEVEL_INDEX_LEVEL,
+      valueInstance: zwaveInstance
+    }
     const zwaveNodeValueResolver = this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria)
 
-    // Setup handler for when the value for the "Motion Detected" characteristic is requested by HomeKit
-    const motionDetectedCharacteristicName = 'Motion Detected'
-    const motionDetectedValueFilter = value => value.includes('Motion Detected')
+    const { PositionState } = this._hapCharacteristic
+
+    // Some modules report 0 as open rather than closed, so the position can be inverted via the config
+    // (or by the profile for the ZWave node)
+    const levelToPosition = level => {
+      level = Number(level)
+
+      const position = level >= SWITCH_MULTILEVEL_MAX_LEVEL ? 100 : level
+
+      return invertPosition() ? 100 - position : position
+    }
+    const positionToLevel = position => {
+      position = invertPosition() ? 100 - Number(position) : Number(position)
+
+      return Math.min(position, SWITCH_MULTILEVEL_MAX_LEVEL)
+    }
+
+    const updateCharacteristic = (characteristic, characteristicName, value) => {
+      if (characteristic.value === value || this._isCharacteristicOverridden(characteristic)) {
+        return
+      }
+
+      characteristic.updateValue(value)
+
+      this._log(`${accessoryDisplayName} "${characteristicName}" characteristic value updated to ${value} outside of HomeKit`)
+    }
 
-    motionDetectedCharacteristic
+    // Once position reports stop arriving, the window covering is considered to have stopped moving
+    let settleTimeout = null
+
+    const settle = () => {
+      clearTimeout(settleTimeout)
+
+      settleTimeout = setTimeout(() => {
+        updateCharacteristic(positionStateCharacteristic, 'Position State', PositionState.STOPPED)
+        updateCharacteristic(targetPositionCharacteristic, 'Target Position', currentPositionCharacteristic.value)
+      }, WINDOW_COVERING_SETTLE_TIMEOUT)
+    }
+
+    // The window covering can be removed while it is settling
+    this._trackZwaveHandler(() => clearTimeout(settleTimeout))
+
+    // Setup handler for when the value for the "Current Position" characteristic is requested by HomeKit
+    const currentPositionCharacteristicName = 'Current Position'
+
+    currentPositionCharacteristic
       .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
-        motionDetectedCharacteristicName,
+        currentPositionCharacteristicName,
         zwaveNodeValueResolver,
-        motionDetectedValueFilter
+        levelToPosition
       ))
 
-    // Setup handler for when the value for the "Status Tampered" characteristic is requested by HomeKit
-    const statusTamperedCharacteristicName = 'Status Tampered'
-    const statusTamperedValueFilter = value => value.includes('Tampering') ? 1 : 0
+    // Setup handlers for when the value for the "Target Position" characteristic is requested / updated by HomeKit.
+    // While the window covering is moving, the last target position requested is reported.
+    const targetPositionCharacteristicName = 'Target Position'
+    const setTargetPosition = this._makeCharacteristicSetterForZwaveNodeValue(
+      targetPositionCharacteristicName,
+      zwaveNodeValueCriteria,
+      positionToLevel,
+      // The node only reports the new level once the window covering has stopped moving, which can take
+      // longer than a write is given to be confirmed. The position state shows the progress instead.
+      { confirm: false }
+    )
 
-    statusTamperedCharacteristic
+    targetPositionCharacteristic
       .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
-        statusTamperedCharacteristicName,
+        targetPositionCharacteristicName,
         zwaveNodeValueResolver,
-        statusTamperedValueFilter
+        value => positionStateCharacteristic.value === PositionState.STOPPED
+          ? levelToPosition(value)
+          : targetPositionCharacteristic.value
       ))
+      .on('set', (value, done) => {
+        setTargetPosition(value, err => {
+          if (!err) {
+            settle()
+          }
+
+          done(err)
+        })
+      })
 
-    // Setup handlers for when the corresponding ZWave node value is updated outside of HomeKit
+    // Setup handler for when the value for the "Position State" characteristic is requested by HomeKit.
+    // The position state is derived from the direction of the position reports sent by the device.
+    positionStateCharacteristic
+      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+        'Position State',
+        () => positionStateCharacteristic.value
+      ))
 
-    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the "Motion Detected"
-    // and "Status Tampered" characteristic, we manually bind a handler as both characteristics use the
-    // same ZWave node value
-    const homeSecurityZwaveNodeValueId = this._zwave.generateNodeValueId({
-      nodeId: zwaveNodeId,
-      ...zwaveNodeValueCriteria
-    })
+    // Setup handler for when the value for the "Hold Position" characteristic is updated by HomeKit. This stops
+    // any level change that is in progress, by setting the level to the last position reported by the node.
+    holdPositionCharacteristic
+      .on('set', (value, done) => {
+        if (!value) {
+          return done(null)
+        }
 
-    this._zwave.onNodeValueChanged(homeSecurityZwaveNodeValueId, value => {
-      const motionDetected = motionDetectedValueFilter(value)
-      const statusTampered = statusTamperedValueFilter(value)
+        const position = currentPositionCharacteristic.value
 
-      if (motionDetectedCharacteristic.value !== motionDetected) {
-        motionDetectedCharacteristic.updateValue(motionDetected)
+        setTargetPosition(position, err => {
+          if (!err) {
+            targetPositionCharacteristic.updateValue(position)
+            settle()
+          }
 
-        this._log(`${accessoryDisplayName} "${motionDetectedCharacteristicName}" characteristic value updated to ${motionDetected} outside of HomeKit`)
-      }
+          done(err)
+        })
+      })
 
-      if (statusTamperedCharacteristic.value !== statusTampered) {
-        statusTamperedCharacteristic.updateValue(statusTampered)
+    // Set the initial position when the node is ready so that the direction of the first position report
+    // can be determined
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      const position = levelToPosition(zwaveNodeValueResolver())
 
-        this._log(`${accessoryDisplayName} "${statusTamperedCharacteristicName}" characteristic value updated to ${statusTampered} outside of HomeKit`)
-      }
+      currentPositionCharacteristic.updateValue(position)
+      targetPositionCharacteristic.updateValue(position)
+      positionStateCharacteristic.updateValue(PositionState.STOPPED)
+    }))
+
+    // Setup handler for when the corresponding ZWave node value is updated outside of HomeKit
+
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the "Current Position"
+    // characteristic, we manually bind a handler so that we can also update the "Position State" characteristic
+    const levelZwaveNodeValueId = this._zwave.generateNodeValueId({
+      nodeId: zwaveNodeId,
+      ...zwaveNodeValueCriteria
     })
-  }
 
-  /**
-   * Configure the "Temperature Sensor" service for the accessory
-   */
-  _configureTemperatureSensorService () {
-    const service = this._getService(this._hapService.TemperatureSensor)
-    const characteristic = service.getCharacteristic(this._hapCharacteristic.CurrentTemperature)
+    this._onZwaveNodeValueChanged(levelZwaveNodeValueId, [currentPositionCharacteristic, positionStateCharacteristic, targetPositionCharacteristic], value => {
+      const previousPosition = currentPositionCharacteristic.value
+      const position = levelToPosition(value)
 
-    // Setup handler for when the value for the "Current Temperature" characteristic is requested by HomeKit
-    const characteristicName = 'Current Temperature'
-    const zwaveNodeValueCriteria = {
-      commandClass: COMMAND_CLASS_SENSOR_MULTILEVEL,
-      valueIndex: SENSOR_MULTILEVEL_INDEX_TEMPERATURE
-    }
+      if (position !== previousPosition) {
+        updateCharacteristic(
+          positionStateCharacteristic,
+          'Position State',
+          position > previousPosition ? PositionState.INCREASING : PositionState.DECREASING
+        )
+      }
 
-    characteristic
-      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
-        characteristicName,
-        this._makeZwaveNodeValueResolver(zwaveNodeValueCriteria),
-        Number
-      ))
+      updateCharacteristic(currentPositionCharacteristic, currentPositionCharacteristicName, position)
 
-    // Setup handler for when the corresponding ZWave node value is updated outside of HomeKit
-    this._updateCharacteristicValueOnZwaveNodeValueUpdated(
-      characteristic,
-      characteristicName,
-      zwaveNodeValueCriteria,
-      Number
-    )
+      settle()
+    })
   }
 
   /**
@@ -356,127 +2263,188 @@ class AccessoryManager {
     const chargingStateCharacteristic = batteryService.getCharacteristic(this._hapCharacteristic.ChargingState)
     const statusLowBatteryCharacteristic = batteryService.getCharacteristic(this._hapCharacteristic.StatusLowBattery)
 
-    // Setup handler for when the value for the "Battery Level" characteristic is requested by HomeKit
-    const batteryLevelCharacteristicName = 'Battery Level'
-    const batteryLevelCharacteristicZwaveNodeValueCriteria = {
-      commandClass: COMMAND_CLASS_BATTERY,
-      valueIndex: BATTERY_INDEX_LEVEL
-    }
+    const { ChargingState, StatusLowBattery } = this._hapCharacteristic
 
-    batteryLevelCharacteristic
-      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
-        batteryLevelCharacteristicName,
-        this._makeZwaveNodeValueResolver(batteryLevelCharacteristicZwaveNodeValueCriteria),
-        Number
-      ))
+    // Only the battery level is reported in a standard way. Whether the battery is charging, and the level
+    // at which the battery is considered low, are device specific so they can only be resolved via the
+    // profile for the ZWave node.
+    const findBatteryNodeValues = () => ({
+      batteryLevel: this._findProfileZwaveNodeValue('batteryLevel', {
+        commandClass: COMMAND_CLASS_BATTERY,
+        index: BATTERY_INDEX_LEVEL
+      }),
+      batteryChargingState: this._findProfileZwaveNodeValue('batteryChargingState'),
+      batteryLowLevel: this._findProfileZwaveNodeValue('batteryLowLevel')
+    })
 
-    // Setup handler for when the value for the "Charging State" characteristic is requested by HomeKit
-    const chargingStateCharacteristicName = 'Charging State'
-    const chargingStateCharacteristicZwaveNodeValueCriteria = {
-      commandClass: COMMAND_CLASS_CONFIGURATION,
-      valueIndex: CONFIGURATION_INDEX_CURRENT_POWER_MODE
-    }
-    const chargingStateCharacteristicValueFilter = value => value.includes('Battery power') ? 0 : 1
+    const resolveBatteryState = () => {
+      const { batteryLevel, batteryChargingState, batteryLowLevel } = findBatteryNodeValues()
 
-    chargingStateCharacteristic
-      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
-        chargingStateCharacteristicName,
-        this._makeZwaveNodeValueResolver(chargingStateCharacteristicZwaveNodeValueCriteria),
-        chargingStateCharacteristicValueFilter
-      ))
+      const level = batteryLevel ? Number(batteryLevel.value) : 0
+      const lowLevel = batteryLowLevel
+        ? Number(batteryLowLevel.value)
+        : this._getProfileQuirk('lowBatteryLevel', LOW_BATTERY_LEVEL)
 
-    // Setup handler for when the value for the "Status Low Battery" characteristic is requested by HomeKit
-    const statusLowBatteryCharacteristicName = 'Status Low Battery'
-    const statusLowBatteryCharacteristicZwaveNodeValueResolver = () => {
-      const { value: batteryLevel } = this._zwave.findNodeValue(zwaveNodeId, {
-        class_id: COMMAND_CLASS_BATTERY,
-        index: BATTERY_INDEX_LEVEL
-      })
+      let chargingState = ChargingState.NOT_CHARGEABLE
 
-      const { value: currentPowerMode } = this._zwave.findNodeValue(zwaveNodeId, {
-        class_id: COMMAND_CLASS_CONFIGURATION,
-        index: CONFIGURATION_INDEX_CURRENT_POWER_MODE
-      })
+      if (batteryChargingState) {
+        chargingState = batteryChargingState.value ? ChargingState.CHARGING : ChargingState.NOT_CHARGING
+      }
 
-      const { value: minBatteryLevel } = this._zwave.findNodeValue(zwaveNodeId, {
-        class_id: COMMAND_CLASS_CONFIGURATION,
-        index: CONFIGURATION_INDEX_LOW_BATTERY
-      })
+      const lowBattery = chargingState !== ChargingState.CHARGING && level < lowLevel
 
-      const isCharging = Boolean(chargingStateCharacteristicValueFilter(currentPowerMode))
-      const lowBattery = !isCharging && (Number(batteryLevel) < Number(minBatteryLevel))
+      return {
+        'Battery Level': level,
+        'Charging State': chargingState,
+        'Status Low Battery': lowBattery ? StatusLowBattery.BATTERY_LEVEL_LOW : StatusLowBattery.BATTERY_LEVEL_NORMAL
+      }
+    }
 
-      return lowBattery ? 1 : 0
+    const characteristics = {
+      'Battery Level': batteryLevelCharacteristic,
+      'Charging State': chargingStateCharacteristic,
+      'Status Low Battery': statusLowBatteryCharacteristic
     }
 
-    statusLowBatteryCharacteristic
-      .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
-        statusLowBatteryCharacteristicName,
-        statusLowBatteryCharacteristicZwaveNodeValueResolver
-      ))
+    // Setup handlers for when the values for the characteristics are requested by HomeKit
+    Object.entries(characteristics).forEach(([characteristicName, characteristic]) => {
+      characteristic
+        .on('get', this._makeCharacteristicGetterForZwaveNodeValue(
+          characteristicName,
+          () => resolveBatteryState()[characteristicName]
+        ))
+    })
 
     // Setup handlers for when the corresponding ZWave node values are updated outside of HomeKit
 
-    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated to update the "Battery Level"
-    // characteristic, we manually bind a handler so that we can also update the "Status Low Battery"
-    // characteristic at the the same time
-    const batteryLevelCharacteristicZwaveNodeValueId = this._zwave.generateNodeValueId({
-      nodeId: zwaveNodeId,
-      commandClass: COMMAND_CLASS_BATTERY,
-      valueIndex: BATTERY_INDEX_LEVEL
-    })
+    // Instead of using _updateCharacteristicValueOnZwaveNodeValueUpdated, we manually bind a handler to each
+    // of the ZWave node values as all of the characteristics are computed from the same node values. The
+    // node values are not known until the node is ready (and the profile for the node has been found).
+    const subscribedBatteryNodeValueIds = new Set()
 
-    this._zwave.onNodeValueChanged(batteryLevelCharacteristicZwaveNodeValueId, value => {
-      value = Number(value)
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      const batteryNodeValueIds = Object.values(findBatteryNodeValues())
+        .filter(nodeValue => nodeValue !== undefined)
+        .map(nodeValue => nodeValue.id)
+        .filter(nodeValueId => !subscribedBatteryNodeValueIds.has(nodeValueId))
 
-      batteryLevelCharacteristic.updateValue(value)
+      new Set(batteryNodeValueIds).forEach(batteryNodeValueId => {
+        subscribedBatteryNodeValueIds.add(batteryNodeValueId)
 
-      this._log(`${accessoryDisplayName} "Battery Level" characteristic value updated to ${value} outside of HomeKit`)
+        this._onZwaveNodeValueChanged(batteryNodeValueId, Object.values(characteristics), () => {
+          const batteryState = resolveBatteryState()
 
-      // Check if we need to update the "Status Low Battery" characteristic
-      const { value: currentPowerMode } = this._zwave.findNodeValue(zwaveNodeId, {
-        class_id: COMMAND_CLASS_CONFIGURATION,
-        index: CONFIGURATION_INDEX_CURRENT_POWER_MODE
+          Object.entries(characteristics).forEach(([characteristicName, characteristic]) => {
+            const value = batteryState[characteristicName]
+
+            // Only update the characteristic if the computed value is different
+            if (characteristic.value !== value && !this._isCharacteristicOverridden(characteristic)) {
+              characteristic.updateValue(value)
+
+              this._log(`${accessoryDisplayName} "${characteristicName}" characteristic value updated to ${value} outside of HomeKit`)
+            }
+          })
+        })
       })
+    }))
+  }
+
+  /**
+   * Configure a "Stateless Programmable Switch" service for each scene supported by the accessory. The
+   * number of scenes is not known until the node is ready, so the services are configured at that point.
+   */
+  _configureStatelessProgrammableSwitchServices () {
+    const accessoryDisplayName = this._accessory.displayName
+    const zwaveNodeId = this._accessoryConfig.zwaveNodeId
+
+    const { ProgrammableSwitchEvent, ServiceLabelIndex, ServiceLabelNamespace } = this._hapCharacteristic
+
+    const sceneEventFilter = sceneEvent => {
+      // Scene Activation command class events do not have a key attribute
+      if (sceneEvent === undefined) {
+        return ProgrammableSwitchEvent.SINGLE_PRESS
+      }
+
+      sceneEvent = String(sceneEvent)
+
+      if (sceneEvent.includes('Pressed 1 Time')) {
+        return ProgrammableSwitchEvent.SINGLE_PRESS
+      }
+
+      if (sceneEvent.includes('Pressed 2 Times')) {
+        return ProgrammableSwitchEvent.DOUBLE_PRESS
+      }
 
-      const { value: minBatteryLevel } = this._zwave.findNodeValue(zwaveNodeId, {
-        class_id: COMMAND_CLASS_CONFIGURATION,
-        index: CONFIGURATION_INDEX_LOW_BATTERY
+      if (sceneEvent.includes('Held')) {
+        return ProgrammableSwitchEvent.LONG_PRESS
+      }
+
+      return null
+    }
+
+    const getSceneService = sceneId => {
+      const service = this._getService(
+        this._hapService.StatelessProgrammableSwitch,
+        `scene-${sceneId}`,
+        `${accessoryDisplayName} ${sceneId}`
+      )
+
+      service.getCharacteristic(ServiceLabelIndex).updateValue(sceneId)
+
+      return service
+    }
+
+    this._trackZwaveHandler(this._zwave.onNodeReady(zwaveNodeId, () => {
+      const sceneCountNodeValue = this._zwave.findNodeValue(zwaveNodeId, {
+        class_id: COMMAND_CLASS_CENTRAL_SCENE,
+        index: CENTRAL_SCENE_INDEX_SCENE_COUNT
       })
+      const sceneCount = Number(sceneCountNodeValue ? sceneCountNodeValue.value : 1)
+
+      // HomeKit requires a "Service Label" service to tell the buttons apart
+      this._getService(this._hapService.ServiceLabel)
+        .updateCharacteristic(ServiceLabelNamespace, ServiceLabelNamespace.ARABIC_NUMERALS)
+
+      for (let sceneId = 1; sceneId <= sceneCount; sceneId++) {
+        getSceneService(sceneId)
+      }
 
-      const isCharging = Boolean(chargingStateCharacteristicValueFilter(currentPowerMode))
-      const lowBattery = (
-        !isCharging && (value < Number(minBatteryLevel))
-      ) ? 1 : 0
+      this._log(`${accessoryDisplayName} has ${sceneCount} scene(s)`)
+    }))
 
-      // Only update the characteristic if the computed value is different
-      if (statusLowBatteryCharacteristic.value !== lowBattery) {
-        statusLowBatteryCharacteristic.updateValue(lowBattery)
+    // Setup handler for when a scene is activated on the node
+    this._trackZwaveHandler(this._zwave.onNodeSceneActivated(zwaveNodeId, (sceneId, sceneEvent) => {
+      const programmableSwitchEvent = sceneEventFilter(sceneEvent)
 
-        this._log(`${accessoryDisplayName} "Status Low Battery" characteristic value updated to ${lowBattery} outside of HomeKit`)
+      if (programmableSwitchEvent === null) {
+        return
       }
-    })
 
-    this._updateCharacteristicValueOnZwaveNodeValueUpdated(
-      chargingStateCharacteristic,
-      chargingStateCharacteristicName,
-      chargingStateCharacteristicZwaveNodeValueCriteria,
-      chargingStateCharacteristicValueFilter
-    )
+      getSceneService(sceneId)
+        .getCharacteristic(ProgrammableSwitchEvent)
+        .updateValue(programmableSwitchEvent)
+
+      this._log(`${accessoryDisplayName} scene ${sceneId} "Programmable Switch Event" triggered: ${programmableSwitchEvent}`)
+    }))
   }
 
   /**
    * Configure the "Switch" service for the accessory
+   *
+   * @param {Object} serviceConfig
    */
-  _configureSwitchService () {
-    const service = this._getService(this._hapService.Switch)
+  _configureSwitchService (serviceConfig) {
+    const zwaveInstance = serviceConfig.zwaveInstance
+
+    const service = this._getService(this._hapService.Switch, serviceConfig.subtype, serviceConfig.displayName)
     const characteristic = service.getCharacteristic(this._hapCharacteristic.On)
 
     // Setup handlers for when the value for the "On" characteristic is requested / updated by HomeKit
     const characteristicName = 'On'
     const characteristicZwaveNodeValueCriteria = {
       commandClass: COMMAND_CLASS_SWITCH_BINARY,
-      valueIndex: SWITCH_BINARY_INDEX_SWITCH
+      valueIndex: SWITCH_BINARY_INDEX_SWITCH,
+      valueInstance: zwaveInstance
     }
 
     characteristic
@@ -488,7 +2456,8 @@ class AccessoryManager {
       .on('set', this._makeCharacteristicSetterForZwaveNodeValue(
         characteristicName,
         characteristicZwaveNodeValueCriteria,
-        Boolean
+        Boolean,
+        { characteristic }
       ))
 
     // Setup handlers for when the corresponding ZWave node values are updated outside of HomeKit
@@ -498,17 +2467,170 @@ class AccessoryManager {
       characteristicZwaveNodeValueCriteria,
       Boolean
     )
+
+    this._configureEnergyCharacteristics(service, zwaveInstance)
   }
 
   /**
    * Get a service associated with the accessory. If the service does not exist on
-   * the accessory, ensure it is created.
+   * the accessory, ensure it is created. A subtype must be provided if the accessory
+   * can have more than one service of the same type.
    *
    * @param   {string} serviceType
+   * @param   {string} subtype
+   * @param   {string} displayName
    * @returns {Object}
    */
-  _getService (serviceType) {
-    return this._accessory.getService(serviceType) || this._accessory.addService(serviceType, this._accessory.displayName)
+  _getService (serviceType, subtype, displayName = this._accessory.displayName) {
+    if (subtype === undefined) {
+      return this._accessory.getService(serviceType) || this._accessory.addService(serviceType, displayName)
+    }
+
+    return this._accessory.getServiceById(serviceType, subtype) || this._accessory.addService(serviceType, displayName, subtype)
+  }
+
+  /**
+   * Add a handler for when a ZWave node value is changed that updates the given characteristics. The
+   * characteristics are tracked so that the accessory can be found from the node value (see
+   * getZwaveNodeValueMappings), and so that the handler can be removed if a characteristic mapping
+   * overrides the characteristics (see _overrideCharacteristic).
+   *
+   * @param {string} nodeValueId
+   * @param {Object[]} characteristics
+   * @param {Function} callback
+   */
+  _onZwaveNodeValueChanged (nodeValueId, characteristics, callback) {
+    if (!this._zwaveNodeValueCharacteristics.has(nodeValueId)) {
+      this._zwaveNodeValueCharacteristics.set(nodeValueId, new Set())
+    }
+
+    characteristics.forEach(characteristic => this._zwaveNodeValueCharacteristics.get(nodeValueId).add(characteristic))
+
+    const zwaveHandler = {
+      remove: this._zwave.onNodeValueChanged(nodeValueId, callback),
+      characteristics: new Set(characteristics)
+    }
+
+    this._trackZwaveHandler(zwaveHandler.remove)
+
+    characteristics.forEach(characteristic => {
+      if (!this._characteristicZwaveHandlers.has(characteristic)) {
+        this._characteristicZwaveHandlers.set(characteristic, new Set())
+      }
+
+      this._characteristicZwaveHandlers.get(characteristic).add(zwaveHandler)
+    })
+  }
+
+  /**
+   * Stop a characteristic from being updated by the ZWave handlers added for it, as a characteristic
+   * mapping has replaced them. Handlers that only update the characteristic are removed. Handlers that
+   * also update other characteristics are kept, and skip the characteristic (see _isCharacteristicOverridden).
+   *
+   * @param {Object} characteristic
+   */
+  _overrideCharacteristic (characteristic) {
+    const zwaveHandlers = this._characteristicZwaveHandlers.get(characteristic) || new Set()
+
+    this._overriddenCharacteristics.add(characteristic)
+    this._characteristicZwaveHandlers.delete(characteristic)
+
+    this._zwaveNodeValueCharacteristics.forEach(characteristics => characteristics.delete(characteristic))
+
+    zwaveHandlers.forEach(zwaveHandler => {
+      zwaveHandler.characteristics.delete(characteristic)
+
+      if (zwaveHandler.characteristics.size === 0) {
+        zwaveHandler.remove()
+
+        this._zwaveHandlers = this._zwaveHandlers.filter(removeZwaveHandler => removeZwaveHandler !== zwaveHandler.remove)
+      }
+    })
+  }
+
+  /**
+   * Whether a characteristic has been overridden by a characteristic mapping, so should not be updated
+   * by the handlers of a service
+   *
+   * @param   {Object} characteristic
+   * @returns {boolean}
+   */
+  _isCharacteristicOverridden (characteristic) {
+    return this._overriddenCharacteristics.has(characteristic)
+  }
+
+  /**
+   * Keep track of a ZWave handler so that it can be removed when the accessory manager is destroyed
+   *
+   * @param {Function} removeZwaveHandler the function returned when the handler was added
+   */
+  _trackZwaveHandler (removeZwaveHandler) {
+    this._zwaveHandlers.push(removeZwaveHandler)
+  }
+
+  /**
+   * Find a named ZWave node value. The location of the value, and how the value is transformed, can
+   * be overridden by the profile for the ZWave node (see profiles.js).
+   *
+   * @param   {string} name
+   * @param   {{commandClass: number, index: number, instance: number, transform: Object}} defaultLocation
+   * @returns {{id: string, value: *}|undefined}
+   */
+  _findProfileZwaveNodeValue (name, defaultLocation) {
+    const profileValues = (this._profile && this._profile.values) || {}
+    const location = profileValues[name] || defaultLocation
+
+    if (location === undefined) {
+      return undefined
+    }
+
+    const nodeValue = this._findZwaveNodeValue({
+      class_id: location.commandClass,
+      index: location.index,
+      instance: location.instance || this._accessoryConfig.zwaveInstance
+    })
+
+    if (nodeValue === undefined) {
+      return undefined
+    }
+
+    return {
+      id: nodeValue.value_id,
+      value: makeValueTransform(location.transform).read(nodeValue.value)
+    }
+  }
+
+  /**
+   * Get a quirk from the profile for the ZWave node
+   *
+   * @param   {string} name
+   * @param   {*} defaultValue value to use if the profile does not have the quirk
+   * @returns {*}
+   */
+  _getProfileQuirk (name, defaultValue) {
+    const profileQuirks = (this._profile && this._profile.quirks) || {}
+
+    return profileQuirks[name] !== undefined ? profileQuirks[name] : defaultValue
+  }
+
+  /**
+   * Whether the ZWave node for the accessory is dead (i.e the node has lost power)
+   *
+   * @returns {boolean}
+   */
+  _isZwaveNodeDead () {
+    return this._zwave.getNodeHealth(this._accessoryConfig.zwaveNodeId) === NODE_HEALTH_DEAD
+  }
+
+  /**
+   * Whether the ZWave node for the accessory is dead or is not responding to messages
+   *
+   * @returns {boolean}
+   */
+  _isZwaveNodeFaulty () {
+    const health = this._zwave.getNodeHealth(this._accessoryConfig.zwaveNodeId)
+
+    return health === NODE_HEALTH_DEAD || health === NODE_HEALTH_UNRESPONSIVE
   }
 
   /**
@@ -529,8 +2651,32 @@ class AccessoryManager {
 
       this._log(`${accessoryDisplayName} "${characteristicName}" characteristic value requested`)
 
+      // Until the ZWave node is ready, the last known value of the node is used (if there is one)
       if (this._accessoryReadyState === READY_STATE_UNREADY) {
-        const errMsg = `${accessoryDisplayName} is not yet ready`
+        this._staleZwaveNodeValueIds.clear()
+
+        const staleValue = zwaveNodeValueResolver()
+        const staleZwaveNodeValueIds = Array.from(this._staleZwaveNodeValueIds)
+
+        if (staleValue === undefined || staleZwaveNodeValueIds.length === 0) {
+          const errMsg = `${accessoryDisplayName} is not yet ready`
+
+          this._log(errMsg)
+
+          return done(new Error(errMsg))
+        }
+
+        this._log(
+          `${accessoryDisplayName} is not yet ready, using the last known "${characteristicName}" characteristic value ` +
+          `(stale ZWave node value(s): ${staleZwaveNodeValueIds.join(', ')})`
+        )
+
+        return done(null, valueFilter(staleValue))
+      }
+
+      // HomeKit shows the accessory as "No Response" while the ZWave node is dead
+      if (this._isZwaveNodeDead()) {
+        const errMsg = `${accessoryDisplayName} is not responding`
 
         this._log(errMsg)
 
@@ -543,47 +2689,69 @@ class AccessoryManager {
     }
   }
 
+  /**
+   * Find the first node value of the ZWave node matching a given criteria. Last known values (see
+   * ZWave.findNodeValue) are recorded so that a characteristic getter knows its value is stale.
+   *
+   * @param   {Object} criteria
+   * @returns {Object|undefined}
+   */
+  _findZwaveNodeValue (criteria) {
+    const nodeValue = this._zwave.findNodeValue(this._accessoryConfig.zwaveNodeId, criteria)
+
+    if (nodeValue !== undefined && nodeValue.stale) {
+      this._staleZwaveNodeValueIds.add(nodeValue.value_id)
+    }
+
+    return nodeValue
+  }
+
   /**
    * Create a ZWave node value resolver
    *
-   * @param   {{commandClass: number, valueIndex: number}} zwaveNodeValueCriteria
+   * @param   {{commandClass: number, valueIndex: number, valueInstance: number}} zwaveNodeValueCriteria
+   * @param   {*} defaultValue value to resolve if the node does not have the value
    * @returns {Function}
    */
-  _makeZwaveNodeValueResolver ({ commandClass, valueIndex }) {
+  _makeZwaveNodeValueResolver ({ commandClass, valueIndex, valueInstance }, defaultValue) {
     return () => {
-      const zwaveNodeId = this._accessoryConfig.zwaveNodeId
-
-      const { value } = this._zwave.findNodeValue(zwaveNodeId, {
+      const nodeValue = this._findZwaveNodeValue({
         class_id: commandClass,
-        index: valueIndex
+        index: valueIndex,
+        instance: valueInstance
       })
 
-      return value
+      return nodeValue ? nodeValue.value : defaultValue
     }
   }
 
   /**
    * Create a characteristic setter for a zwave node value
    *
+   * The ZWave node value criteria can be a function if the node value to update can only be
+   * determined at the time of the update (i.e a thermostat setpoint that depends on the current mode)
+   *
+   * HomeKit is only told that the value has been updated once the node has confirmed the new value.
+   * If the node does not confirm the new value, HomeKit is given an error and the characteristic is
+   * rolled back to its previous value. Values that the node does not report back (i.e a button) should
+   * not be confirmed.
+   *
    * @param   {string} characteristicName
-   * @param   {{commandClass: number, valueIndex: number}} zwaveNodeValueCriteria
+   * @param   {{commandClass: number, valueIndex: number, valueInstance: number}|Function} zwaveNodeValueCriteria
    * @param   {Function} valueFilter
+   * @param   {{characteristic: Object, confirm: boolean}} options
    * @returns {Function}
    */
   _makeCharacteristicSetterForZwaveNodeValue (
     characteristicName,
-    { commandClass, valueIndex },
-    valueFilter = v => v
+    zwaveNodeValueCriteria,
+    valueFilter = v => v,
+    { characteristic = null, confirm = true } = {}
   ) {
     return (value, done) => {
       const accessoryDisplayName = this._accessoryConfig.displayName
       const zwaveNodeId = this._accessoryConfig.zwaveNodeId
       const newValue = valueFilter(value)
-      const nodeValueId = this._zwave.generateNodeValueId({
-        nodeId: zwaveNodeId,
-        commandClass,
-        valueIndex
-      })
 
       this._log(`${accessoryDisplayName} "${characteristicName}" value updating to: ${newValue}`)
 
@@ -595,16 +2763,66 @@ class AccessoryManager {
         return done(new Error(errMsg))
       }
 
-      this._zwave.updateNodeValueById(nodeValueId, newValue)
+      // HomeKit shows the accessory as "No Response" while the ZWave node is dead
+      if (this._isZwaveNodeDead()) {
+        const errMsg = `${accessoryDisplayName} is not responding`
+
+        this._log(errMsg)
+
+        return done(new Error(errMsg))
+      }
+
+      const { commandClass, valueIndex, valueInstance } = typeof zwaveNodeValueCriteria === 'function'
+        ? zwaveNodeValueCriteria()
+        : zwaveNodeValueCriteria
+      const nodeValueId = this._zwave.generateNodeValueId({
+        nodeId: zwaveNodeId,
+        commandClass,
+        valueInstance,
+        valueIndex
+      })
+
+      if (!confirm) {
+        this._zwave.updateNodeValueById(nodeValueId, newValue)
+
+        return done(null)
+      }
+
+      this._zwave.updateNodeValueByIdWithConfirmation(nodeValueId, newValue, err => {
+        if (!err) {
+          return done(null)
+        }
+
+        this._log(`${accessoryDisplayName} "${characteristicName}" value was not updated to ${newValue}: ${err.message}`)
+
+        done(err)
+
+        if (characteristic !== null) {
+          this._rollbackCharacteristicValue(characteristic)
+        }
+      })
+    }
+  }
 
-      done(null)
+  /**
+   * Tell HomeKit the current value of a characteristic after an update of the characteristic has failed,
+   * so that HomeKit does not show the value that could not be set
+   *
+   * @param {Object} characteristic
+   */
+  _rollbackCharacteristicValue (characteristic) {
+    // HAP only notifies HomeKit of a value that has not changed via sendEventNotification (HAP-NodeJS >= 0.9)
+    if (typeof characteristic.sendEventNotification === 'function') {
+      characteristic.sendEventNotification(characteristic.value)
+    } else {
+      characteristic.updateValue(characteristic.value)
     }
   }
 
   /**
    * Update a characteristic when a zwave node value gets updated
    *
-   * @param {{commandClass: number, valueIndex: number}} zwaveNodeValueCriteria
+   * @param {{commandClass: number, valueIndex: number, valueInstance: number}} zwaveNodeValueCriteria
    * @param {Object} characteristic
    * @param {string} characteristicName
    * @param {Function} valueFilter
@@ -612,7 +2830,7 @@ class AccessoryManager {
   _updateCharacteristicValueOnZwaveNodeValueUpdated (
     characteristic,
     characteristicName,
-    { commandClass, valueIndex },
+    { commandClass, valueIndex, valueInstance },
     valueFilter = v => v
   ) {
     const accessoryDisplayName = this._accessoryConfig.displayName
@@ -620,10 +2838,11 @@ class AccessoryManager {
     const nodeValueId = this._zwave.generateNodeValueId({
       nodeId: zwaveNodeId,
       commandClass,
+      valueInstance,
       valueIndex
     })
 
-    this._zwave.onNodeValueChanged(nodeValueId, value => {
+    this._onZwaveNodeValueChanged(nodeValueId, [characteristic], value => {
       value = valueFilter(value)
 
       characteristic.updateValue(value)
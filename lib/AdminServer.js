@@ -0,0 +1,386 @@
+const crypto = require('crypto')
+const http = require('http')
+const { URL } = require('url')
+
+// The admin API can change the state of any node, so it is only ever bound to localhost
+const ADMIN_SERVER_HOST = '127.0.0.1'
+const ADMIN_SERVER_PORT = 8090
+
+// The largest request body (in bytes) that is accepted
+const MAX_REQUEST_BODY_SIZE = 65536
+
+// How often (in milliseconds) a comment is sent to event stream clients so that idle connections are not closed
+const EVENT_STREAM_KEEP_ALIVE_INTERVAL = 30000
+
+class HttpError extends Error {
+  /**
+   * HttpError constructor
+   *
+   * @param {number} statusCode
+   * @param {string} message
+   */
+  constructor (statusCode, message) {
+    super(message)
+
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Compare two strings in constant time, so that the token can not be guessed by timing requests
+ *
+ * @param   {string} a
+ * @param   {string} b
+ * @returns {boolean}
+ */
+function isSameToken (a, b) {
+  const hash = token => crypto.createHash('sha256').update(token).digest()
+
+  return crypto.timingSafeEqual(hash(a), hash(b))
+}
+
+class AdminServer {
+  /**
+   * AdminServer constructor
+   *
+   * @param {Object} zwave
+   * @param {Function} getNodeValueMappings returns the characteristics each node value is mapped to
+   * @param {Function} log
+   * @param {Object} adminConfig
+   */
+  constructor (zwave, getNodeValueMappings, log, { port = ADMIN_SERVER_PORT, token }) {
+    this._zwave = zwave
+    this._getNodeValueMappings = getNodeValueMappings
+    this._log = log
+    this._port = port
+    this._token = token
+
+    this._server = null
+    this._eventStreams = new Set()
+  }
+
+  /**
+   * Start the server
+   */
+  start () {
+    this._server = http.createServer((req, res) => this._handleRequest(req, res))
+
+    this._server.on('error', err => {
+      this._log(`Admin API could not be started on ${ADMIN_SERVER_HOST}:${this._port}: ${err.message}`)
+    })
+
+    this._server.listen(this._port, ADMIN_SERVER_HOST, () => {
+      this._log(`Admin API listening on http://${ADMIN_SERVER_HOST}:${this._server.address().port}`)
+    })
+  }
+
+  /**
+   * Stop the server, closing any open event streams
+   */
+  stop () {
+    if (this._server === null) {
+      return
+    }
+
+    this._eventStreams.forEach(closeEventStream => closeEventStream())
+
+    this._server.close()
+    this._server = null
+  }
+
+  /**
+   * Handle a request to the server
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  _handleRequest (req, res) {
+    const url = new URL(req.url, `http://${ADMIN_SERVER_HOST}`)
+
+    if (!this._isAuthorized(req, url)) {
+      return this._sendError(res, new HttpError(401, 'A valid token is required'))
+    }
+
+    try {
+      this._routeRequest(req, res, url)
+    } catch (err) {
+      this._sendError(res, err)
+    }
+  }
+
+  /**
+   * Route a request to the handler for its method and path
+   *
+   * @param  {http.IncomingMessage} req
+   * @param  {http.ServerResponse} res
+   * @param  {URL} url
+   * @throws {HttpError}
+   */
+  _routeRequest (req, res, url) {
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '')}`
+    let match
+
+    if (route === 'GET /nodes') {
+      return this._sendJson(res, 200, this._zwave.getNodes().map(node => this._serializeNode(node)))
+    }
+
+    if ((match = route.match(/^GET \/nodes\/(\d+)$/))) {
+      return this._sendJson(res, 200, this._getNode(Number(match[1])))
+    }
+
+    if ((match = route.match(/^GET \/values\/([\d-]+)$/))) {
+      return this._sendJson(res, 200, this._getNodeValue(match[1]))
+    }
+
+    if ((match = route.match(/^PUT \/values\/([\d-]+)$/))) {
+      return this._setNodeValue(req, res, match[1])
+    }
+
+    if (route === 'GET /events') {
+      return this._openEventStream(req, res)
+    }
+
+    this._sendError(res, new HttpError(404, `${req.method} ${url.pathname} not found`))
+  }
+
+  /**
+   * Whether a request has the token, either as a bearer token or as a query parameter (as browsers
+   * can not set headers when opening an event stream)
+   *
+   * @param   {http.IncomingMessage} req
+   * @param   {URL} url
+   * @returns {boolean}
+   */
+  _isAuthorized (req, url) {
+    const [scheme, headerToken] = (req.headers.authorization || '').split(' ')
+    const token = scheme === 'Bearer' ? headerToken : url.searchParams.get('token')
+
+    return typeof token === 'string' && isSameToken(token, this._token)
+  }
+
+  /**
+   * Get a node with its values, and the characteristics each value is mapped to
+   *
+   * @param   {number} nodeId
+   * @returns {Object}
+   * @throws  {HttpError}
+   */
+  _getNode (nodeId) {
+    const node = this._zwave.getNode(nodeId)
+
+    if (node === undefined) {
+      throw new HttpError(404, `Node ${nodeId} not found`)
+    }
+
+    const mappings = this._getNodeValueMappings()
+
+    return Object.assign(this._serializeNode(node), {
+      values: Array.from(node.values.values()).map(value => this._serializeNodeValue(value, mappings))
+    })
+  }
+
+  /**
+   * Get a node value, and the characteristics it is mapped to
+   *
+   * @param   {string} nodeValueId
+   * @returns {Object}
+   * @throws  {HttpError}
+   */
+  _getNodeValue (nodeValueId) {
+    const node = this._zwave.getNode(Number(nodeValueId.split('-')[0]))
+    const value = node === undefined ? undefined : node.values.get(nodeValueId)
+
+    if (value === undefined) {
+      throw new HttpError(404, `Value ${nodeValueId} not found`)
+    }
+
+    return this._serializeNodeValue(value, this._getNodeValueMappings())
+  }
+
+  /**
+   * Set a node value from the request body (i.e {"value": true}), responding once the node has
+   * reported the new value
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string} nodeValueId
+   */
+  _setNodeValue (req, res, nodeValueId) {
+    this._readJsonBody(req, (err, body) => {
+      if (err) {
+        return this._sendError(res, err)
+      }
+
+      let value
+
+      try {
+        value = this._getNodeValue(nodeValueId)
+      } catch (err) {
+        return this._sendError(res, err)
+      }
+
+      if (value.read_only) {
+        return this._sendError(res, new HttpError(400, `Value ${nodeValueId} is read only`))
+      }
+
+      if (body === null || typeof body !== 'object' || !['boolean', 'number', 'string'].includes(typeof body.value)) {
+        return this._sendError(res, new HttpError(400, 'The request body must be an object with a boolean, number or string value'))
+      }
+
+      this._log(`Admin API setting value ${nodeValueId}: ${value.value} -> ${body.value}`)
+
+      this._zwave.updateNodeValueByIdWithConfirmation(nodeValueId, body.value, err => {
+        if (err) {
+          return this._sendError(res, new HttpError(504, err.message))
+        }
+
+        try {
+          this._sendJson(res, 200, this._getNodeValue(nodeValueId))
+        } catch (err) {
+          this._sendError(res, err)
+        }
+      })
+    })
+  }
+
+  /**
+   * Stream value changes to the client as Server-Sent Events
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  _openEventStream (req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+    res.write(': connected\n\n')
+
+    // The socket can be destroyed before the request emits 'close', in which case the stream is closed
+    // instead of writing to it
+    const writeEvent = event => {
+      if (res.writableEnded || res.socket === null || res.socket.destroyed) {
+        closeEventStream()
+      } else {
+        res.write(event)
+      }
+    }
+
+    const removeNodeValueChangedHandler = this._zwave.onAnyNodeValueChanged((nodeValueId, value) => {
+      writeEvent(`event: value\ndata: ${JSON.stringify({ value_id: nodeValueId, value })}\n\n`)
+    })
+    const keepAliveTimer = setInterval(() => writeEvent(': keep-alive\n\n'), EVENT_STREAM_KEEP_ALIVE_INTERVAL)
+
+    // Both stop() and the request's 'close' event close the stream, so it is only closed once
+    const closeEventStream = () => {
+      if (!this._eventStreams.has(closeEventStream)) {
+        return
+      }
+
+      removeNodeValueChangedHandler()
+      clearInterval(keepAliveTimer)
+
+      this._eventStreams.delete(closeEventStream)
+
+      if (!res.writableEnded) {
+        res.end()
+      }
+    }
+
+    this._eventStreams.add(closeEventStream)
+
+    req.on('close', closeEventStream)
+  }
+
+  /**
+   * Read and parse the JSON body of a request
+   *
+   * @param {http.IncomingMessage} req
+   * @param {Function} done
+   */
+  _readJsonBody (req, done) {
+    let body = ''
+    let tooLarge = false
+
+    req.setEncoding('utf8')
+
+    req.on('data', chunk => {
+      body += chunk
+
+      if (body.length > MAX_REQUEST_BODY_SIZE) {
+        tooLarge = true
+        body = ''
+      }
+    })
+
+    req.on('end', () => {
+      if (tooLarge) {
+        return done(new HttpError(413, 'The request body is too large'))
+      }
+
+      try {
+        done(null, JSON.parse(body))
+      } catch (err) {
+        done(new HttpError(400, `The request body is not valid JSON: ${err.message}`))
+      }
+    })
+  }
+
+  /**
+   * Serialize a node, without its values
+   *
+   * @param   {Object} node
+   * @returns {Object}
+   */
+  _serializeNode (node) {
+    const { values, ...nodeData } = node
+
+    return Object.assign({ ready: false }, nodeData)
+  }
+
+  /**
+   * Serialize a node value, with the characteristics it is mapped to
+   *
+   * @param   {Object} value
+   * @param   {Object[]} mappings
+   * @returns {Object}
+   */
+  _serializeNodeValue (value, mappings) {
+    return Object.assign({}, value, {
+      homekit: mappings
+        .filter(({ nodeValueId }) => nodeValueId === value.value_id)
+        .map(({ nodeValueId, ...mapping }) => mapping)
+    })
+  }
+
+  /**
+   * Send a JSON response
+   *
+   * @param {http.ServerResponse} res
+   * @param {number} statusCode
+   * @param {*} body
+   */
+  _sendJson (res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+
+  /**
+   * Send an error response
+   *
+   * @param {http.ServerResponse} res
+   * @param {Error} err
+   */
+  _sendError (res, err) {
+    const statusCode = err instanceof HttpError ? err.statusCode : 500
+
+    if (statusCode === 500) {
+      this._log(`Admin API request failed: ${err.message}`)
+    }
+
+    this._sendJson(res, statusCode, { error: err.message })
+  }
+}
+
+module.exports = AdminServer
@@ -0,0 +1,202 @@
+const {
+  CONTROLLER_STATE_CANCEL,
+  CONTROLLER_STATE_COMPLETED,
+  CONTROLLER_STATE_ERROR,
+  CONTROLLER_STATE_FAILED,
+  CONTROLLER_STATE_NODE_FAILED,
+
+  DRIVER_STATE_READY
+} = require('./ZWave')
+
+// How long (in seconds) the controller stays in inclusion / exclusion mode if no node is added / removed
+const CONTROLLER_COMMAND_TIMEOUT = 60
+
+const CONTROLLER_COMMAND_INCLUDE = 'include'
+const CONTROLLER_COMMAND_EXCLUDE = 'exclude'
+
+class ControllerManager {
+  /**
+   * ControllerManager constructor
+   *
+   * @param {Object} hapService
+   * @param {Object} hapCharacteristic
+   * @param {Function} log
+   * @param {Object} zwave
+   */
+  constructor (
+    hapService,
+    hapCharacteristic,
+    log,
+    zwave
+  ) {
+    this._hapService = hapService
+    this._hapCharacteristic = hapCharacteristic
+    this._log = log
+    this._zwave = zwave
+
+    this._accessory = null
+    this._controllerConfig = null
+    this._commandSwitchCharacteristics = new Map()
+    this._activeCommand = null
+  }
+
+  /**
+   * Initialize the controller accessory. The accessory has a switch to put the controller into
+   * inclusion mode, and a switch to put the controller into exclusion mode.
+   *
+   * @param {Object} controllerConfig
+   * @param {Object} accessory
+   */
+  initializeAccessory (controllerConfig, accessory) {
+    this._controllerConfig = controllerConfig
+    this._accessory = accessory
+
+    this._configureCommandSwitchService(CONTROLLER_COMMAND_INCLUDE, 'Z-Wave Include')
+    this._configureCommandSwitchService(CONTROLLER_COMMAND_EXCLUDE, 'Z-Wave Exclude')
+
+    // Keep track of the node that was added / removed by the active command so that it can be logged
+    this._zwave.onAnyNodeAdded(nodeId => {
+      if (this._activeCommand !== null && this._activeCommand.name === CONTROLLER_COMMAND_INCLUDE) {
+        this._activeCommand.nodeId = nodeId
+      }
+    })
+
+    this._zwave.onAnyNodeRemoved(nodeId => {
+      if (this._activeCommand !== null && this._activeCommand.name === CONTROLLER_COMMAND_EXCLUDE) {
+        this._activeCommand.nodeId = nodeId
+      }
+    })
+
+    // The active command can not complete if the ZWave driver fails
+    this._zwave.onDriverFailed(() => {
+      if (this._activeCommand !== null) {
+        this._finishCommand(`Z-Wave ${this._activeCommand.name} failed as the ZWave driver has failed`)
+      }
+    })
+
+    // Turn off the switch for the active command once the command has finished
+    this._zwave.onControllerCommand((state, error, message) => {
+      if (this._activeCommand === null) {
+        return
+      }
+
+      const { name, nodeId } = this._activeCommand
+
+      switch (state) {
+        case CONTROLLER_STATE_COMPLETED:
+          this._finishCommand(nodeId === undefined
+            ? `Z-Wave ${name} completed`
+            : `Z-Wave ${name} completed for node ${nodeId}`
+          )
+          break
+        case CONTROLLER_STATE_CANCEL:
+        case CONTROLLER_STATE_ERROR:
+        case CONTROLLER_STATE_FAILED:
+        case CONTROLLER_STATE_NODE_FAILED:
+          this._finishCommand(`Z-Wave ${name} failed: ${message}`)
+          break
+        default:
+          this._log(`Z-Wave ${name} in progress: ${message}`)
+      }
+    })
+  }
+
+  /**
+   * Configure a switch service that starts / stops a controller command
+   *
+   * @param {string} commandName
+   * @param {string} displayName
+   */
+  _configureCommandSwitchService (commandName, displayName) {
+    const service = this._accessory.getServiceById(this._hapService.Switch, commandName) ||
+      this._accessory.addService(this._hapService.Switch, displayName, commandName)
+    const characteristic = service.getCharacteristic(this._hapCharacteristic.On)
+
+    this._commandSwitchCharacteristics.set(commandName, characteristic)
+
+    // A command is never in progress when the accessory is initialized
+    characteristic.updateValue(false)
+
+    characteristic
+      .on('get', done => {
+        done(null, this._activeCommand !== null && this._activeCommand.name === commandName)
+      })
+      .on('set', (value, done) => {
+        if (this._zwave.getDriverState() !== DRIVER_STATE_READY) {
+          const errMsg = `Z-Wave ${commandName} is unavailable as the ZWave driver is not ready`
+
+          this._log(errMsg)
+
+          return done(new Error(errMsg))
+        }
+
+        if (value) {
+          this._startCommand(commandName)
+        } else if (this._activeCommand !== null && this._activeCommand.name === commandName) {
+          this._cancelCommand(`Z-Wave ${commandName} cancelled`)
+        }
+
+        done(null)
+      })
+  }
+
+  /**
+   * Start a controller command. Any command already in progress is cancelled first, as the
+   * controller can only run one command at a time.
+   *
+   * @param {string} commandName
+   */
+  _startCommand (commandName) {
+    if (this._activeCommand !== null) {
+      this._cancelCommand(`Z-Wave ${this._activeCommand.name} cancelled`)
+    }
+
+    const timeout = this._controllerConfig.timeout || CONTROLLER_COMMAND_TIMEOUT
+
+    this._activeCommand = {
+      name: commandName,
+      nodeId: undefined,
+      timer: setTimeout(() => {
+        this._cancelCommand(`Z-Wave ${commandName} timed out after ${timeout} seconds`)
+      }, timeout * 1000)
+    }
+
+    if (commandName === CONTROLLER_COMMAND_INCLUDE) {
+      this._zwave.startInclusion(Boolean(this._controllerConfig.secureInclusion))
+    } else {
+      this._zwave.startExclusion()
+    }
+
+    this._log(`Z-Wave ${commandName} started`)
+  }
+
+  /**
+   * Cancel the active controller command
+   *
+   * @param {string} message
+   */
+  _cancelCommand (message) {
+    this._finishCommand(message)
+
+    this._zwave.cancelControllerCommand()
+  }
+
+  /**
+   * Finish the active controller command, turning off the switch for the command
+   *
+   * @param {string} message
+   */
+  _finishCommand (message) {
+    const { name, timer } = this._activeCommand
+
+    clearTimeout(timer)
+
+    this._activeCommand = null
+
+    this._commandSwitchCharacteristics.get(name).updateValue(false)
+
+    this._log(message)
+  }
+}
+
+module.exports = ControllerManager
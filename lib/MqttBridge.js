@@ -0,0 +1,294 @@
+const mqtt = require('mqtt')
+const {
+  DRIVER_STATE_READY,
+  NODE_HEALTH_DEAD
+} = require('./ZWave')
+
+const MQTT_TOPIC_PREFIX = 'zwave'
+
+const AVAILABILITY_ONLINE = 'online'
+const AVAILABILITY_OFFLINE = 'offline'
+
+/**
+ * Encode a node value as an MQTT payload. Strings are published as they are so that they do not
+ * need to be decoded by subscribers, everything else is published as JSON.
+ *
+ * @param   {*} value
+ * @returns {string}
+ */
+function encodeValue (value) {
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Decode an MQTT payload as a node value. Payloads that are not JSON (i.e a list option) are
+ * used as strings.
+ *
+ * @param   {Buffer} payload
+ * @returns {*}
+ */
+function decodeValue (payload) {
+  const value = payload.toString()
+
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    return value
+  }
+}
+
+class MqttBridge {
+  /**
+   * MqttBridge constructor
+   *
+   * @param {Object} zwave
+   * @param {Function} log
+   * @param {Object} mqttConfig
+   */
+  constructor (zwave, log, { url, username, password, topicPrefix = MQTT_TOPIC_PREFIX }) {
+    this._zwave = zwave
+    this._log = log
+    this._url = url
+    this._username = username
+    this._password = password
+    this._topicPrefix = topicPrefix.replace(/\/+$/, '')
+
+    this._client = null
+    this._zwaveHandlers = []
+
+    // The topics published for each node, so that the retained values can be cleared when the node is removed
+    this._nodeTopics = new Map()
+  }
+
+  /**
+   * Connect to the MQTT broker and start mirroring the ZWave network
+   */
+  start () {
+    this._client = mqtt.connect(this._url, {
+      username: this._username,
+      password: this._password,
+      // The broker marks the bridge as offline if the connection is lost
+      will: {
+        topic: this._getBridgeAvailabilityTopic(),
+        payload: AVAILABILITY_OFFLINE,
+        qos: 1,
+        retain: true
+      }
+    })
+
+    this._client.on('connect', () => {
+      this._log(`Connected to MQTT broker ${this._url}`)
+
+      // The broker may have lost the retained messages (i.e the broker being restarted), so the state of
+      // the network is published every time the bridge connects
+      this._publishBridgeAvailability()
+
+      this._zwave.getNodes()
+        .filter(node => node.ready)
+        .forEach(node => this._publishNode(node))
+    })
+
+    this._client.on('error', err => {
+      this._log(`MQTT error: ${err.message}`)
+    })
+
+    this._client.on('message', (topic, payload) => this._handleSetMessage(topic, payload))
+
+    this._client.subscribe(`${this._topicPrefix}/+/+/+/+/set`, { qos: 1 })
+
+    this._zwaveHandlers.push(
+      this._zwave.onDriverReady(() => this._publishBridgeAvailability()),
+      this._zwave.onDriverFailed(() => this._publishBridgeAvailability()),
+      this._zwave.onAnyNodeReady(node => this._publishNode(node)),
+      this._zwave.onAnyNodeRemoved(nodeId => this._clearNode(nodeId)),
+      this._zwave.onAnyNodeHealthChanged(nodeId => this._publishNodeAvailability(this._zwave.getNode(nodeId))),
+      this._zwave.onAnyNodeValueChanged(nodeValueId => this._publishNodeValue(this._findNodeValue(nodeValueId)))
+    )
+  }
+
+  /**
+   * Stop mirroring the ZWave network and disconnect from the MQTT broker
+   */
+  stop () {
+    if (this._client === null) {
+      return
+    }
+
+    this._zwaveHandlers.forEach(removeZwaveHandler => removeZwaveHandler())
+    this._zwaveHandlers = []
+
+    this._publish(this._getBridgeAvailabilityTopic(), AVAILABILITY_OFFLINE)
+
+    this._client.end()
+    this._client = null
+  }
+
+  /**
+   * Handler for messages on the set topics (i.e zwave/4/37/1/0/set)
+   *
+   * @param {string} topic
+   * @param {Buffer} payload
+   */
+  _handleSetMessage (topic, payload) {
+    const match = topic.slice(this._topicPrefix.length).match(/^\/(\d+)\/(\d+)\/(\d+)\/(\d+)\/set$/)
+
+    if (match === null) {
+      return
+    }
+
+    const [nodeId, commandClass, valueInstance, valueIndex] = match.slice(1).map(Number)
+    const nodeValueId = this._zwave.generateNodeValueId({ nodeId, commandClass, valueInstance, valueIndex })
+    const nodeValue = this._findNodeValue(nodeValueId)
+    const value = decodeValue(payload)
+
+    if (nodeValue === undefined) {
+      this._log(`MQTT value ${nodeValueId} not set as the value does not exist`)
+
+      return
+    }
+
+    if (nodeValue.read_only) {
+      this._log(`MQTT value ${nodeValueId} not set as the value is read only`)
+
+      return
+    }
+
+    this._log(`MQTT setting value ${nodeValueId}: ${nodeValue.value} -> ${value}`)
+
+    this._zwave.updateNodeValueById(nodeValueId, value)
+  }
+
+  /**
+   * Publish the availability and values of a node
+   *
+   * @param {Object} node
+   */
+  _publishNode (node) {
+    this._publishNodeAvailability(node)
+
+    node.values.forEach(nodeValue => this._publishNodeValue(nodeValue))
+  }
+
+  /**
+   * Publish the availability and health of a node. A node is available unless it is dead.
+   *
+   * @param {Object} node
+   */
+  _publishNodeAvailability (node) {
+    if (node === undefined) {
+      return
+    }
+
+    this._publishNodeTopic(node.id, `${this._topicPrefix}/${node.id}/health`, node.health)
+    this._publishNodeTopic(
+      node.id,
+      `${this._topicPrefix}/${node.id}/status`,
+      node.health === NODE_HEALTH_DEAD ? AVAILABILITY_OFFLINE : AVAILABILITY_ONLINE
+    )
+  }
+
+  /**
+   * Publish a node value (i.e zwave/4/37/1/0)
+   *
+   * @param {Object} nodeValue
+   */
+  _publishNodeValue (nodeValue) {
+    if (nodeValue === undefined || nodeValue.value === undefined) {
+      return
+    }
+
+    const nodeId = Number(nodeValue.value_id.split('-')[0])
+
+    this._publishNodeTopic(
+      nodeId,
+      `${this._topicPrefix}/${nodeId}/${nodeValue.class_id}/${nodeValue.instance}/${nodeValue.index}`,
+      encodeValue(nodeValue.value)
+    )
+  }
+
+  /**
+   * Clear the retained values of a node that has been removed from the network, and mark the node
+   * as unavailable
+   *
+   * @param {number} nodeId
+   */
+  _clearNode (nodeId) {
+    const statusTopic = `${this._topicPrefix}/${nodeId}/status`
+    const topics = this._nodeTopics.get(nodeId) || new Set()
+
+    topics.forEach(topic => {
+      if (topic !== statusTopic) {
+        this._publish(topic, '')
+      }
+    })
+
+    this._nodeTopics.delete(nodeId)
+
+    this._publish(statusTopic, AVAILABILITY_OFFLINE)
+  }
+
+  /**
+   * Publish the availability of the bridge. The bridge is available when the ZWave driver is ready.
+   */
+  _publishBridgeAvailability () {
+    this._publish(
+      this._getBridgeAvailabilityTopic(),
+      this._zwave.getDriverState() === DRIVER_STATE_READY ? AVAILABILITY_ONLINE : AVAILABILITY_OFFLINE
+    )
+  }
+
+  /**
+   * Publish a topic for a node, keeping track of the topic so that it can be cleared later
+   *
+   * @param {number} nodeId
+   * @param {string} topic
+   * @param {string} payload
+   */
+  _publishNodeTopic (nodeId, topic, payload) {
+    if (!this._nodeTopics.has(nodeId)) {
+      this._nodeTopics.set(nodeId, new Set())
+    }
+
+    this._nodeTopics.get(nodeId).add(topic)
+
+    this._publish(topic, payload)
+  }
+
+  /**
+   * Publish a retained message. Nothing is published while the bridge is disconnected, as the state of
+   * the network is published when the bridge connects.
+   *
+   * @param {string} topic
+   * @param {string} payload
+   */
+  _publish (topic, payload) {
+    if (this._client === null || !this._client.connected) {
+      return
+    }
+
+    this._client.publish(topic, payload, { qos: 1, retain: true })
+  }
+
+  /**
+   * Find a node value by its ID
+   *
+   * @param   {string} nodeValueId
+   * @returns {Object|undefined}
+   */
+  _findNodeValue (nodeValueId) {
+    const node = this._zwave.getNode(Number(nodeValueId.split('-')[0]))
+
+    return node === undefined ? undefined : node.values.get(nodeValueId)
+  }
+
+  /**
+   * Get the topic for the availability of the bridge
+   *
+   * @returns {string}
+   */
+  _getBridgeAvailabilityTopic () {
+    return `${this._topicPrefix}/status`
+  }
+}
+
+module.exports = MqttBridge
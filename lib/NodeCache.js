@@ -0,0 +1,192 @@
+const fs = require('fs')
+const path = require('path')
+
+// How long to wait (in milliseconds) after a change before the cache is saved, so that a burst of
+// changes (i.e the network being scanned) only results in the cache being saved once
+const SAVE_DELAY = 5000
+
+class NodeCache {
+  /**
+   * NodeCache constructor
+   *
+   * @param {string} cachePath
+   * @param {Function} log
+   */
+  constructor (cachePath, log) {
+    this._cachePath = cachePath
+    this._log = log
+
+    this._nodes = new Map()
+    this._saveTimer = null
+  }
+
+  /**
+   * Load the cache from disk. The cache will be empty if it does not exist or can not be read.
+   */
+  load () {
+    let cachedNodes
+
+    try {
+      cachedNodes = JSON.parse(fs.readFileSync(this._cachePath, 'utf8')).nodes || []
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this._log(`Node cache could not be loaded from ${this._cachePath}: ${err.message}`)
+      }
+
+      return
+    }
+
+    cachedNodes.forEach(({ id, data, values }) => {
+      this._nodes.set(id, {
+        data,
+        values: new Map(values.map(value => [value.value_id, value]))
+      })
+    })
+
+    this._log(`Loaded ${this._nodes.size} node(s) from the node cache`)
+  }
+
+  /**
+   * Get a cached node. Returns undefined if the node is not cached.
+   *
+   * @param   {number} nodeId
+   * @returns {{data: Object, values: Map}|undefined}
+   */
+  getNode (nodeId) {
+    return this._nodes.get(nodeId)
+  }
+
+  /**
+   * Cache the data (i.e manufacturer, product) for a node
+   *
+   * @param {number} nodeId
+   * @param {Object} data
+   */
+  setNodeData (nodeId, data) {
+    this._getOrCreateNode(nodeId).data = data
+
+    this._scheduleSave()
+  }
+
+  /**
+   * Cache a node value
+   *
+   * @param {number} nodeId
+   * @param {Object} value
+   */
+  setNodeValue (nodeId, value) {
+    this._getOrCreateNode(nodeId).values.set(value.value_id, Object.assign({}, value))
+
+    this._scheduleSave()
+  }
+
+  /**
+   * Remove a node value from the cache
+   *
+   * @param {number} nodeId
+   * @param {string} valueId
+   */
+  removeNodeValue (nodeId, valueId) {
+    const node = this._nodes.get(nodeId)
+
+    if (node !== undefined && node.values.delete(valueId)) {
+      this._scheduleSave()
+    }
+  }
+
+  /**
+   * Remove a node from the cache
+   *
+   * @param {number} nodeId
+   */
+  removeNode (nodeId) {
+    if (this._nodes.delete(nodeId)) {
+      this._scheduleSave()
+    }
+  }
+
+  /**
+   * Save any pending changes to disk straight away. This is synchronous so that the changes are saved
+   * before Homebridge exits.
+   */
+  flush () {
+    if (this._saveTimer === null) {
+      return
+    }
+
+    clearTimeout(this._saveTimer)
+    this._saveTimer = null
+
+    const tmpCachePath = `${this._cachePath}.tmp`
+
+    try {
+      fs.mkdirSync(path.dirname(this._cachePath), { recursive: true })
+      fs.writeFileSync(tmpCachePath, this._serialize())
+      fs.renameSync(tmpCachePath, this._cachePath)
+    } catch (err) {
+      this._log(`Node cache could not be saved to ${this._cachePath}: ${err.message}`)
+    }
+  }
+
+  /**
+   * Get a cached node, creating it if it is not cached
+   *
+   * @param   {number} nodeId
+   * @returns {{data: Object, values: Map}}
+   */
+  _getOrCreateNode (nodeId) {
+    if (!this._nodes.has(nodeId)) {
+      this._nodes.set(nodeId, { data: {}, values: new Map() })
+    }
+
+    return this._nodes.get(nodeId)
+  }
+
+  /**
+   * Save the cache to disk once the save delay has passed
+   */
+  _scheduleSave () {
+    if (this._saveTimer !== null) {
+      return
+    }
+
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null
+
+      this._save()
+    }, SAVE_DELAY)
+
+    // A pending save should not stop Homebridge from exiting
+    this._saveTimer.unref()
+  }
+
+  /**
+   * Save the cache to disk. The cache is written to a temporary file first so that the cache is
+   * not corrupted if Homebridge exits while the cache is being written.
+   */
+  _save () {
+    const tmpCachePath = `${this._cachePath}.tmp`
+
+    fs.promises.mkdir(path.dirname(this._cachePath), { recursive: true })
+      .then(() => fs.promises.writeFile(tmpCachePath, this._serialize()))
+      .then(() => fs.promises.rename(tmpCachePath, this._cachePath))
+      .catch(err => this._log(`Node cache could not be saved to ${this._cachePath}: ${err.message}`))
+  }
+
+  /**
+   * Serialize the cache as JSON
+   *
+   * @returns {string}
+   */
+  _serialize () {
+    const cachedNodes = Array.from(this._nodes.entries()).map(([id, { data, values }]) => ({
+      id,
+      data,
+      values: Array.from(values.values())
+    }))
+
+    return JSON.stringify({ nodes: cachedNodes })
+  }
+}
+
+module.exports = NodeCache
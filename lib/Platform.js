@@ -1,10 +1,26 @@
 const { deepStrictEqual } = require('assert').strict
+const path = require('path')
 const AccessoryManager = require('./AccessoryManager')
+const AdminServer = require('./AdminServer')
+const ControllerManager = require('./ControllerManager')
+const NodeCache = require('./NodeCache')
 const Joi = require('@hapi/joi')
 const ZWave = require('./ZWave')
+const { BACKEND_OPENZWAVE, BACKEND_SIMULATED, BACKENDS, createBackend } = require('./backends')
+const { discoverAccessoryConfig } = require('./discovery')
+const { createEveCharacteristics } = require('./eve')
+const { loadProfiles } = require('./profiles')
 
 module.exports = (pluginName, platformName, homebridge) => {
   const ACCESSORY_CONTEXT_KEY_ACCESSORY_CONFIG = `__${pluginName}_${platformName}_accessory_config__`
+  const ACCESSORY_CONTEXT_KEY_ACCESSORY_DISCOVERED = `__${pluginName}_${platformName}_accessory_discovered__`
+  const ACCESSORY_CONTEXT_KEY_CONTROLLER_CONFIG = `__${pluginName}_${platformName}_controller_config__`
+
+  // HomeKit gives up waiting for a characteristic to be set after 10 seconds, so all of the attempts to
+  // write a value must have timed out before then (in seconds)
+  const MAX_WRITE_CONFIRMATION_TIME = 9
+
+  const eveCharacteristics = createEveCharacteristics(homebridge.hap.Characteristic)
 
   class ZWavePlatform {
     /**
@@ -21,6 +37,10 @@ module.exports = (pluginName, platformName, homebridge) => {
 
       this._accessories = new Map()
       this._redundantCachedAccessories = []
+      this._discoveredAccessoryUUIDs = new Map()
+      this._autoDiscoveryStarted = false
+      this._controllerManager = null
+      this._zwave = null
 
       // Validate the config - We validate the config here so that configureAccessory
       // will not get executed if the config is invalid
@@ -32,18 +52,69 @@ module.exports = (pluginName, platformName, homebridge) => {
         return
       }
 
+      // Door locks only work on a secure network
+      const hasLockAccessory = this._config.accessories.some(({ homekitCategory }) => homekitCategory === 'Lock')
+
+      if (hasLockAccessory && !this._config.zwave.networkKey) {
+        this._log.warn('zwave.networkKey has not been set - Lock accessories will not work without a secure network')
+      }
+
+      // Load the device profiles - Relative paths are resolved from the Homebridge storage path
+      const profilePaths = (this._config.profiles || []).map(profilePath => {
+        return path.resolve(homebridge.user.storagePath(), profilePath)
+      })
+
+      this._profiles = loadProfiles(profilePaths, message => this._log.warn(message))
+
       // Initialize ZWave - We initialize ZWave here so that when an accessory is
       // reinitialized in configureAccessory, any ZWave event handlers can be setup
       const zwaveLog = message => {
         this._log.debug(`[zwave] ${message}`)
       }
 
-      this._zwave = new ZWave(
-        this._config.zwave.devicePath,
-        this._config.zwave.networkKey || undefined,
-        zwaveLog
+      // A simulated network replaces the ZWave controller - The path to the fixture for the simulated
+      // network is resolved from the Homebridge storage path
+      const { simulate } = this._config.zwave
+
+      if (simulate) {
+        this._log.warn(`Using a simulated ZWave network (${simulate}) instead of the ZWave controller`)
+      }
+
+      let backend
+
+      try {
+        backend = createBackend(
+          simulate ? BACKEND_SIMULATED : this._config.zwave.backend || BACKEND_OPENZWAVE,
+          simulate ? path.resolve(homebridge.user.storagePath(), simulate) : this._config.zwave.devicePath,
+          this._config.zwave.networkKey || undefined,
+          zwaveLog
+        )
+      } catch (err) {
+        this._log.error(`${platformName} will not be initialized: ${err.message}`)
+
+        return
+      }
+
+      // The last known values of the nodes are used by accessories until the network is ready. A simulated
+      // network is cached separately so that it does not replace the last known values of the real network.
+      const nodeCache = new NodeCache(
+        path.join(homebridge.user.storagePath(), pluginName, simulate ? 'nodes-simulated.json' : 'nodes.json'),
+        message => this._log.debug(message)
       )
 
+      nodeCache.load()
+
+      // Changes waiting to be saved would be lost when Homebridge exits
+      this._api.on('shutdown', () => nodeCache.flush())
+
+      // Writes are confirmed by the node reporting the new value - The write timeout is configured in seconds
+      const { writeTimeout, writeRetries } = this._config.zwave
+
+      this._zwave = new ZWave(backend, zwaveLog, nodeCache, {
+        writeTimeout: writeTimeout === undefined ? undefined : writeTimeout * 1000,
+        writeRetries
+      })
+
       // Initialize the platform
       this._api.on('didFinishLaunching', this._initPlatform.bind(this))
     }
@@ -57,6 +128,20 @@ module.exports = (pluginName, platformName, homebridge) => {
      * @param {Object} accessory
      */
     configureAccessory (accessory) {
+      // The platform has not been initialized (i.e due to a configuration error)
+      if (this._zwave === null) {
+        return
+      }
+
+      const cachedControllerConfig = accessory.context[ACCESSORY_CONTEXT_KEY_CONTROLLER_CONFIG]
+
+      // The controller accessory is not defined in the accessories config, so it is handled separately
+      if (cachedControllerConfig !== undefined) {
+        this._configureCachedControllerAccessory(accessory, cachedControllerConfig)
+
+        return
+      }
+
       const cachedAccessoryConfig = accessory.context[ACCESSORY_CONTEXT_KEY_ACCESSORY_CONFIG]
 
       // Should we remove this accessory from the cache so that it can be reinitialized later?
@@ -68,6 +153,27 @@ module.exports = (pluginName, platformName, homebridge) => {
         return
       }
 
+      // Accessories that were automatically discovered are not defined in the config, so they are only
+      // removed if the node should no longer be discovered
+      if (accessory.context[ACCESSORY_CONTEXT_KEY_ACCESSORY_DISCOVERED]) {
+        if (!this._shouldDiscoverNode(cachedAccessoryConfig.zwaveNodeId)) {
+          this._redundantCachedAccessories.push(accessory)
+
+          this._log.debug(`${cachedAccessoryConfig.displayName} will be removed from the cache due to no longer being discovered`)
+
+          return
+        }
+
+        this._discoveredAccessoryUUIDs.set(cachedAccessoryConfig.zwaveNodeId, accessory.UUID)
+
+        this._accessories.set(
+          accessory.UUID,
+          this._initAccessory(cachedAccessoryConfig, accessory, true)
+        )
+
+        return
+      }
+
       // Should we remove this accessory from the cache due to it being stale? (previously cached but no longer defined in the config)
       const accessoryIsStale = !this._config.accessories.some(accessoryConfig => {
         try {
@@ -94,46 +200,216 @@ module.exports = (pluginName, platformName, homebridge) => {
       )
     }
 
+    /**
+     * Configure the cached controller accessory
+     *
+     * @param {Object} accessory
+     * @param {Object} cachedControllerConfig
+     */
+    _configureCachedControllerAccessory (accessory, cachedControllerConfig) {
+      const controllerConfig = this._getControllerConfig()
+      let controllerAccessoryIsStale = controllerConfig === null
+
+      try {
+        deepStrictEqual(cachedControllerConfig, controllerConfig)
+      } catch (err) {
+        controllerAccessoryIsStale = true
+      }
+
+      if (this._config.noCache || controllerAccessoryIsStale) {
+        this._redundantCachedAccessories.push(accessory)
+
+        this._log.debug(`${accessory.displayName} will be removed from the cache`)
+
+        return
+      }
+
+      this._controllerManager = this._initControllerAccessory(controllerConfig, accessory)
+    }
+
     /**
      * Validate the configuration
      *
      * @throws {Error}
      */
     _validateConfig () {
+      // A service can be defined as just its type, or as an object that targets a specific ZWave instance
+      const serviceConfigSchema = (...types) => Joi.alternatives().try(
+        Joi.string().valid(...types),
+        Joi.object().keys({
+          type: Joi.string().valid(...types).required(),
+          zwaveInstance: Joi.number().integer().min(1),
+          displayName: Joi.string()
+        })
+      )
+
       const accessoryConfigSchema = Joi.object().keys({
         zwaveNodeId: Joi.number().integer().required(),
+        zwaveInstance: Joi.number().integer().min(1).optional(),
         displayName: Joi.string().required(),
-        homekitCategory: Joi.string().valid('Outlet', 'Sensor', 'Switch').required(),
+        homekitCategory: Joi.string().valid(
+          'Button',
+          'Lightbulb',
+          'Lock',
+          'Outlet',
+          'Sensor',
+          'Switch',
+          'Thermostat',
+          'WindowCovering'
+        ).required(),
         homekitServices: Joi.array()
+          .when('homekitCategory', {
+            is: 'Button',
+            then: Joi.array().items(serviceConfigSchema(
+              'Battery',
+              'StatelessProgrammableSwitch'
+            )).min(1).required()
+          })
+          .when('homekitCategory', {
+            is: 'Lightbulb',
+            then: Joi.array().items(serviceConfigSchema(
+              'ColorLightbulb',
+              'Lightbulb'
+            )).min(1).required()
+          })
+          .when('homekitCategory', {
+            is: 'Lock',
+            then: Joi.array().items(serviceConfigSchema('LockMechanism')).min(1).required()
+          })
           .when('homekitCategory', {
             is: 'Outlet',
-            then: Joi.array().items('Outlet').min(1).required()
+            then: Joi.array().items(serviceConfigSchema('Outlet')).min(1).required()
           })
           .when('homekitCategory', {
             is: 'Sensor',
-            then: Joi.array().items(
+            then: Joi.array().items(serviceConfigSchema(
               'Battery',
+              'CarbonMonoxideSensor',
+              'ContactSensor',
               'HumiditySensor',
+              'LeakSensor',
               'LightSensor',
               'MotionSensor',
+              'SmokeSensor',
               'TemperatureSensor'
-            ).min(1).required()
+            )).min(1).required()
           })
           .when('homekitCategory', {
             is: 'Switch',
-            then: Joi.array().items(
+            then: Joi.array().items(serviceConfigSchema(
               'Switch'
-            ).min(1).required()
+            )).min(1).required()
+          })
+          .when('homekitCategory', {
+            is: 'Thermostat',
+            then: Joi.array().items(serviceConfigSchema(
+              'Thermostat'
+            )).min(1).required()
           })
+          .when('homekitCategory', {
+            is: 'WindowCovering',
+            then: Joi.array().items(serviceConfigSchema(
+              'WindowCovering'
+            )).min(1).required()
+          }),
+        invertPosition: Joi.boolean().optional(),
+        outletInUseThreshold: Joi.number().min(0).optional(),
+        zwaveParameters: Joi.object().pattern(
+          /^\d+$/,
+          Joi.alternatives().try(Joi.number(), Joi.string(), Joi.boolean())
+        ).optional(),
+        characteristicMappings: Joi.array().items(Joi.object().keys({
+          service: Joi.string().required(),
+          subtype: Joi.string(),
+          characteristic: Joi.string().required(),
+          commandClass: Joi.number().integer().required(),
+          instance: Joi.number().integer().min(1),
+          index: Joi.number().integer().min(0).required(),
+          direction: Joi.string().valid('read', 'write', 'readwrite'),
+          transform: Joi.object().keys({
+            map: Joi.object(),
+            scale: Joi.number().invalid(0),
+            offset: Joi.number(),
+            threshold: Joi.number(),
+            contains: Joi.string(),
+            invert: Joi.boolean()
+          })
+        })).optional()
+      }).custom((accessoryConfig, helpers) => {
+        // Services of the same type for the same ZWave instance would control the same node values, so each
+        // service can only be defined once for each instance. A ColorLightbulb is also a Lightbulb service.
+        const resolvedServices = new Set()
+
+        for (const serviceConfig of accessoryConfig.homekitServices) {
+          const { type, zwaveInstance } = typeof serviceConfig === 'string' ? { type: serviceConfig } : serviceConfig
+          const serviceType = type === 'ColorLightbulb' ? 'Lightbulb' : type
+          const instance = zwaveInstance || accessoryConfig.zwaveInstance || 1
+
+          if (resolvedServices.has(`${serviceType}-${instance}`)) {
+            return helpers.message(
+              `"homekitServices" can only have one ${serviceType} service for ZWave instance ${instance}`
+            )
+          }
+
+          resolvedServices.add(`${serviceType}-${instance}`)
+        }
+
+        return accessoryConfig
       })
 
       const configSchema = Joi.object().keys({
         accessories: Joi.array().required().items(accessoryConfigSchema),
         zwave: Joi.object().keys({
-          devicePath: Joi.string().required(),
-          networkKey: Joi.string()
+          devicePath: Joi.string().when('simulate', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+          }),
+          networkKey: Joi.string(),
+          backend: Joi.string().valid(...BACKENDS),
+          simulate: Joi.string(),
+          writeTimeout: Joi.number().positive(),
+          writeRetries: Joi.number().integer().min(0)
+        }).custom((zwaveConfig, helpers) => {
+          const {
+            writeTimeout = ZWave.WRITE_TIMEOUT / 1000,
+            writeRetries = ZWave.WRITE_RETRIES
+          } = zwaveConfig
+
+          if (writeTimeout * (writeRetries + 1) > MAX_WRITE_CONFIRMATION_TIME) {
+            return helpers.message(
+              `"zwave.writeTimeout" multiplied by "zwave.writeRetries" + 1 must be at most ${MAX_WRITE_CONFIRMATION_TIME} seconds`
+            )
+          }
+
+          return zwaveConfig
         }).required(),
-        noCache: Joi.boolean().optional()
+        noCache: Joi.boolean().optional(),
+        profiles: Joi.array().items(Joi.string()).optional(),
+        controller: Joi.alternatives().try(
+          Joi.boolean(),
+          Joi.object().keys({
+            displayName: Joi.string(),
+            secureInclusion: Joi.boolean(),
+            timeout: Joi.number().integer().min(1)
+          })
+        ).optional(),
+        autoDiscover: Joi.alternatives().try(
+          Joi.boolean(),
+          Joi.object().keys({
+            excludeNodeIds: Joi.array().items(Joi.number().integer())
+          })
+        ).optional(),
+        adminApi: Joi.object().keys({
+          port: Joi.number().integer().min(1).max(65535),
+          token: Joi.string().min(16).required()
+        }).optional(),
+        mqtt: Joi.object().keys({
+          url: Joi.string().uri({ scheme: ['mqtt', 'mqtts', 'ws', 'wss'] }).required(),
+          username: Joi.string(),
+          password: Joi.string(),
+          topicPrefix: Joi.string()
+        }).optional()
       }).unknown()
 
       Joi.assert(this._config, configSchema)
@@ -165,18 +441,208 @@ module.exports = (pluginName, platformName, homebridge) => {
         }
       })
 
+      // Initialize the controller accessory
+      const controllerConfig = this._getControllerConfig()
+
+      if (controllerConfig !== null && this._controllerManager === null) {
+        this._controllerManager = this._initControllerAccessory(controllerConfig)
+      }
+
+      // Discover accessories for nodes that become ready after the network has been scanned
+      // (i.e a node that has been added to the network, or a battery powered node that was asleep)
+      // and remove discovered accessories for nodes that are removed from the network. Accessories
+      // defined in the config are not removed, they become unavailable until the node is ready again.
+      if (this._config.autoDiscover) {
+        this._zwave.onAnyNodeReady(node => {
+          if (this._autoDiscoveryStarted) {
+            this._discoverAccessory(node)
+          }
+        })
+
+        this._zwave.onAnyNodeRemoved(nodeId => {
+          this._removeDiscoveredAccessory(nodeId)
+        })
+      }
+
+      // Log when the ZWave driver fails (i.e the controller being unplugged) and when it recovers. The
+      // driver reconnects automatically.
+      let zwaveDriverFailed = false
+
+      this._zwave.onDriverFailed(reconnectDelay => {
+        zwaveDriverFailed = true
+
+        this._log.error(`The ZWave driver has failed, reconnecting in ${reconnectDelay / 1000} seconds...`)
+      })
+
+      this._zwave.onDriverReady(() => {
+        if (zwaveDriverFailed) {
+          zwaveDriverFailed = false
+
+          this._log.info('The ZWave driver has reconnected')
+        }
+      })
+
+      // Start the admin API - The server is stopped when Homebridge shuts down so that the port is released
+      if (this._config.adminApi) {
+        const adminServer = new AdminServer(
+          this._zwave,
+          () => this._getNodeValueMappings(),
+          message => this._log.info(message),
+          this._config.adminApi
+        )
+
+        adminServer.start()
+
+        this._api.on('shutdown', () => adminServer.stop())
+      }
+
+      // Mirror the ZWave network to the MQTT broker
+      if (this._config.mqtt) {
+        this._initMqttBridge(this._config.mqtt)
+      }
+
       // Initialize the ZWave network
       this._log.debug('Initializing ZWave network...')
 
-      this._zwave.init((err) => {
-        if (err) {
-          this._log.error(`An error occured initializing the ZWave network: ${err.message}`)
+      this._zwave.init(() => {
+        if (this._config.autoDiscover) {
+          this._discoverAccessories()
+        }
+
+        this._log.info('Platform initialized!')
+      })
+    }
+
+    /**
+     * Start mirroring the ZWave network to an MQTT broker. The bridge is only required when it is
+     * configured, as the mqtt package is an optional dependency.
+     *
+     * @param {Object} mqttConfig
+     */
+    _initMqttBridge (mqttConfig) {
+      let MqttBridge
+
+      try {
+        MqttBridge = require('./MqttBridge')
+      } catch (err) {
+        if (err.code === 'MODULE_NOT_FOUND' && err.message.includes("'mqtt'")) {
+          this._log.error('MQTT bridge will not be started: it requires the mqtt package, install it with "npm install mqtt"')
 
           return
         }
 
-        this._log.info('Platform initialized!')
+        throw err
+      }
+
+      const mqttBridge = new MqttBridge(this._zwave, message => this._log.info(message), mqttConfig)
+
+      mqttBridge.start()
+
+      this._api.on('shutdown', () => mqttBridge.stop())
+    }
+
+    /**
+     * Get the characteristics of every accessory that are updated from a ZWave node value
+     *
+     * @returns {Object[]}
+     */
+    _getNodeValueMappings () {
+      const mappings = []
+
+      this._accessories.forEach(accessoryManager => {
+        mappings.push(...accessoryManager.getZwaveNodeValueMappings())
       })
+
+      return mappings
+    }
+
+    /**
+     * Discover accessories for the nodes on the network that are ready
+     */
+    _discoverAccessories () {
+      this._log.info('Discovering accessories...')
+
+      this._autoDiscoveryStarted = true
+
+      this._zwave.getNodes()
+        .filter(node => node.ready)
+        .forEach(node => this._discoverAccessory(node))
+    }
+
+    /**
+     * Discover an accessory for a node
+     *
+     * @param {Object} node
+     */
+    _discoverAccessory (node) {
+      if (this._discoveredAccessoryUUIDs.has(node.id) || !this._shouldDiscoverNode(node.id)) {
+        return
+      }
+
+      const accessoryConfig = discoverAccessoryConfig(node)
+
+      if (accessoryConfig === null) {
+        this._log.debug(`No accessory discovered for node ${node.id}`)
+
+        return
+      }
+
+      this._log.info(`Discovered ${accessoryConfig.homekitCategory} accessory for node ${node.id} (${accessoryConfig.displayName})`)
+
+      const accessoryUUID = this._generateAccessoryUUID(accessoryConfig)
+
+      this._discoveredAccessoryUUIDs.set(node.id, accessoryUUID)
+
+      this._accessories.set(
+        accessoryUUID,
+        this._initAccessory(accessoryConfig, undefined, true)
+      )
+    }
+
+    /**
+     * Remove the discovered accessory for a node
+     *
+     * @param {number} nodeId
+     */
+    _removeDiscoveredAccessory (nodeId) {
+      const accessoryUUID = this._discoveredAccessoryUUIDs.get(nodeId)
+
+      if (accessoryUUID === undefined) {
+        return
+      }
+
+      const accessoryManager = this._accessories.get(accessoryUUID)
+      const accessory = accessoryManager.getAccessory()
+
+      // The accessory no longer needs to handle ZWave events for the node
+      accessoryManager.destroy()
+
+      this._api.unregisterPlatformAccessories(pluginName, platformName, [accessory])
+
+      this._accessories.delete(accessoryUUID)
+      this._discoveredAccessoryUUIDs.delete(nodeId)
+
+      this._log.info(`${accessory.displayName} removed as node ${nodeId} has been removed from the network`)
+    }
+
+    /**
+     * Determine if an accessory should be discovered for a node. Nodes that have an accessory
+     * defined in the config, or that have been excluded, are not discovered.
+     *
+     * @param   {number} nodeId
+     * @returns {boolean}
+     */
+    _shouldDiscoverNode (nodeId) {
+      const { autoDiscover, accessories } = this._config
+
+      if (!autoDiscover) {
+        return false
+      }
+
+      const excludeNodeIds = autoDiscover.excludeNodeIds || []
+
+      return !excludeNodeIds.includes(nodeId) &&
+        !accessories.some(({ zwaveNodeId }) => zwaveNodeId === nodeId)
     }
 
     /**
@@ -184,9 +650,10 @@ module.exports = (pluginName, platformName, homebridge) => {
      *
      * @param   {Object} accessoryConfig
      * @param   {Object} accessory
+     * @param   {boolean} accessoryWasDiscovered
      * @returns {Object}
      */
-    _initAccessory (accessoryConfig, accessory) {
+    _initAccessory (accessoryConfig, accessory, accessoryWasDiscovered = false) {
       const accessoryWasCached = accessory !== undefined
       const accessoryDisplayName = accessoryConfig.displayName
       const accessoryUUID = this._generateAccessoryUUID(accessoryConfig)
@@ -199,13 +666,17 @@ module.exports = (pluginName, platformName, homebridge) => {
       )
 
       accessory.context[ACCESSORY_CONTEXT_KEY_ACCESSORY_CONFIG] = accessoryConfig
+      accessory.context[ACCESSORY_CONTEXT_KEY_ACCESSORY_DISCOVERED] = accessoryWasDiscovered
 
       // Initialize the accessory
       const accessoryManager = new AccessoryManager(
         homebridge.hap.Service,
         homebridge.hap.Characteristic,
         this._log,
-        this._zwave
+        this._zwave,
+        homebridge.hap.AdaptiveLightingController,
+        this._profiles,
+        eveCharacteristics
       )
 
       accessoryManager.initializeAccessory(accessoryConfig, accessory)
@@ -224,6 +695,68 @@ module.exports = (pluginName, platformName, homebridge) => {
       return accessoryManager
     }
 
+    /**
+     * Get the config for the controller accessory, or null if the controller accessory is not enabled
+     *
+     * @returns {Object|null}
+     */
+    _getControllerConfig () {
+      const { controller, zwave } = this._config
+
+      if (!controller) {
+        return null
+      }
+
+      const controllerConfig = controller === true ? {} : controller
+
+      // Nodes are included securely by default if a network key has been set
+      return Object.assign({
+        displayName: 'Z-Wave Controller',
+        secureInclusion: Boolean(zwave.networkKey)
+      }, controllerConfig)
+    }
+
+    /**
+     * Initialize the controller accessory
+     *
+     * @param   {Object} controllerConfig
+     * @param   {Object} accessory
+     * @returns {Object}
+     */
+    _initControllerAccessory (controllerConfig, accessory) {
+      const accessoryWasCached = accessory !== undefined
+      const accessoryDisplayName = controllerConfig.displayName
+
+      accessory = accessory || new homebridge.platformAccessory( // eslint-disable-line
+        accessoryDisplayName,
+        homebridge.hap.uuid.generate(`controller-${accessoryDisplayName}`),
+        homebridge.hap.Accessory.Categories.SWITCH
+      )
+
+      accessory.context[ACCESSORY_CONTEXT_KEY_CONTROLLER_CONFIG] = controllerConfig
+
+      const controllerManager = new ControllerManager(
+        homebridge.hap.Service,
+        homebridge.hap.Characteristic,
+        this._log,
+        this._zwave
+      )
+
+      controllerManager.initializeAccessory(controllerConfig, accessory)
+
+      if (accessoryWasCached) {
+        this._api.updatePlatformAccessories(pluginName, platformName, [accessory])
+
+        this._log.info(`${accessoryDisplayName} reinitialized!`)
+      } else {
+        this._api.registerPlatformAccessories(pluginName, platformName, [accessory])
+
+        this._log.info(`${accessoryDisplayName} initialized!`)
+      }
+
+      return controllerManager
+    }
+
     /**
      * Generate a UUID for an accessory
      *
@@ -0,0 +1,60 @@
+// Subscribers are kept per key (i.e a node ID or a node value ID), so that notifying the subscribers
+// of a key does not run the subscribers of every other key
+class SubscriberMap {
+  /**
+   * SubscriberMap constructor
+   */
+  constructor () {
+    this._subscribers = new Map()
+  }
+
+  /**
+   * Subscribe to a key
+   *
+   * @param   {string} key
+   * @param   {Function} handler
+   * @returns {Function} unsubscribes the handler
+   */
+  subscribe (key, handler) {
+    if (!this._subscribers.has(key)) {
+      this._subscribers.set(key, new Set())
+    }
+
+    // Each subscription gets its own subscriber, so that the same handler can be subscribed more than once
+    const subscriber = (...args) => handler(...args)
+
+    this._subscribers.get(key).add(subscriber)
+
+    return () => {
+      const subscribers = this._subscribers.get(key)
+
+      if (subscribers !== undefined && subscribers.delete(subscriber) && subscribers.size === 0) {
+        this._subscribers.delete(key)
+      }
+    }
+  }
+
+  /**
+   * Notify the subscribers of a key
+   *
+   * @param {string} key
+   * @param {...*} args
+   */
+  notify (key, ...args) {
+    const subscribers = this._subscribers.get(key)
+
+    if (subscribers === undefined) {
+      return
+    }
+
+    // Subscribers added while notifying are not notified, and subscribers removed while notifying
+    // (that have not been notified yet) are skipped
+    Array.from(subscribers).forEach(subscriber => {
+      if (subscribers.has(subscriber)) {
+        subscriber(...args)
+      }
+    })
+  }
+}
+
+module.exports = SubscriberMap
@@ -1,58 +1,134 @@
-const { EventEmitter } = require('events')
-const OpenZWave = require('openzwave-shared')
+const SubscriberMap = require('./SubscriberMap')
 
+const EVENT_CONTROLLER_COMMAND = 'controller.command'
+const EVENT_DRIVER_FAILED = 'driver.failed'
+const EVENT_DRIVER_READY = 'driver.ready'
+const EVENT_NODE_ADDED = 'node.added'
+const EVENT_NODE_HEALTH_CHANGED = 'node.health.changed'
 const EVENT_NODE_READY = 'node.ready'
+const EVENT_NODE_REMOVED = 'node.removed'
 const EVENT_NODE_VALUE_UPDATED = 'node.value.updated'
+const EVENT_NODE_SCENE_ACTIVATED = 'node.scene.activated'
+
+// How long to wait before reconnecting to the ZWave controller after the driver fails. The delay
+// is doubled after each failed attempt (up to the maximum) and reset once the driver is ready.
+const RECONNECT_DELAY_MIN = 5000
+const RECONNECT_DELAY_MAX = 300000
+
+// How long to wait (in milliseconds) for a node to confirm a new value, and how many times the
+// value is written again if it is not confirmed
+const WRITE_TIMEOUT = 3000
+const WRITE_RETRIES = 1
+
+// How far a number reported by a node can be from the number that was written for the write to be
+// confirmed. Nodes round values to their own precision (i.e a setpoint in 0.5 °C steps, or whole °F).
+const WRITE_CONFIRMATION_TOLERANCE = 0.5
+
+/**
+ * Whether two node values are the same. Backends do not always report a value with the same type
+ * that it was written with (i.e a number written as a string).
+ *
+ * @param   {*} a
+ * @param   {*} b
+ * @returns {boolean}
+ */
+function isSameNodeValue (a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase()
+}
+
+/**
+ * Whether a value reported by a node confirms a value that was written. Numbers (including numbers
+ * reported as strings) only need to be within the write confirmation tolerance.
+ *
+ * @param   {*} reportedValue
+ * @param   {*} writtenValue
+ * @returns {boolean}
+ */
+function isConfirmedNodeValue (reportedValue, writtenValue) {
+  const isNumeric = value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+    Number.isFinite(Number(value))
+
+  if (isNumeric(reportedValue) && isNumeric(writtenValue)) {
+    return Math.abs(Number(reportedValue) - Number(writtenValue)) <= WRITE_CONFIRMATION_TOLERANCE
+  }
+
+  return isSameNodeValue(reportedValue, writtenValue)
+}
 
 class ZWave {
   /**
    * ZWave constructor
    *
-   * @param {string} devicePath
-   * @param {string} networkKey
+   * @param {Object} backend the driver backend used to talk to the ZWave controller (see lib/backends)
    * @param {Function} log
+   * @param {Object} nodeCache the cache for the last known node values (see lib/NodeCache)
+   * @param {{writeTimeout: number, writeRetries: number}} options
    */
-  constructor (devicePath, networkKey, log) {
-    this._devicePath = devicePath
-    this._networkKey = networkKey
+  constructor (backend, log, nodeCache = null, { writeTimeout = WRITE_TIMEOUT, writeRetries = WRITE_RETRIES } = {}) {
+    this._backend = backend
     this._log = log
+    this._nodeCache = nodeCache
+    this._writeTimeout = writeTimeout
+    this._writeRetries = writeRetries
 
-    this._eventEmitter = new EventEmitter()
+    this._subscribers = new SubscriberMap()
     this._nodes = new Map()
     this._ready = false
+    this._driverState = ZWave.DRIVER_STATE_DISCONNECTED
+    this._reconnectDelay = RECONNECT_DELAY_MIN
+    this._reconnectTimer = null
+    this._pendingWrites = new Map()
   }
 
   /**
-   * Initialize the ZWave network
+   * Initialize the ZWave network. The network is scanned again each time the driver reconnects,
+   * but done is only called once the network has been scanned for the first time.
    *
    * @param {Function} done
    */
   init (done) {
-    const ozwConfig = {
-      Logging: false,
-      SaveConfiguration: false
-    }
+    const backend = this._backend
 
-    if (typeof this.networkKey === 'string') {
-      ozwConfig.NetworkKey = Buffer.from(this._networkKey)
+    let initialized = false
+
+    const scanComplete = () => {
+      if (!initialized) {
+        initialized = true
+
+        done()
+      }
     }
 
-    const ozw = this._ozw = new OpenZWave(ozwConfig)
+    backend.on('driver ready', this._backendDriverReady.bind(this))
+    backend.on('driver failed', this._backendDriverFailed.bind(this))
+    backend.on('scan complete', this._backendScanComplete.bind(this, scanComplete))
+    backend.on('node added', this._backendNodeAdded.bind(this))
+    backend.on('node removed', this._backendNodeRemoved.bind(this))
+    backend.on('node ready', this._backendNodeReady.bind(this))
+    backend.on('value added', this._backendNodeValueAdded.bind(this))
+    backend.on('value changed', this._backendNodeValueChanged.bind(this))
+    backend.on('value refreshed', this._backendNodeValueChanged.bind(this))
+    backend.on('value removed', this._backendNodeValueRemoved.bind(this))
+    backend.on('scene event', this._backendSceneEvent.bind(this))
+    backend.on('controller command', this._backendControllerCommand.bind(this))
+    backend.on('notification', this._backendNodeNotification.bind(this))
 
-    ozw.on('driver failed', this._ozwDriverFailed.bind(this, done))
-    ozw.on('scan complete', this._ozwScanComplete.bind(this, done))
-    ozw.on('node added', this._ozwNodeAdded.bind(this))
-    ozw.on('node removed', this._ozwNodeRemoved.bind(this))
-    ozw.on('node ready', this._ozwNodeReady.bind(this))
-    ozw.on('value added', this._ozwNodeValueAdded.bind(this))
-    ozw.on('value changed', this._ozwNodeValueChanged.bind(this))
-    ozw.on('value removed', this._ozwNodeValueRemoved.bind(this))
+    this._connect()
+  }
 
-    ozw.connect(this._devicePath)
+  /**
+   * Get the state of the ZWave driver
+   *
+   * @returns {string}
+   */
+  getDriverState () {
+    return this._driverState
   }
 
   /**
-   * Find the first node value matching a given criteria
+   * Find the first node value matching a given criteria. Until the node is ready, the last known
+   * value of the node is found instead (if the node has been cached). Last known values are
+   * flagged as stale.
    *
    * @param   {number} nodeId
    * @param   {Object} criteria
@@ -60,44 +136,247 @@ class ZWave {
    */
   findNodeValue (nodeId, criteria) {
     // For convenience, assume instance is 1 unless told otherwise
-    criteria = Object.assign({ instance: 1 }, criteria)
+    criteria = Object.assign({}, criteria, { instance: criteria.instance || 1 })
+
+    const { values, stale } = this._getNodeValues(nodeId)
+    const matchesCriteria = value => Object.entries(criteria).every(([k, v]) => value[k] === v)
+
+    let nodeValue
+
+    // Values are keyed by their ID, so the value can be looked up directly if the criteria identifies
+    // the value (which it does for every lookup made by the accessories)
+    if (criteria.class_id !== undefined && criteria.index !== undefined) {
+      nodeValue = values.get(this.generateNodeValueId({
+        nodeId,
+        commandClass: criteria.class_id,
+        valueInstance: criteria.instance,
+        valueIndex: criteria.index
+      }))
+
+      nodeValue = nodeValue !== undefined && matchesCriteria(nodeValue) ? nodeValue : undefined
+    } else {
+      nodeValue = Array.from(values.values()).find(matchesCriteria)
+    }
+
+    return nodeValue !== undefined && stale ? Object.assign({}, nodeValue, { stale: true }) : nodeValue
+  }
+
+  /**
+   * Get the last known data (i.e manufacturer, product) of a node. Returns undefined if the node
+   * has not been cached.
+   *
+   * @param   {number} nodeId
+   * @returns {Object|undefined}
+   */
+  getCachedNodeData (nodeId) {
+    const cachedNode = this._nodeCache === null ? undefined : this._nodeCache.getNode(nodeId)
+
+    return cachedNode === undefined ? undefined : Object.assign({ id: nodeId }, cachedNode.data)
+  }
+
+  /**
+   * Get all of the nodes on the network
+   *
+   * @returns {Object[]}
+   */
+  getNodes () {
+    return Array.from(this._nodes.values())
+  }
+
+  /**
+   * Get a node on the network. Returns undefined if the node does not exist.
+   *
+   * @param   {number} nodeId
+   * @returns {Object|undefined}
+   */
+  getNode (nodeId) {
+    return this._nodes.get(nodeId)
+  }
 
+  /**
+   * Get the health of a node (see NODE_HEALTH_*). Returns undefined if the node does not exist.
+   *
+   * @param   {number} nodeId
+   * @returns {string|undefined}
+   */
+  getNodeHealth (nodeId) {
     const node = this._nodes.get(nodeId)
 
-    return Array.from(node.values.values())
-      .find(value => {
-        return !Object.entries(criteria)
-          .map(([k, v]) => value[k] === v)
-          .includes(false)
-      })
+    return node === undefined ? undefined : node.health
   }
 
   /**
-   * Add a handler for when a node is ready
+   * Add a handler for when a node is ready. If the node is already ready, the handler
+   * is called straight away.
    *
-   * @param {string} nodeId
-   * @param {Function} callback
+   * @param   {string} nodeId
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
    */
   onNodeReady (nodeId, callback) {
-    this._eventEmitter.on(EVENT_NODE_READY, (node) => {
-      if (nodeId === node.id) {
-        callback(node)
-      }
-    })
+    const node = this._nodes.get(nodeId)
+
+    if (node !== undefined && node.ready) {
+      callback(node)
+    }
+
+    return this._subscribe(EVENT_NODE_READY, nodeId, callback)
+  }
+
+  /**
+   * Add a handler for when any node is added to the network
+   *
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onAnyNodeAdded (callback) {
+    return this._subscribe(EVENT_NODE_ADDED, null, callback)
+  }
+
+  /**
+   * Add a handler for when any node is ready
+   *
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onAnyNodeReady (callback) {
+    return this._subscribe(EVENT_NODE_READY, null, callback)
+  }
+
+  /**
+   * Add a handler for when a node is removed from the network
+   *
+   * @param   {string} nodeId
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onNodeRemoved (nodeId, callback) {
+    return this._subscribe(EVENT_NODE_REMOVED, nodeId, () => callback())
+  }
+
+  /**
+   * Add a handler for when the health of a node changes (i.e the node being dead)
+   *
+   * @param   {string} nodeId
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onNodeHealthChanged (nodeId, callback) {
+    return this._subscribe(EVENT_NODE_HEALTH_CHANGED, nodeId, callback)
+  }
+
+  /**
+   * Add a handler for when the health of any node changes. The handler is called with the ID of
+   * the node and the new health.
+   *
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onAnyNodeHealthChanged (callback) {
+    return this._subscribe(EVENT_NODE_HEALTH_CHANGED, null, callback)
+  }
+
+  /**
+   * Add a handler for when any node is removed from the network
+   *
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onAnyNodeRemoved (callback) {
+    return this._subscribe(EVENT_NODE_REMOVED, null, callback)
   }
 
   /**
    * Add a handler for when a node value changes
    *
-   * @param {string} nodeValueId
-   * @param {Function} callback
+   * @param   {string} nodeValueId
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
    */
   onNodeValueChanged (nodeValueId, callback) {
-    this._eventEmitter.on(EVENT_NODE_VALUE_UPDATED, (updatedNodeValueId, value) => {
-      if (updatedNodeValueId === nodeValueId) {
-        callback(value)
-      }
-    })
+    return this._subscribe(EVENT_NODE_VALUE_UPDATED, nodeValueId, callback)
+  }
+
+  /**
+   * Add a handler for when any node value is changed. The handler is called with the ID of the
+   * node value and the new value.
+   *
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onAnyNodeValueChanged (callback) {
+    return this._subscribe(EVENT_NODE_VALUE_UPDATED, null, callback)
+  }
+
+  /**
+   * Add a handler for when a scene is activated on a node (i.e a button on a remote being pressed)
+   *
+   * @param   {string} nodeId
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onNodeSceneActivated (nodeId, callback) {
+    return this._subscribe(EVENT_NODE_SCENE_ACTIVATED, nodeId, callback)
+  }
+
+  /**
+   * Add a handler for when the ZWave driver fails. The driver will try to reconnect
+   * after the given delay.
+   *
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onDriverFailed (callback) {
+    return this._subscribe(EVENT_DRIVER_FAILED, null, callback)
+  }
+
+  /**
+   * Add a handler for when the ZWave driver is ready (including after reconnecting)
+   *
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onDriverReady (callback) {
+    return this._subscribe(EVENT_DRIVER_READY, null, callback)
+  }
+
+  /**
+   * Add a handler for when the state of a controller command (i.e adding a node) changes
+   *
+   * @param   {Function} callback
+   * @returns {Function} removes the handler
+   */
+  onControllerCommand (callback) {
+    return this._subscribe(EVENT_CONTROLLER_COMMAND, null, callback)
+  }
+
+  /**
+   * Put the controller into inclusion mode so that a node can be added to the network
+   *
+   * @param {boolean} secure whether the node should be added securely
+   */
+  startInclusion (secure) {
+    this._log(`Starting ${secure ? 'secure ' : ''}inclusion`)
+
+    this._backend.addNode(secure)
+  }
+
+  /**
+   * Put the controller into exclusion mode so that a node can be removed from the network
+   */
+  startExclusion () {
+    this._log('Starting exclusion')
+
+    this._backend.removeNode()
+  }
+
+  /**
+   * Cancel the controller command in progress (i.e inclusion or exclusion)
+   */
+  cancelControllerCommand () {
+    this._log('Cancelling controller command')
+
+    this._backend.cancelControllerCommand()
   }
 
   /**
@@ -114,7 +393,7 @@ class ZWave {
       valueIndex
     ] = id.split('-')
 
-    this._ozw.setValue(
+    this._backend.setValue(
       nodeId,
       commandClass,
       valueInstance,
@@ -123,6 +402,68 @@ class ZWave {
     )
   }
 
+  /**
+   * Update a node value by its ID, calling done once the node has reported the new value. The value
+   * is written again if the node does not report the new value before the write timeout, and done
+   * is called with an error once all of the retries have failed.
+   *
+   * While a write is waiting to be confirmed, further writes to the same value are coalesced into
+   * it - only the latest value is written, and done is called for all of the writes once the latest
+   * value has been confirmed.
+   *
+   * @param {string} id
+   * @param {*} newValue
+   * @param {Function} done
+   */
+  updateNodeValueByIdWithConfirmation (id, newValue, done) {
+    const pendingWrite = this._pendingWrites.get(id)
+
+    if (pendingWrite !== undefined) {
+      pendingWrite.callbacks.push(done)
+
+      if (!isSameNodeValue(pendingWrite.value, newValue)) {
+        // The latest value is written once the value being written has been confirmed (or timed out)
+        pendingWrite.value = newValue
+        pendingWrite.attempt = 0
+      }
+
+      this._log(`Write of value ${id} coalesced into the pending write: ${pendingWrite.value}`)
+
+      return
+    }
+
+    const node = this._nodes.get(Number(id.split('-')[0]))
+
+    if (node === undefined) {
+      return done(new Error(`Value ${id} can not be updated as the node is not in the network`))
+    }
+
+    const nodeValue = node.values.get(id)
+
+    // There is nothing to confirm if the node already has the value, and a node that is asleep will not
+    // confirm the value until it wakes up (which can be a long time after the write)
+    if (
+      (nodeValue !== undefined && isSameNodeValue(nodeValue.value, newValue)) ||
+      node.health === ZWave.NODE_HEALTH_ASLEEP
+    ) {
+      this.updateNodeValueById(id, newValue)
+
+      return done(null)
+    }
+
+    const write = {
+      value: newValue,
+      writtenValue: undefined,
+      attempt: 0,
+      timer: null,
+      callbacks: [done]
+    }
+
+    this._pendingWrites.set(id, write)
+
+    this._writePendingWrite(id, write)
+  }
+
   /**
    * Generate a node value id
    *
@@ -137,20 +478,192 @@ class ZWave {
   }
 
   /**
-   * Handler for OpenZWave "driver failed" event
+   * Get the values of a node keyed by their ID, falling back to the last known values of the node
+   * until the node is ready
    *
-   * @param {Function} done
+   * @param   {number} nodeId
+   * @returns {{values: Map, stale: boolean}}
    */
-  _ozwDriverFailed (done) {
-    done(new Error('Failed to setup ZWave network driver'))
+  _getNodeValues (nodeId) {
+    // The node will not exist if it has been removed, or the driver has failed
+    const node = this._nodes.get(nodeId)
+
+    if (node !== undefined && node.ready) {
+      return { values: node.values, stale: false }
+    }
+
+    const cachedNode = this._nodeCache === null ? undefined : this._nodeCache.getNode(nodeId)
+
+    if (cachedNode !== undefined) {
+      return { values: cachedNode.values, stale: true }
+    }
+
+    return { values: node === undefined ? new Map() : node.values, stale: false }
   }
 
   /**
-   * Handler for OpenZWave "scan complete" event
+   * Subscribe to an event. The key is what the event is for (i.e the ID of a node), or null to
+   * subscribe to the event for everything.
+   *
+   * @param   {string} event
+   * @param   {string|number|null} key
+   * @param   {Function} callback
+   * @returns {Function} unsubscribes the callback
+   */
+  _subscribe (event, key, callback) {
+    return this._subscribers.subscribe(key === null ? event : `${event}:${key}`, callback)
+  }
+
+  /**
+   * Notify the subscribers of an event
+   *
+   * @param {string} event
+   * @param {string|number|null} key
+   * @param {...*} args
+   */
+  _notify (event, key, ...args) {
+    this._subscribers.notify(key === null ? event : `${event}:${key}`, ...args)
+  }
+
+  /**
+   * Connect to the ZWave controller
+   */
+  _connect () {
+    this._driverState = ZWave.DRIVER_STATE_CONNECTING
+
+    this._log('Connecting to the ZWave controller')
+
+    this._backend.connect()
+  }
+
+  /**
+   * Write the value of a pending write, waiting for the node to confirm the value
+   *
+   * @param {string} id
+   * @param {Object} write
+   */
+  _writePendingWrite (id, write) {
+    write.writtenValue = write.value
+    write.attempt++
+
+    clearTimeout(write.timer)
+
+    write.timer = setTimeout(() => {
+      // A value that was coalesced into the write while it was waiting to be confirmed has not been written yet
+      if (!isSameNodeValue(write.writtenValue, write.value)) {
+        return this._writePendingWrite(id, write)
+      }
+
+      if (write.attempt > this._writeRetries) {
+        return this._settlePendingWrite(id, new Error(
+          `Value ${id} was not confirmed by the node after ${write.attempt} attempt(s)`
+        ))
+      }
+
+      this._log(`Value ${id} was not confirmed by the node, writing again (attempt ${write.attempt + 1})`)
+
+      this._writePendingWrite(id, write)
+    }, this._writeTimeout)
+
+    this.updateNodeValueById(id, write.value)
+  }
+
+  /**
+   * Confirm a pending write (if there is one) when the node reports a value
+   *
+   * @param {string} id
+   * @param {*} value
+   */
+  _confirmPendingWrite (id, value) {
+    const write = this._pendingWrites.get(id)
+
+    if (write === undefined) {
+      return
+    }
+
+    if (isConfirmedNodeValue(value, write.value)) {
+      this._settlePendingWrite(id, null)
+    } else if (isConfirmedNodeValue(value, write.writtenValue)) {
+      // The written value has been confirmed, but a newer value has been coalesced into the write since
+      write.attempt = 0
+
+      this._writePendingWrite(id, write)
+    }
+  }
+
+  /**
+   * Settle a pending write, calling done for each of the writes that were coalesced into it
+   *
+   * @param {string} id
+   * @param {Error|null} err
+   */
+  _settlePendingWrite (id, err) {
+    const write = this._pendingWrites.get(id)
+
+    clearTimeout(write.timer)
+
+    this._pendingWrites.delete(id)
+
+    write.callbacks.forEach(done => done(err))
+  }
+
+  /**
+   * Handler for backend "driver ready" event
+   *
+   * @param {number} homeId
+   */
+  _backendDriverReady (homeId) {
+    this._driverState = ZWave.DRIVER_STATE_READY
+    this._reconnectDelay = RECONNECT_DELAY_MIN
+
+    clearTimeout(this._reconnectTimer)
+
+    this._log(`Driver ready (home ID: ${homeId})`)
+
+    this._notify(EVENT_DRIVER_READY, null)
+  }
+
+  /**
+   * Handler for backend "driver failed" event (i.e the controller being unplugged). The node data
+   * is discarded as the backend will add the nodes again once the driver has reconnected.
+   */
+  _backendDriverFailed () {
+    // The driver can report the same failure more than once
+    if (this._driverState === ZWave.DRIVER_STATE_FAILED) {
+      return
+    }
+
+    const reconnectDelay = this._reconnectDelay
+
+    this._driverState = ZWave.DRIVER_STATE_FAILED
+    this._ready = false
+    this._nodes.clear()
+    this._reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_DELAY_MAX)
+
+    this._log(`Driver failed, reconnecting in ${reconnectDelay / 1000} seconds`)
+
+    // Writes can not be confirmed until the driver has reconnected
+    Array.from(this._pendingWrites.keys()).forEach(id => {
+      this._settlePendingWrite(id, new Error(`Value ${id} was not confirmed as the ZWave driver failed`))
+    })
+
+    this._notify(EVENT_DRIVER_FAILED, null, reconnectDelay)
+
+    clearTimeout(this._reconnectTimer)
+
+    this._reconnectTimer = setTimeout(() => {
+      this._backend.disconnect()
+
+      this._connect()
+    }, reconnectDelay)
+  }
+
+  /**
+   * Handler for backend "scan complete" event
    *
    * @param {Function} done
    */
-  _ozwScanComplete (done) {
+  _backendScanComplete (done) {
     this._ready = true
 
     this._log('Scan complete')
@@ -159,99 +672,286 @@ class ZWave {
   }
 
   /**
-   * Handler for OpenZWave "node added" event
+   * Handler for backend "node added" event
    *
    * @param {string} nodeId
    */
-  _ozwNodeAdded (nodeId) {
+  _backendNodeAdded (nodeId) {
     // We only know the id of the node at this point. The rest of the node data
     // is set when the node is ready (see "node ready" event handler)
     this._nodes.set(nodeId, {
       id: nodeId,
+      health: ZWave.NODE_HEALTH_ALIVE,
       values: new Map()
     })
 
     this._log(`Node ${nodeId} added`)
+
+    this._notify(EVENT_NODE_ADDED, null, nodeId)
   }
 
   /**
-   * Handler for OpenZWave "node removed" event
+   * Handler for backend "node removed" event
    *
    * @param {string} nodeId
    */
-  _ozwNodeRemoved (nodeId) {
+  _backendNodeRemoved (nodeId) {
     this._nodes.delete(nodeId)
 
+    // The last known values of the node are of no use once the node has left the network
+    if (this._nodeCache !== null) {
+      this._nodeCache.removeNode(nodeId)
+    }
+
     this._log(`Node ${nodeId} removed`)
+
+    this._notify(EVENT_NODE_REMOVED, nodeId, nodeId)
+    this._notify(EVENT_NODE_REMOVED, null, nodeId)
   }
 
   /**
-   * Handler for OpenZWave "node ready" event
+   * Handler for backend "node ready" event
    *
    * @param {string} nodeId
    * @param {Object} nodeData
    */
-  _ozwNodeReady (nodeId, nodeData) {
-    const node = Object.assign(this._nodes.get(nodeId), nodeData)
+  _backendNodeReady (nodeId, nodeData) {
+    // The node will not exist if it has been removed (a backend can keep reporting a removed node)
+    if (!this._nodes.has(nodeId)) {
+      return
+    }
 
-    this._nodes.set(nodeId, node)
+    const node = Object.assign(this._nodes.get(nodeId), nodeData, { ready: true })
+
+    if (this._nodeCache !== null) {
+      this._nodeCache.setNodeData(nodeId, nodeData)
+    }
 
     this._log(`Node ${nodeId} (${nodeData.manufacturer} ${nodeData.product}) ready`)
 
-    this._eventEmitter.emit(EVENT_NODE_READY, node)
+    this._notify(EVENT_NODE_READY, nodeId, node)
+    this._notify(EVENT_NODE_READY, null, node)
   }
 
   /**
-   * Handler for OpenZWave "value added" event
+   * Handler for backend "value added" event
    *
    * @param {string} nodeId
    * @param {string} commandClass
    * @param {Object} value
    */
-  _ozwNodeValueAdded (nodeId, commandClass, value) {
+  _backendNodeValueAdded (nodeId, commandClass, value) {
     const node = this._nodes.get(nodeId)
 
+    if (node === undefined) {
+      return
+    }
+
     node.values.set(value.value_id, value)
 
+    this._cacheNodeValue(nodeId, value)
+
     this._log(`Value ${value.value_id} (${value.label}) added for node ${nodeId}`)
   }
 
   /**
-   * Handler for OpenZWave "value changed" event
+   * Handler for backend "value changed" and "value refreshed" events. The "value refreshed" event
+   * is fired when the node reports a value that has not changed (i.e the same notification being
+   * reported twice)
    *
    * @param {string} nodeId
    * @param {string} commandClass
    * @param {Object} value
    */
-  _ozwNodeValueChanged (nodeId, commandClass, value) {
+  _backendNodeValueChanged (nodeId, commandClass, value) {
     const node = this._nodes.get(nodeId)
+
+    if (node === undefined) {
+      return
+    }
+
+    // The node must be alive if it is reporting values
+    this._nodeCommunicated(node)
+
+    // Central scene notifications are transient events rather than state, so they are not stored
+    if (commandClass === ZWave.COMMAND_CLASS_CENTRAL_SCENE && value.index < ZWave.CENTRAL_SCENE_INDEX_SCENE_COUNT) {
+      this._emitSceneActivated(node, value.index, value.value)
+
+      return
+    }
+
     const existingNodeValue = node.values.get(value.value_id)
-    const previousNodeValueValue = existingNodeValue.value
 
-    existingNodeValue.value = value.value
+    // The value may not have been added yet (i.e a notification the node has not reported before), in
+    // which case the value is added and the change is still reported
+    if (existingNodeValue === undefined) {
+      this._backendNodeValueAdded(nodeId, commandClass, value)
+    } else {
+      const previousNodeValueValue = existingNodeValue.value
+
+      existingNodeValue.value = value.value
+
+      this._cacheNodeValue(nodeId, existingNodeValue)
+
+      this._log(`Value ${existingNodeValue.value_id} (${existingNodeValue.label}) changed for node ${nodeId}: ${previousNodeValueValue} -> ${value.value}`)
+    }
 
-    this._log(`Value ${existingNodeValue.value_id} (${existingNodeValue.label}) changed for node ${nodeId}: ${previousNodeValueValue} -> ${value.value}`)
+    this._confirmPendingWrite(value.value_id, value.value)
 
-    // If the ZWave network has been initialized, emit the internal event.
-    if (this._ready) {
-      this._eventEmitter.emit(EVENT_NODE_VALUE_UPDATED, existingNodeValue.value_id, value.value)
+    // If the ZWave network or the node has been initialized, emit the internal event. We do not wait for
+    // the whole network to be initialized if the node is ready so that events (i.e a smoke alarm) reported
+    // by the node are not missed while other nodes are still being queried.
+    if (this._ready || node.ready) {
+      this._notify(EVENT_NODE_VALUE_UPDATED, value.value_id, value.value)
+      this._notify(EVENT_NODE_VALUE_UPDATED, null, value.value_id, value.value)
     }
   }
 
   /**
-   * Handler for OpenZWave "value removed" event
+   * Handler for backend "controller command" event
    *
    * @param {string} nodeId
-   * @param {string} commandclass
+   * @param {number} state
+   * @param {number} error
+   * @param {string} message
+   */
+  _backendControllerCommand (nodeId, state, error, message) {
+    this._log(`Controller command state changed to ${state} (error: ${error}): ${message}`)
+
+    this._notify(EVENT_CONTROLLER_COMMAND, null, state, error, message)
+  }
+
+  /**
+   * Handler for backend "scene event" event (Scene Activation command class)
+   *
+   * @param {string} nodeId
+   * @param {number} sceneId
+   */
+  _backendSceneEvent (nodeId, sceneId) {
+    const node = this._nodes.get(nodeId)
+
+    if (node === undefined) {
+      return
+    }
+
+    this._nodeCommunicated(node)
+
+    this._emitSceneActivated(node, sceneId)
+  }
+
+  /**
+   * Handler for backend "notification" event (the state of the communication with a node)
+   *
+   * @param {string} nodeId
+   * @param {number} notification
+   */
+  _backendNodeNotification (nodeId, notification) {
+    const node = this._nodes.get(nodeId)
+
+    if (node === undefined) {
+      return
+    }
+
+    switch (notification) {
+      case ZWave.NODE_NOTIFICATION_MESSAGE_COMPLETE:
+      case ZWave.NODE_NOTIFICATION_AWAKE:
+      case ZWave.NODE_NOTIFICATION_ALIVE:
+        this._setNodeHealth(node, ZWave.NODE_HEALTH_ALIVE)
+        break
+      case ZWave.NODE_NOTIFICATION_SLEEP:
+        this._setNodeHealth(node, ZWave.NODE_HEALTH_ASLEEP)
+        break
+      case ZWave.NODE_NOTIFICATION_DEAD:
+        this._setNodeHealth(node, ZWave.NODE_HEALTH_DEAD)
+        break
+      case ZWave.NODE_NOTIFICATION_TIMEOUT:
+        // Messages to sleeping nodes are expected to time out
+        if (node.health === ZWave.NODE_HEALTH_ALIVE) {
+          this._setNodeHealth(node, ZWave.NODE_HEALTH_UNRESPONSIVE)
+        }
+        break
+    }
+  }
+
+  /**
+   * Mark a node that was dead or unresponsive as alive, as the node has communicated with the controller
+   *
+   * @param {Object} node
+   */
+  _nodeCommunicated (node) {
+    if (node.health === ZWave.NODE_HEALTH_DEAD || node.health === ZWave.NODE_HEALTH_UNRESPONSIVE) {
+      this._setNodeHealth(node, ZWave.NODE_HEALTH_ALIVE)
+    }
+  }
+
+  /**
+   * Set the health of a node
+   *
+   * @param {Object} node
+   * @param {string} health
+   */
+  _setNodeHealth (node, health) {
+    if (node.health === health) {
+      return
+    }
+
+    this._log(`Node ${node.id} health changed: ${node.health} -> ${health}`)
+
+    node.health = health
+
+    this._notify(EVENT_NODE_HEALTH_CHANGED, node.id, health)
+    this._notify(EVENT_NODE_HEALTH_CHANGED, null, node.id, health)
+  }
+
+  /**
+   * Cache the last known value of a node value
+   *
+   * @param {string} nodeId
+   * @param {Object} value
+   */
+  _cacheNodeValue (nodeId, value) {
+    if (this._nodeCache !== null) {
+      this._nodeCache.setNodeValue(nodeId, value)
+    }
+  }
+
+  /**
+   * Emit the internal event for a scene being activated on a node
+   *
+   * @param {Object} node
+   * @param {number} sceneId
+   * @param {string} sceneEvent
+   */
+  _emitSceneActivated (node, sceneId, sceneEvent) {
+    this._log(`Scene ${sceneId} activated for node ${node.id}: ${sceneEvent}`)
+
+    if (this._ready || node.ready) {
+      this._notify(EVENT_NODE_SCENE_ACTIVATED, node.id, sceneId, sceneEvent)
+    }
+  }
+
+  /**
+   * Handler for backend "value removed" event
+   *
+   * @param {string} nodeId
+   * @param {string} commandClass
    * @param {number} valueInstance
    * @param {number} valueIndex
    */
-  _ozwNodeValueRemoved (nodeId, commandclass, valueInstance, valueIndex) {
-    const valueId = this.generateNodeValueId({ nodeId, commandclass, valueInstance, valueIndex })
+  _backendNodeValueRemoved (nodeId, commandClass, valueInstance, valueIndex) {
+    const valueId = this.generateNodeValueId({ nodeId, commandClass, valueInstance, valueIndex })
     const node = this._nodes.get(nodeId)
-    const value = node.values.get(valueId)
+    const value = node === undefined ? undefined : node.values.get(valueId)
 
-    node.delete(valueId)
+    if (value === undefined) {
+      return
+    }
+
+    node.values.delete(valueId)
+
+    if (this._nodeCache !== null) {
+      this._nodeCache.removeNodeValue(nodeId, valueId)
+    }
 
     this._log(`Value ${valueId} (${value.label}) removed from node ${nodeId}`)
   }
@@ -259,22 +959,93 @@ class ZWave {
 
 // http://wiki.micasaverde.com/index.php/ZWave_Command_Classes
 ZWave.COMMAND_CLASS_SWITCH_BINARY = 37
+ZWave.COMMAND_CLASS_SWITCH_MULTILEVEL = 38
+ZWave.COMMAND_CLASS_SENSOR_BINARY = 48
 ZWave.COMMAND_CLASS_SENSOR_MULTILEVEL = 49
 ZWave.COMMAND_CLASS_METER = 50
+ZWave.COMMAND_CLASS_SWITCH_COLOR = 51
+ZWave.COMMAND_CLASS_THERMOSTAT_MODE = 64
+ZWave.COMMAND_CLASS_THERMOSTAT_OPERATING_STATE = 66
+ZWave.COMMAND_CLASS_THERMOSTAT_SETPOINT = 67
+ZWave.COMMAND_CLASS_CENTRAL_SCENE = 91
+ZWave.COMMAND_CLASS_DOOR_LOCK = 98
 ZWave.COMMAND_CLASS_CONFIGURATION = 112
 ZWave.COMMAND_CLASS_ALARM = 113
 ZWave.COMMAND_CLASS_MANUFACTURER_SPECIFIC = 114
 ZWave.COMMAND_CLASS_BATTERY = 128
 
+ZWave.ALARM_INDEX_SMOKE = 1
+ZWave.ALARM_INDEX_CO = 2
+ZWave.ALARM_INDEX_WATER = 5
+ZWave.ALARM_INDEX_ACCESS_CONTROL = 6
 ZWave.ALARM_INDEX_HOME_SECURITY = 7
 ZWave.BATTERY_INDEX_LEVEL = 0
-ZWave.CONFIGURATION_INDEX_CURRENT_POWER_MODE = 9
-ZWave.CONFIGURATION_INDEX_LOW_BATTERY = 39
+ZWave.CENTRAL_SCENE_INDEX_SCENE_COUNT = 256
+ZWave.DOOR_LOCK_INDEX_LOCKED = 0
 ZWave.MANUFACTURER_SPECIFIC_INDEX_SERIAL_NUMBER = 4
+ZWave.METER_INDEX_ELECTRIC_ACCUMULATED_ENERGY = 0
 ZWave.METER_INDEX_ELECTRIC_INSTANT_POWER = 2
+ZWave.METER_INDEX_ELECTRIC_VOLTAGE = 4
+ZWave.METER_INDEX_ELECTRIC_CURRENT = 5
+ZWave.METER_INDEX_RESET = 257
+ZWave.SENSOR_BINARY_INDEX_SENSOR = 0
 ZWave.SENSOR_MULTILEVEL_INDEX_HUMIDITY = 5
 ZWave.SENSOR_MULTILEVEL_INDEX_LUMINANCE = 3
 ZWave.SENSOR_MULTILEVEL_INDEX_TEMPERATURE = 1
 ZWave.SWITCH_BINARY_INDEX_SWITCH = 0
+ZWave.SWITCH_COLOR_INDEX_COLOR = 0
+ZWave.SWITCH_COLOR_INDEX_CHANNELS = 2
+ZWave.SWITCH_MULTILEVEL_INDEX_LEVEL = 0
+ZWave.SWITCH_MULTILEVEL_INDEX_BRIGHT = 1
+ZWave.SWITCH_MULTILEVEL_INDEX_DIM = 2
+ZWave.THERMOSTAT_MODE_INDEX_MODE = 0
+ZWave.THERMOSTAT_OPERATING_STATE_INDEX_OPERATING_STATE = 0
+ZWave.THERMOSTAT_SETPOINT_INDEX_HEATING = 1
+ZWave.THERMOSTAT_SETPOINT_INDEX_COOLING = 2
+ZWave.THERMOSTAT_SETPOINT_INDEX_FURNACE = 7
+ZWave.THERMOSTAT_SETPOINT_INDEX_DRY_AIR = 8
+ZWave.THERMOSTAT_SETPOINT_INDEX_MOIST_AIR = 9
+ZWave.THERMOSTAT_SETPOINT_INDEX_AUTO_CHANGEOVER = 10
+ZWave.THERMOSTAT_SETPOINT_INDEX_HEATING_ECON = 11
+ZWave.THERMOSTAT_SETPOINT_INDEX_COOLING_ECON = 12
+ZWave.THERMOSTAT_SETPOINT_INDEX_AWAY_HEATING = 13
+
+// https://github.com/OpenZWave/open-zwave/blob/master/cpp/src/Driver.h (Driver::ControllerState)
+ZWave.CONTROLLER_STATE_NORMAL = 0
+ZWave.CONTROLLER_STATE_STARTING = 1
+ZWave.CONTROLLER_STATE_CANCEL = 2
+ZWave.CONTROLLER_STATE_ERROR = 3
+ZWave.CONTROLLER_STATE_WAITING = 4
+ZWave.CONTROLLER_STATE_SLEEPING = 5
+ZWave.CONTROLLER_STATE_IN_PROGRESS = 6
+ZWave.CONTROLLER_STATE_COMPLETED = 7
+ZWave.CONTROLLER_STATE_FAILED = 8
+ZWave.CONTROLLER_STATE_NODE_OK = 9
+ZWave.CONTROLLER_STATE_NODE_FAILED = 10
+
+// https://github.com/OpenZWave/open-zwave/blob/master/cpp/src/Notification.h (Notification::NotificationCode)
+ZWave.NODE_NOTIFICATION_MESSAGE_COMPLETE = 0
+ZWave.NODE_NOTIFICATION_TIMEOUT = 1
+ZWave.NODE_NOTIFICATION_NOP = 2
+ZWave.NODE_NOTIFICATION_AWAKE = 3
+ZWave.NODE_NOTIFICATION_SLEEP = 4
+ZWave.NODE_NOTIFICATION_DEAD = 5
+ZWave.NODE_NOTIFICATION_ALIVE = 6
+
+ZWave.NODE_HEALTH_ALIVE = 'alive'
+ZWave.NODE_HEALTH_ASLEEP = 'asleep'
+ZWave.NODE_HEALTH_UNRESPONSIVE = 'unresponsive'
+ZWave.NODE_HEALTH_DEAD = 'dead'
+
+ZWave.DRIVER_STATE_DISCONNECTED = 'disconnected'
+ZWave.DRIVER_STATE_CONNECTING = 'connecting'
+ZWave.DRIVER_STATE_READY = 'ready'
+ZWave.DRIVER_STATE_FAILED = 'failed'
+
+ZWave.WRITE_TIMEOUT = WRITE_TIMEOUT
+ZWave.WRITE_RETRIES = WRITE_RETRIES
+
+ZWave.SWITCH_COLOR_CHANNEL_WARM_WHITE = 0x01
+ZWave.SWITCH_COLOR_CHANNEL_COLD_WHITE = 0x02
 
 module.exports = ZWave
@@ -0,0 +1,109 @@
+const { EventEmitter } = require('events')
+const OpenZWave = require('openzwave-shared')
+
+// OpenZWave events that are passed straight through, as the backend events are modelled on them
+const FORWARDED_EVENTS = [
+  'driver ready',
+  'driver failed',
+  'scan complete',
+  'node added',
+  'node removed',
+  'node ready',
+  'value added',
+  'value changed',
+  'value refreshed',
+  'value removed',
+  'scene event',
+  'controller command',
+  'notification'
+]
+
+class OpenZWaveBackend extends EventEmitter {
+  /**
+   * OpenZWaveBackend constructor
+   *
+   * @param {string} devicePath
+   * @param {string} networkKey
+   * @param {Function} log
+   */
+  constructor (devicePath, networkKey, log) {
+    super()
+
+    this._devicePath = devicePath
+    this._log = log
+
+    const ozwConfig = {
+      Logging: false,
+      SaveConfiguration: false
+    }
+
+    // OpenZWave expects the network key as a string of comma separated hex bytes
+    // (i.e "0xE0, 0x40, 0x58, ...")
+    if (typeof networkKey === 'string') {
+      ozwConfig.NetworkKey = networkKey
+    }
+
+    this._ozw = new OpenZWave(ozwConfig)
+
+    FORWARDED_EVENTS.forEach(event => {
+      this._ozw.on(event, (...args) => this.emit(event, ...args))
+    })
+
+    // The controller being removed (i.e unplugged) is treated the same as the driver failing
+    this._ozw.on('driver removed', () => this.emit('driver failed'))
+  }
+
+  /**
+   * Connect to the ZWave controller
+   */
+  connect () {
+    this._log(`Connecting to ${this._devicePath} using OpenZWave`)
+
+    this._ozw.connect(this._devicePath)
+  }
+
+  /**
+   * Disconnect from the ZWave controller
+   */
+  disconnect () {
+    this._ozw.disconnect(this._devicePath)
+  }
+
+  /**
+   * Set a node value
+   *
+   * @param {number} nodeId
+   * @param {number} commandClass
+   * @param {number} instance
+   * @param {number} index
+   * @param {*} value
+   */
+  setValue (nodeId, commandClass, instance, index, value) {
+    this._ozw.setValue(nodeId, commandClass, instance, index, value)
+  }
+
+  /**
+   * Put the controller into inclusion mode
+   *
+   * @param {boolean} secure
+   */
+  addNode (secure) {
+    this._ozw.addNode(secure)
+  }
+
+  /**
+   * Put the controller into exclusion mode
+   */
+  removeNode () {
+    this._ozw.removeNode()
+  }
+
+  /**
+   * Cancel the controller command in progress
+   */
+  cancelControllerCommand () {
+    this._ozw.cancelControllerCommand()
+  }
+}
+
+module.exports = OpenZWaveBackend
@@ -0,0 +1,289 @@
+const { EventEmitter } = require('events')
+const fs = require('fs')
+const Joi = require('@hapi/joi')
+const {
+  CONTROLLER_STATE_CANCEL,
+  CONTROLLER_STATE_WAITING,
+
+  NODE_NOTIFICATION_ALIVE,
+  NODE_NOTIFICATION_AWAKE,
+  NODE_NOTIFICATION_DEAD,
+  NODE_NOTIFICATION_SLEEP,
+  NODE_NOTIFICATION_TIMEOUT
+} = require('../ZWave')
+
+// The notifications that can be scripted, to simulate the communication with a node changing
+const NODE_NOTIFICATIONS = {
+  alive: NODE_NOTIFICATION_ALIVE,
+  awake: NODE_NOTIFICATION_AWAKE,
+  dead: NODE_NOTIFICATION_DEAD,
+  sleep: NODE_NOTIFICATION_SLEEP,
+  timeout: NODE_NOTIFICATION_TIMEOUT
+}
+
+const valueSchema = Joi.object().keys({
+  class_id: Joi.number().integer().required(),
+  instance: Joi.number().integer().min(1),
+  index: Joi.number().integer().min(0).required(),
+  label: Joi.string(),
+  type: Joi.string(),
+  value: Joi.any(),
+  values: Joi.array(),
+  units: Joi.string(),
+  min: Joi.number(),
+  max: Joi.number(),
+  read_only: Joi.boolean()
+})
+
+const nodeSchema = Joi.object().keys({
+  id: Joi.number().integer().min(1).required(),
+  manufacturer: Joi.string(),
+  manufacturerid: Joi.string(),
+  product: Joi.string(),
+  producttype: Joi.string(),
+  productid: Joi.string(),
+  type: Joi.string(),
+  name: Joi.string(),
+  loc: Joi.string(),
+  values: Joi.array().items(valueSchema)
+})
+
+// A step either changes a value, or sends a notification for a node
+const scriptStepSchema = Joi.alternatives().try(
+  Joi.object().keys({
+    delay: Joi.number().integer().min(0).required(),
+    nodeId: Joi.number().integer().min(1).required(),
+    commandClass: Joi.number().integer().required(),
+    instance: Joi.number().integer().min(1),
+    index: Joi.number().integer().min(0).required(),
+    value: Joi.any().required()
+  }),
+  Joi.object().keys({
+    delay: Joi.number().integer().min(0).required(),
+    nodeId: Joi.number().integer().min(1).required(),
+    notification: Joi.string().valid(...Object.keys(NODE_NOTIFICATIONS)).required()
+  })
+)
+
+const fixtureSchema = Joi.object().keys({
+  homeId: Joi.number().integer(),
+  nodes: Joi.array().items(nodeSchema).required(),
+  script: Joi.array().items(scriptStepSchema),
+  repeatScript: Joi.boolean()
+})
+
+class SimulatedBackend extends EventEmitter {
+  /**
+   * SimulatedBackend constructor
+   *
+   * @param {string} fixturePath path to the JSON fixture describing the simulated network
+   * @param {string} networkKey
+   * @param {Function} log
+   */
+  constructor (fixturePath, networkKey, log) {
+    super()
+
+    this._fixturePath = fixturePath
+    this._log = log
+
+    this._nodes = new Map()
+    this._timers = new Set()
+  }
+
+  /**
+   * Connect to the simulated network. The network is reported in the same order as OpenZWave
+   * reports a real network, and then the script (if any) is started.
+   */
+  connect () {
+    this._log(`Simulating the ZWave network from ${this._fixturePath}`)
+
+    let fixture
+
+    try {
+      fixture = Joi.attempt(JSON.parse(fs.readFileSync(this._fixturePath, 'utf8')), fixtureSchema)
+    } catch (err) {
+      this._log(`Simulated network could not be loaded: ${err.message}`)
+
+      return this._defer(() => this.emit('driver failed'))
+    }
+
+    this._defer(() => {
+      this.emit('driver ready', fixture.homeId || 1)
+
+      fixture.nodes.forEach(nodeFixture => this._addNode(nodeFixture))
+
+      this.emit('scan complete')
+
+      if (fixture.script) {
+        this._runScript(fixture.script, Boolean(fixture.repeatScript))
+      }
+    })
+  }
+
+  /**
+   * Disconnect from the simulated network, stopping the script
+   */
+  disconnect () {
+    this._timers.forEach(timer => clearTimeout(timer))
+    this._timers.clear()
+    this._nodes.clear()
+  }
+
+  /**
+   * Set a node value. The new value is reported back as if the node had reported the change.
+   *
+   * @param {number} nodeId
+   * @param {number} commandClass
+   * @param {number} instance
+   * @param {number} index
+   * @param {*} value
+   */
+  setValue (nodeId, commandClass, instance, index, value) {
+    const valueId = `${nodeId}-${commandClass}-${instance}-${index}`
+    const node = this._nodes.get(Number(nodeId))
+    const nodeValue = node === undefined ? undefined : node.values.get(valueId)
+
+    if (nodeValue === undefined || nodeValue.read_only) {
+      this._log(`Value ${valueId} can not be set`)
+
+      return
+    }
+
+    this._defer(() => this._changeValue(nodeValue, value))
+  }
+
+  /**
+   * Put the simulated controller into inclusion mode. Nodes are never added to the simulated network.
+   */
+  addNode () {
+    this._defer(() => this.emit('controller command', 0, CONTROLLER_STATE_WAITING, 0, 'Waiting for a node to include'))
+  }
+
+  /**
+   * Put the simulated controller into exclusion mode. Nodes are never removed from the simulated network.
+   */
+  removeNode () {
+    this._defer(() => this.emit('controller command', 0, CONTROLLER_STATE_WAITING, 0, 'Waiting for a node to exclude'))
+  }
+
+  /**
+   * Cancel the controller command in progress
+   */
+  cancelControllerCommand () {
+    this._defer(() => this.emit('controller command', 0, CONTROLLER_STATE_CANCEL, 0, 'Cancelled'))
+  }
+
+  /**
+   * Add a node from the fixture to the simulated network
+   *
+   * @param {Object} nodeFixture
+   */
+  _addNode (nodeFixture) {
+    const { id: nodeId, values = [], ...nodeData } = nodeFixture
+    const node = { values: new Map() }
+
+    this._nodes.set(nodeId, node)
+
+    this.emit('node added', nodeId)
+
+    values.forEach(valueFixture => {
+      const instance = valueFixture.instance || 1
+      const value = Object.assign({ label: '', units: '', read_only: false }, valueFixture, {
+        value_id: `${nodeId}-${valueFixture.class_id}-${instance}-${valueFixture.index}`,
+        node_id: nodeId,
+        instance
+      })
+
+      node.values.set(value.value_id, value)
+
+      this.emit('value added', nodeId, value.class_id, Object.assign({}, value))
+    })
+
+    this.emit('node ready', nodeId, Object.assign({
+      manufacturer: '',
+      manufacturerid: '',
+      product: '',
+      producttype: '',
+      productid: '',
+      type: '',
+      name: '',
+      loc: ''
+    }, nodeData))
+  }
+
+  /**
+   * Change a node value, reporting the change
+   *
+   * @param {Object} nodeValue
+   * @param {*} value
+   */
+  _changeValue (nodeValue, value) {
+    nodeValue.value = value
+
+    this.emit('value changed', nodeValue.node_id, nodeValue.class_id, Object.assign({}, nodeValue))
+  }
+
+  /**
+   * Run the script of value changes and notifications. Each step is run after the delay (in
+   * milliseconds) of the step, starting from when the previous step was run.
+   *
+   * @param {Object[]} steps
+   * @param {boolean} repeat whether to start the script again once the last step has been run
+   */
+  _runScript (steps, repeat) {
+    const runStep = stepIndex => {
+      if (stepIndex >= steps.length) {
+        if (repeat && steps.length > 0) {
+          runStep(0)
+        }
+
+        return
+      }
+
+      const { delay, nodeId, commandClass, instance = 1, index, value, notification } = steps[stepIndex]
+
+      const timer = setTimeout(() => {
+        this._timers.delete(timer)
+
+        if (notification !== undefined) {
+          this.emit('notification', nodeId, NODE_NOTIFICATIONS[notification])
+
+          return runStep(stepIndex + 1)
+        }
+
+        const node = this._nodes.get(nodeId)
+        const valueId = `${nodeId}-${commandClass}-${instance}-${index}`
+        const nodeValue = node === undefined ? undefined : node.values.get(valueId)
+
+        if (nodeValue === undefined) {
+          this._log(`Value ${valueId} does not exist in the simulated network`)
+        } else {
+          this._changeValue(nodeValue, value)
+        }
+
+        runStep(stepIndex + 1)
+      }, delay)
+
+      this._timers.add(timer)
+    }
+
+    runStep(0)
+  }
+
+  /**
+   * Run a function asynchronously, as a real network would report changes
+   *
+   * @param {Function} fn
+   */
+  _defer (fn) {
+    const timer = setTimeout(() => {
+      this._timers.delete(timer)
+
+      fn()
+    }, 0)
+
+    this._timers.add(timer)
+  }
+}
+
+module.exports = SimulatedBackend
@@ -0,0 +1,799 @@
+const { EventEmitter } = require('events')
+const { Driver, InclusionStrategy } = require('zwave-js')
+const { formatColorString, parseColorString } = require('../color')
+const {
+  COMMAND_CLASS_ALARM,
+  COMMAND_CLASS_BATTERY,
+  COMMAND_CLASS_CENTRAL_SCENE,
+  COMMAND_CLASS_CONFIGURATION,
+  COMMAND_CLASS_DOOR_LOCK,
+  COMMAND_CLASS_MANUFACTURER_SPECIFIC,
+  COMMAND_CLASS_METER,
+  COMMAND_CLASS_SENSOR_BINARY,
+  COMMAND_CLASS_SENSOR_MULTILEVEL,
+  COMMAND_CLASS_SWITCH_BINARY,
+  COMMAND_CLASS_SWITCH_COLOR,
+  COMMAND_CLASS_SWITCH_MULTILEVEL,
+  COMMAND_CLASS_THERMOSTAT_MODE,
+  COMMAND_CLASS_THERMOSTAT_OPERATING_STATE,
+  COMMAND_CLASS_THERMOSTAT_SETPOINT,
+
+  ALARM_INDEX_ACCESS_CONTROL,
+  ALARM_INDEX_CO,
+  ALARM_INDEX_HOME_SECURITY,
+  ALARM_INDEX_SMOKE,
+  ALARM_INDEX_WATER,
+  BATTERY_INDEX_LEVEL,
+  CENTRAL_SCENE_INDEX_SCENE_COUNT,
+  DOOR_LOCK_INDEX_LOCKED,
+  MANUFACTURER_SPECIFIC_INDEX_SERIAL_NUMBER,
+  METER_INDEX_RESET,
+  SENSOR_BINARY_INDEX_SENSOR,
+  SWITCH_BINARY_INDEX_SWITCH,
+  SWITCH_COLOR_INDEX_CHANNELS,
+  SWITCH_COLOR_INDEX_COLOR,
+  SWITCH_MULTILEVEL_INDEX_BRIGHT,
+  SWITCH_MULTILEVEL_INDEX_DIM,
+  SWITCH_MULTILEVEL_INDEX_LEVEL,
+  THERMOSTAT_MODE_INDEX_MODE,
+  THERMOSTAT_OPERATING_STATE_INDEX_OPERATING_STATE,
+
+  CONTROLLER_STATE_COMPLETED,
+  CONTROLLER_STATE_FAILED,
+  CONTROLLER_STATE_WAITING,
+
+  NODE_NOTIFICATION_ALIVE,
+  NODE_NOTIFICATION_AWAKE,
+  NODE_NOTIFICATION_DEAD,
+  NODE_NOTIFICATION_SLEEP
+} = require('../ZWave')
+
+const DOOR_LOCK_MODE_SECURED = 255
+const DOOR_LOCK_MODE_UNSECURED = 0
+
+const METER_TYPE_ELECTRIC = 1
+
+// The OpenZWave notification for each zwave-js node status
+const NODE_STATUS_NOTIFICATIONS = {
+  1: NODE_NOTIFICATION_SLEEP,
+  2: NODE_NOTIFICATION_AWAKE,
+  3: NODE_NOTIFICATION_DEAD,
+  4: NODE_NOTIFICATION_ALIVE
+}
+
+// The color channels supported by the Color Switch command class, and the bit used for each
+// channel in the OpenZWave channel mask
+const SWITCH_COLOR_CHANNELS = {
+  warmWhite: 0x01,
+  coldWhite: 0x02,
+  red: 0x04,
+  green: 0x08,
+  blue: 0x10
+}
+
+// The accessories expect notifications to be labelled the same way as OpenZWave labels them
+const NOTIFICATION_IDLE_LABEL = 'Clear'
+const NOTIFICATION_EVENT_LABELS = {
+  [ALARM_INDEX_SMOKE]: {
+    1: 'Smoke Detected',
+    2: 'Smoke Detected',
+    4: 'Replacement Required',
+    5: 'Replacement Required',
+    7: 'Maintenance Required',
+    8: 'Maintenance Required'
+  },
+  [ALARM_INDEX_CO]: {
+    1: 'Carbon Monoxide Detected',
+    2: 'Carbon Monoxide Detected'
+  },
+  [ALARM_INDEX_WATER]: {
+    1: 'Water Leak Detected',
+    2: 'Water Leak Detected'
+  },
+  [ALARM_INDEX_ACCESS_CONTROL]: {
+    1: 'Manual Lock Operation',
+    2: 'Manual Unlock Operation',
+    3: 'RF Lock Operation',
+    4: 'RF Unlock Operation',
+    5: 'Keypad Lock Operation',
+    6: 'Keypad Unlock Operation',
+    9: 'Auto Locked Operation',
+    11: 'Lock Jammed',
+    22: 'Window/Door is open',
+    23: 'Window/Door is closed'
+  },
+  [ALARM_INDEX_HOME_SECURITY]: {
+    1: 'Intrusion',
+    2: 'Intrusion',
+    3: 'Tampering - Cover Removed',
+    7: 'Motion Detected at Unknown Location',
+    8: 'Motion Detected at Unknown Location'
+  }
+}
+
+// The accessories expect central scene events to be labelled the same way as OpenZWave labels them
+const CENTRAL_SCENE_EVENT_LABELS = {
+  KeyPressed: 'Pressed 1 Time',
+  KeyPressed2x: 'Pressed 2 Times',
+  KeyPressed3x: 'Pressed 3 Times',
+  KeyPressed4x: 'Pressed 4 Times',
+  KeyPressed5x: 'Pressed 5 Times',
+  KeyHeldDown: 'Key Held down',
+  KeyReleased: 'Key Released'
+}
+
+class ZWaveJSBackend extends EventEmitter {
+  /**
+   * ZWaveJSBackend constructor
+   *
+   * @param {string} devicePath
+   * @param {string} networkKey
+   * @param {Function} log
+   */
+  constructor (devicePath, networkKey, log) {
+    super()
+
+    this._devicePath = devicePath
+    this._networkKey = networkKey
+    this._log = log
+
+    this._driver = null
+    this._controllerCommand = null
+    // The zwave-js value written to when an OpenZWave value ID is set, keyed by the OpenZWave value ID
+    this._writableValues = new Map()
+    // The state of each notification variable (i.e "Motion sensor status") that is not idle, keyed by the
+    // OpenZWave value ID of the notification type
+    this._notificationStates = new Map()
+  }
+
+  /**
+   * Connect to the ZWave controller
+   */
+  connect () {
+    const driverOptions = {
+      logConfig: { enabled: false }
+    }
+
+    // The network key is configured in the format used by OpenZWave (i.e "0xE0, 0x40, 0x58, ...")
+    if (typeof this._networkKey === 'string') {
+      driverOptions.securityKeys = {
+        S0_Legacy: Buffer.from(this._networkKey.split(',').map(byte => parseInt(byte.trim(), 16)))
+      }
+    }
+
+    const driver = this._driver = new Driver(this._devicePath, driverOptions)
+
+    this._log(`Connecting to ${this._devicePath} using zwave-js`)
+
+    driver.on('error', err => this._driverFailed(driver, err))
+    driver.on('all nodes ready', () => this.emit('scan complete'))
+    driver.once('driver ready', () => {
+      const controller = driver.controller
+
+      controller.on('node added', node => {
+        this._addNode(node)
+
+        if (this._controllerCommand === 'include') {
+          this._emitControllerCommand(node.id, CONTROLLER_STATE_COMPLETED, 'Node added')
+        }
+      })
+      controller.on('node removed', node => {
+        this.emit('node removed', node.id)
+
+        if (this._controllerCommand === 'exclude') {
+          this._emitControllerCommand(node.id, CONTROLLER_STATE_COMPLETED, 'Node removed')
+        }
+      })
+      controller.on('inclusion failed', () => {
+        this._emitControllerCommand(0, CONTROLLER_STATE_FAILED, 'Inclusion failed')
+      })
+      controller.on('exclusion failed', () => {
+        this._emitControllerCommand(0, CONTROLLER_STATE_FAILED, 'Exclusion failed')
+      })
+
+      this.emit('driver ready', controller.homeId)
+
+      controller.nodes.forEach(node => this._addNode(node))
+    })
+
+    driver.start().catch(err => this._driverFailed(driver, err))
+  }
+
+  /**
+   * Disconnect from the ZWave controller
+   */
+  disconnect () {
+    const driver = this._driver
+
+    if (driver === null) {
+      return
+    }
+
+    this._driver = null
+    this._controllerCommand = null
+    this._writableValues.clear()
+
+    driver.destroy().catch(err => this._log(`Failed to disconnect: ${err.message}`))
+  }
+
+  /**
+   * Set a node value
+   *
+   * @param {number} nodeId
+   * @param {number} commandClass
+   * @param {number} instance
+   * @param {number} index
+   * @param {*} value
+   */
+  setValue (nodeId, commandClass, instance, index, value) {
+    const valueId = `${nodeId}-${commandClass}-${instance}-${index}`
+    const writableValue = this._writableValues.get(valueId)
+    const node = this._driver === null ? undefined : this._driver.controller.nodes.get(Number(nodeId))
+
+    if (writableValue === undefined || node === undefined) {
+      this._log(`Value ${valueId} can not be set`)
+
+      return
+    }
+
+    node.setValue(writableValue.valueId, writableValue.toZWaveJS(value))
+      .then(success => {
+        if (!success) {
+          this._log(`Value ${valueId} was not set`)
+        }
+      })
+      .catch(err => this._log(`Value ${valueId} was not set: ${err.message}`))
+  }
+
+  /**
+   * Put the controller into inclusion mode
+   *
+   * @param {boolean} secure
+   */
+  addNode (secure) {
+    const strategy = secure ? InclusionStrategy.Security_S0 : InclusionStrategy.Insecure
+
+    this._startControllerCommand('include', this._driver.controller.beginInclusion({ strategy }))
+  }
+
+  /**
+   * Put the controller into exclusion mode
+   */
+  removeNode () {
+    this._startControllerCommand('exclude', this._driver.controller.beginExclusion())
+  }
+
+  /**
+   * Cancel the controller command in progress
+   */
+  cancelControllerCommand () {
+    const controllerCommand = this._controllerCommand
+
+    this._controllerCommand = null
+
+    if (this._driver === null || controllerCommand === null) {
+      return
+    }
+
+    const stopped = controllerCommand === 'include'
+      ? this._driver.controller.stopInclusion()
+      : this._driver.controller.stopExclusion()
+
+    stopped.catch(err => this._log(`Failed to stop ${controllerCommand}: ${err.message}`))
+  }
+
+  /**
+   * Handle the driver failing. The driver is discarded, as a new driver is created when reconnecting.
+   *
+   * @param {Object} driver
+   * @param {Error} err
+   */
+  _driverFailed (driver, err) {
+    // The driver may have already been discarded (i.e an error being reported while disconnecting)
+    if (driver !== this._driver) {
+      return
+    }
+
+    this._log(`Driver error: ${err.message}`)
+
+    this.emit('driver failed')
+  }
+
+  /**
+   * Start a controller command (inclusion or exclusion)
+   *
+   * @param {string} controllerCommand
+   * @param {Promise<boolean>} started
+   */
+  _startControllerCommand (controllerCommand, started) {
+    this._controllerCommand = controllerCommand
+
+    started
+      .then(isStarted => {
+        if (isStarted) {
+          this._emitControllerCommand(0, CONTROLLER_STATE_WAITING, `Waiting for a node to ${controllerCommand}`)
+        } else {
+          this._emitControllerCommand(0, CONTROLLER_STATE_FAILED, `Failed to start ${controllerCommand}`)
+        }
+      })
+      .catch(err => {
+        this._emitControllerCommand(0, CONTROLLER_STATE_FAILED, `Failed to start ${controllerCommand}: ${err.message}`)
+      })
+  }
+
+  /**
+   * Emit the "controller command" event. The controller command is finished if it has completed or failed.
+   *
+   * @param {number} nodeId
+   * @param {number} state
+   * @param {string} message
+   */
+  _emitControllerCommand (nodeId, state, message) {
+    if (state === CONTROLLER_STATE_COMPLETED || state === CONTROLLER_STATE_FAILED) {
+      this._controllerCommand = null
+    }
+
+    this.emit('controller command', nodeId, state, 0, message)
+  }
+
+  /**
+   * Add a zwave-js node, reporting its values once the node is ready
+   *
+   * @param {Object} node
+   */
+  _addNode (node) {
+    this.emit('node added', node.id)
+
+    const nodeReady = () => {
+      node.getDefinedValueIDs().forEach(valueId => {
+        this._emitValue('value added', node, valueId)
+      })
+
+      this._emitSyntheticValues(node)
+
+      this.emit('node ready', node.id, this._getNodeData(node))
+
+      this._emitNodeStatus(node)
+    }
+
+    node.on('ready', nodeReady)
+    node.on('value added', (node, args) => this._emitValue('value changed', node, args))
+    node.on('value updated', (node, args) => this._emitValue('value changed', node, args))
+    node.on('value removed', (node, args) => this._removeValue(node, args))
+    node.on('value notification', (node, args) => this._emitValueNotification(node, args))
+    node.on('notification', (node, commandClass, args) => this._emitNotification(node, commandClass, args))
+    node.on('wake up', node => this._emitNodeStatus(node))
+    node.on('sleep', node => this._emitNodeStatus(node))
+    node.on('dead', node => this._emitNodeStatus(node))
+    node.on('alive', node => this._emitNodeStatus(node))
+
+    if (node.ready) {
+      nodeReady()
+    }
+  }
+
+  /**
+   * Emit the OpenZWave notification for the status of a node (i.e the node being dead)
+   *
+   * @param {Object} node
+   */
+  _emitNodeStatus (node) {
+    const notification = NODE_STATUS_NOTIFICATIONS[node.status]
+
+    if (notification !== undefined) {
+      this.emit('notification', node.id, notification)
+    }
+  }
+
+  /**
+   * Get the node data in the format reported by OpenZWave
+   *
+   * @param   {Object} node
+   * @returns {Object}
+   */
+  _getNodeData (node) {
+    const deviceConfig = node.deviceConfig || {}
+    const formatId = id => `0x${(id || 0).toString(16).padStart(4, '0')}`
+
+    return {
+      manufacturer: deviceConfig.manufacturer || '',
+      manufacturerid: formatId(node.manufacturerId),
+      product: deviceConfig.description || deviceConfig.label || node.label || '',
+      producttype: formatId(node.productType),
+      productid: formatId(node.productId),
+      type: node.deviceClass ? node.deviceClass.specific.label : '',
+      name: node.name || '',
+      loc: node.location || ''
+    }
+  }
+
+  /**
+   * Emit the OpenZWave values that do not have a zwave-js equivalent, but are needed by the accessories
+   *
+   * @param {Object} node
+   */
+  _emitSyntheticValues (node) {
+    const homeId = this._driver.controller.homeId
+
+    // zwave-js does not report the serial number of a node
+    this._emitOpenZWaveValue('value added', node.id, {
+      commandClass: COMMAND_CLASS_MANUFACTURER_SPECIFIC,
+      instance: 1,
+      index: MANUFACTURER_SPECIFIC_INDEX_SERIAL_NUMBER,
+      label: 'Serial Number',
+      value: `${homeId.toString(16)}-${node.id}`
+    })
+
+    // zwave-js does not report the number of scenes supported by a node, but it does define a value for each scene
+    const sceneCount = node.getDefinedValueIDs()
+      .filter(valueId => valueId.commandClass === COMMAND_CLASS_CENTRAL_SCENE && valueId.property === 'scene')
+      .length
+
+    if (sceneCount > 0) {
+      this._emitOpenZWaveValue('value added', node.id, {
+        commandClass: COMMAND_CLASS_CENTRAL_SCENE,
+        instance: 1,
+        index: CENTRAL_SCENE_INDEX_SCENE_COUNT,
+        label: 'Scene Count',
+        value: sceneCount
+      })
+    }
+  }
+
+  /**
+   * Emit the OpenZWave value equivalent to a zwave-js value (if there is one)
+   *
+   * @param {string} event
+   * @param {Object} node
+   * @param {Object} valueId
+   */
+  _emitValue (event, node, valueId) {
+    const value = valueId.commandClass === COMMAND_CLASS_SWITCH_COLOR
+      ? this._translateColorValue(node, valueId)
+      : this._translateValue(node, valueId)
+
+    if (value !== null) {
+      this._emitOpenZWaveValue(event, node.id, value)
+    }
+  }
+
+  /**
+   * Emit an OpenZWave value, keeping track of how the value is written if it is writable
+   *
+   * @param {string} event
+   * @param {number} nodeId
+   * @param {Object} value
+   */
+  _emitOpenZWaveValue (event, nodeId, { commandClass, instance, index, label, value, values, units, min, max, write }) {
+    const valueId = `${nodeId}-${commandClass}-${instance}-${index}`
+
+    if (write) {
+      this._writableValues.set(valueId, write)
+    }
+
+    this.emit(event, nodeId, commandClass, {
+      value_id: valueId,
+      node_id: nodeId,
+      class_id: commandClass,
+      instance,
+      index,
+      label,
+      value,
+      values,
+      units: units || '',
+      min,
+      max,
+      read_only: !write
+    })
+  }
+
+  /**
+   * Translate a zwave-js value to the equivalent OpenZWave value. Returns null if there is no
+   * equivalent OpenZWave value.
+   *
+   * @param   {Object} node
+   * @param   {Object} valueId
+   * @returns {Object|null}
+   */
+  _translateValue (node, valueId) {
+    const { commandClass, property, propertyKey } = valueId
+    const metadata = node.getValueMetadata(valueId)
+    const ccSpecific = metadata.ccSpecific || {}
+    const states = metadata.states
+    const rawValue = node.getValue(valueId)
+
+    let index = null
+    let value = rawValue
+    let writeValueId = null
+    let toZWaveJS = v => v
+
+    // Values with a set of states (i.e the thermostat mode) are reported as the label of the state
+    if (states && typeof rawValue === 'number') {
+      value = states[rawValue] !== undefined ? states[rawValue] : rawValue
+      toZWaveJS = v => {
+        const state = Object.keys(states).find(key => states[key] === v)
+
+        return state === undefined ? v : Number(state)
+      }
+    }
+
+    switch (commandClass) {
+      case COMMAND_CLASS_SWITCH_BINARY:
+      case COMMAND_CLASS_SWITCH_MULTILEVEL:
+        if (property === 'currentValue') {
+          index = commandClass === COMMAND_CLASS_SWITCH_BINARY ? SWITCH_BINARY_INDEX_SWITCH : SWITCH_MULTILEVEL_INDEX_LEVEL
+          writeValueId = { ...valueId, property: 'targetValue' }
+        } else if (commandClass === COMMAND_CLASS_SWITCH_MULTILEVEL && (property === 'Up' || property === 'Down')) {
+          index = property === 'Up' ? SWITCH_MULTILEVEL_INDEX_BRIGHT : SWITCH_MULTILEVEL_INDEX_DIM
+          writeValueId = valueId
+        }
+        break
+      case COMMAND_CLASS_SENSOR_BINARY:
+        index = SENSOR_BINARY_INDEX_SENSOR
+        break
+      case COMMAND_CLASS_SENSOR_MULTILEVEL:
+        index = ccSpecific.sensorType === undefined ? null : ccSpecific.sensorType
+        break
+      case COMMAND_CLASS_METER:
+        if (property === 'value' && ccSpecific.meterType === METER_TYPE_ELECTRIC) {
+          index = ccSpecific.scale
+        } else if (property === 'reset' && propertyKey === undefined) {
+          // Resets all of the accumulated values of the meter
+          index = METER_INDEX_RESET
+          writeValueId = valueId
+        }
+        break
+      case COMMAND_CLASS_THERMOSTAT_MODE:
+        if (property === 'mode') {
+          index = THERMOSTAT_MODE_INDEX_MODE
+          writeValueId = valueId
+        }
+        break
+      case COMMAND_CLASS_THERMOSTAT_OPERATING_STATE:
+        if (property === 'state') {
+          index = THERMOSTAT_OPERATING_STATE_INDEX_OPERATING_STATE
+        }
+        break
+      case COMMAND_CLASS_THERMOSTAT_SETPOINT:
+        if (property === 'setpoint') {
+          index = propertyKey
+          writeValueId = valueId
+        }
+        break
+      case COMMAND_CLASS_DOOR_LOCK:
+        if (property === 'currentMode') {
+          index = DOOR_LOCK_INDEX_LOCKED
+          value = rawValue === DOOR_LOCK_MODE_SECURED
+          writeValueId = { ...valueId, property: 'targetMode' }
+          toZWaveJS = v => v ? DOOR_LOCK_MODE_SECURED : DOOR_LOCK_MODE_UNSECURED
+        }
+        break
+      case COMMAND_CLASS_CONFIGURATION:
+        if (typeof property === 'number' && propertyKey === undefined) {
+          index = property
+          writeValueId = valueId
+        }
+        break
+      case COMMAND_CLASS_ALARM:
+        if (ccSpecific.notificationType !== undefined) {
+          index = ccSpecific.notificationType
+          value = this._updateNotificationState(
+            `${node.id}-${commandClass}-${Math.max(valueId.endpoint || 0, 1)}-${index}`,
+            propertyKey === undefined ? property : propertyKey,
+            this._getNotificationLabel(index, rawValue, states)
+          )
+        }
+        break
+      case COMMAND_CLASS_BATTERY:
+        if (property === 'level') {
+          index = BATTERY_INDEX_LEVEL
+        }
+        break
+    }
+
+    if (index === null || index === undefined) {
+      return null
+    }
+
+    return {
+      commandClass,
+      instance: Math.max(valueId.endpoint || 0, 1),
+      index,
+      label: metadata.label || String(property),
+      value,
+      values: states ? Object.values(states) : undefined,
+      // OpenZWave reports temperatures in "C" or "F"
+      units: (metadata.unit || '').replace('°', ''),
+      min: metadata.min,
+      max: metadata.max,
+      write: writeValueId === null ? null : { valueId: writeValueId, toZWaveJS }
+    }
+  }
+
+  /**
+   * Translate a zwave-js color value to the equivalent OpenZWave color value. zwave-js reports a
+   * value for each color channel, whereas OpenZWave reports all of the channels as a single value
+   * (#RRGGBB[WWCW]) along with a mask of the channels supported by the node.
+   *
+   * @param   {Object} node
+   * @param   {Object} valueId
+   * @returns {Object|null}
+   */
+  _translateColorValue (node, valueId) {
+    if (valueId.property !== 'currentColor' || valueId.propertyKey === undefined) {
+      return null
+    }
+
+    const endpoint = valueId.endpoint || 0
+    const channelValueId = channel => ({
+      commandClass: COMMAND_CLASS_SWITCH_COLOR,
+      endpoint,
+      property: 'currentColor',
+      propertyKey: channel
+    })
+    const supportedChannels = Object.keys(SWITCH_COLOR_CHANNELS).filter(channel => {
+      return node.getDefinedValueIDs().some(definedValueId => {
+        return definedValueId.commandClass === COMMAND_CLASS_SWITCH_COLOR &&
+          (definedValueId.endpoint || 0) === endpoint &&
+          definedValueId.propertyKey === channel
+      })
+    })
+    const color = {}
+
+    supportedChannels.forEach(channel => {
+      color[channel] = node.getValue(channelValueId(channel)) || 0
+    })
+
+    const includeWhite = supportedChannels.includes('warmWhite') || supportedChannels.includes('coldWhite')
+    const instance = Math.max(endpoint, 1)
+
+    // The channel mask is not a zwave-js value, so it is reported whenever the color is
+    this._emitOpenZWaveValue('value changed', node.id, {
+      commandClass: COMMAND_CLASS_SWITCH_COLOR,
+      instance,
+      index: SWITCH_COLOR_INDEX_CHANNELS,
+      label: 'Color Channels',
+      value: supportedChannels.reduce((mask, channel) => mask | SWITCH_COLOR_CHANNELS[channel], 0)
+    })
+
+    return {
+      commandClass: COMMAND_CLASS_SWITCH_COLOR,
+      instance,
+      index: SWITCH_COLOR_INDEX_COLOR,
+      label: 'Color',
+      value: formatColorString(Object.assign({ red: 0, green: 0, blue: 0 }, color), includeWhite),
+      write: {
+        valueId: { commandClass: COMMAND_CLASS_SWITCH_COLOR, endpoint, property: 'targetColor' },
+        toZWaveJS: v => {
+          const channels = parseColorString(v)
+
+          return supportedChannels.reduce((targetColor, channel) => {
+            return Object.assign(targetColor, { [channel]: channels[channel] })
+          }, {})
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the OpenZWave label for a notification event
+   *
+   * @param   {number} notificationType
+   * @param   {number} notificationEvent
+   * @param   {Object} states the zwave-js labels for the events
+   * @returns {string}
+   */
+  _getNotificationLabel (notificationType, notificationEvent, states) {
+    // The notification will not have an event if nothing has been reported yet
+    if (!notificationEvent) {
+      return NOTIFICATION_IDLE_LABEL
+    }
+
+    const labels = NOTIFICATION_EVENT_LABELS[notificationType] || {}
+
+    if (labels[notificationEvent] !== undefined) {
+      return labels[notificationEvent]
+    }
+
+    return states && states[notificationEvent] !== undefined ? states[notificationEvent] : String(notificationEvent)
+  }
+
+  /**
+   * Update the state of a notification variable, returning the OpenZWave label for the notification
+   * type. zwave-js reports a value for each variable of a notification type (i.e "Cover status" and
+   * "Motion sensor status" for Home Security) whereas OpenZWave reports a single value, so the most
+   * recent state that is not idle is reported - a variable becoming idle does not clear the others.
+   *
+   * @param   {string} valueId the OpenZWave value ID of the notification type
+   * @param   {string} variable
+   * @param   {string} label
+   * @returns {string}
+   */
+  _updateNotificationState (valueId, variable, label) {
+    const variableStates = this._notificationStates.get(valueId) || new Map()
+
+    // The variables are kept in the order that their state was reported
+    variableStates.delete(variable)
+
+    if (label !== NOTIFICATION_IDLE_LABEL) {
+      variableStates.set(variable, label)
+    }
+
+    this._notificationStates.set(valueId, variableStates)
+
+    return variableStates.size === 0
+      ? NOTIFICATION_IDLE_LABEL
+      : Array.from(variableStates.values()).pop()
+  }
+
+  /**
+   * Remove the OpenZWave value equivalent to a zwave-js value (if there is one)
+   *
+   * @param {Object} node
+   * @param {Object} valueId
+   */
+  _removeValue (node, valueId) {
+    const value = valueId.commandClass === COMMAND_CLASS_SWITCH_COLOR
+      ? null
+      : this._translateValue(node, valueId)
+
+    if (value === null) {
+      return
+    }
+
+    this._writableValues.delete(`${node.id}-${value.commandClass}-${value.instance}-${value.index}`)
+
+    this.emit('value removed', node.id, value.commandClass, value.instance, value.index)
+  }
+
+  /**
+   * Handle a zwave-js value notification (a value that is an event rather than state, i.e a scene
+   * being activated)
+   *
+   * @param {Object} node
+   * @param {Object} args
+   */
+  _emitValueNotification (node, args) {
+    if (args.commandClass !== COMMAND_CLASS_CENTRAL_SCENE || args.property !== 'scene') {
+      return
+    }
+
+    const metadata = node.getValueMetadata(args)
+    const keyAttribute = metadata.states ? metadata.states[args.value] : undefined
+    // zwave-js identifies scenes with a padded string (i.e "001")
+    const sceneId = parseInt(args.propertyKey, 10)
+
+    this._emitOpenZWaveValue('value changed', node.id, {
+      commandClass: COMMAND_CLASS_CENTRAL_SCENE,
+      instance: Math.max(args.endpoint || 0, 1),
+      index: sceneId,
+      label: `Scene ${sceneId}`,
+      value: CENTRAL_SCENE_EVENT_LABELS[keyAttribute] || keyAttribute
+    })
+  }
+
+  /**
+   * Handle a zwave-js notification. Notifications that change state (i.e motion being detected) are
+   * also reported as a value, but notifications that do not (i.e a lock being locked) are only
+   * reported this way.
+   *
+   * @param {Object} node
+   * @param {number} commandClass
+   * @param {Object} args
+   */
+  _emitNotification (node, commandClass, args) {
+    if (commandClass !== COMMAND_CLASS_ALARM) {
+      return
+    }
+
+    this._emitOpenZWaveValue('value changed', node.id, {
+      commandClass: COMMAND_CLASS_ALARM,
+      instance: 1,
+      index: args.type,
+      label: args.label,
+      value: this._getNotificationLabel(args.type, args.event, { [args.event]: args.eventLabel })
+    })
+  }
+}
+
+module.exports = ZWaveJSBackend
@@ -0,0 +1,84 @@
+/**
+ * A backend is the driver used to talk to the ZWave controller. Every backend is an EventEmitter
+ * that reports the ZWave network in the same shape as OpenZWave, so that the rest of the plugin
+ * does not need to know which driver is being used.
+ *
+ * Events:
+ *
+ * - "driver ready" (homeId)
+ * - "driver failed"
+ * - "scan complete"
+ * - "node added" (nodeId)
+ * - "node removed" (nodeId)
+ * - "node ready" (nodeId, nodeData)
+ * - "value added" / "value changed" / "value refreshed" (nodeId, commandClass, value)
+ * - "value removed" (nodeId, commandClass, instance, index)
+ * - "scene event" (nodeId, sceneId)
+ * - "controller command" (nodeId, state, error, message)
+ * - "notification" (nodeId, notification) - the state of the communication with a node (i.e the node being dead)
+ *
+ * Methods:
+ *
+ * - connect()
+ * - disconnect()
+ * - setValue(nodeId, commandClass, instance, index, value)
+ * - addNode(secure)
+ * - removeNode()
+ * - cancelControllerCommand()
+ */
+
+const BACKEND_OPENZWAVE = 'openzwave'
+const BACKEND_ZWAVE_JS = 'zwave-js'
+const BACKEND_SIMULATED = 'simulated'
+
+// Backends are only required when used, so that the driver for a backend that is not being used
+// does not need to be loaded (i.e the native OpenZWave library)
+const BACKEND_MODULES = {
+  [BACKEND_OPENZWAVE]: './OpenZWaveBackend',
+  [BACKEND_ZWAVE_JS]: './ZWaveJSBackend',
+  [BACKEND_SIMULATED]: './SimulatedBackend'
+}
+
+// The package each backend needs. The packages are optional dependencies, so a package may not be
+// installed (i.e the native OpenZWave addon could not be built)
+const BACKEND_PACKAGES = {
+  [BACKEND_OPENZWAVE]: 'openzwave-shared',
+  [BACKEND_ZWAVE_JS]: 'zwave-js'
+}
+
+/**
+ * Create a backend
+ *
+ * @param   {string} name
+ * @param   {string} devicePath the path to the ZWave controller (or the fixture for the simulated backend)
+ * @param   {string} networkKey
+ * @param   {Function} log
+ * @returns {Object}
+ * @throws  {Error} if the package needed by the backend is not installed
+ */
+function createBackend (name, devicePath, networkKey, log) {
+  let Backend
+
+  try {
+    Backend = require(BACKEND_MODULES[name])
+  } catch (err) {
+    const backendPackage = BACKEND_PACKAGES[name]
+
+    if (err.code === 'MODULE_NOT_FOUND' && backendPackage && err.message.includes(`'${backendPackage}'`)) {
+      throw new Error(`The ${name} backend requires the ${backendPackage} package, install it with "npm install ${backendPackage}"`)
+    }
+
+    throw err
+  }
+
+  return new Backend(devicePath, networkKey, log)
+}
+
+module.exports = {
+  BACKEND_OPENZWAVE,
+  BACKEND_ZWAVE_JS,
+  BACKEND_SIMULATED,
+  // The simulated backend is not selected via zwave.backend, as it needs a fixture rather than a device
+  BACKENDS: [BACKEND_OPENZWAVE, BACKEND_ZWAVE_JS],
+  createBackend
+}
@@ -0,0 +1,241 @@
+// HomeKit colour temperatures are in mireds (140 - 500)
+const COLOR_TEMPERATURE_MIN = 140
+const COLOR_TEMPERATURE_MAX = 500
+
+/**
+ * Convert a hue and saturation to RGB (at full brightness)
+ *
+ * @param   {number} hue 0 - 360
+ * @param   {number} saturation 0 - 100
+ * @returns {{red: number, green: number, blue: number}}
+ */
+function hueSaturationToRgb (hue, saturation) {
+  const h = (Number(hue) % 360) / 60
+  const s = Number(saturation) / 100
+  const c = s
+  const x = c * (1 - Math.abs((h % 2) - 1))
+  const m = 1 - c
+
+  let rgb
+
+  if (h < 1) {
+    rgb = [c, x, 0]
+  } else if (h < 2) {
+    rgb = [x, c, 0]
+  } else if (h < 3) {
+    rgb = [0, c, x]
+  } else if (h < 4) {
+    rgb = [0, x, c]
+  } else if (h < 5) {
+    rgb = [x, 0, c]
+  } else {
+    rgb = [c, 0, x]
+  }
+
+  const [red, green, blue] = rgb.map(v => Math.round((v + m) * 255))
+
+  return { red, green, blue }
+}
+
+/**
+ * Convert RGB to a hue and saturation (brightness is discarded)
+ *
+ * @param   {{red: number, green: number, blue: number}} rgb
+ * @returns {{hue: number, saturation: number}}
+ */
+function rgbToHueSaturation ({ red, green, blue }) {
+  const r = red / 255
+  const g = green / 255
+  const b = blue / 255
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const delta = max - min
+
+  let hue = 0
+
+  if (delta > 0) {
+    if (max === r) {
+      hue = 60 * (((g - b) / delta) % 6)
+    } else if (max === g) {
+      hue = 60 * (((b - r) / delta) + 2)
+    } else {
+      hue = 60 * (((r - g) / delta) + 4)
+    }
+  }
+
+  return {
+    hue: Math.round(hue < 0 ? hue + 360 : hue),
+    saturation: max === 0 ? 0 : Math.round((delta / max) * 100)
+  }
+}
+
+/**
+ * Convert a colour temperature to a warm white / cold white mix
+ *
+ * @param   {number} colorTemperature mireds
+ * @returns {{warmWhite: number, coldWhite: number}}
+ */
+function colorTemperatureToWhite (colorTemperature) {
+  const ratio = (clamp(colorTemperature, COLOR_TEMPERATURE_MIN, COLOR_TEMPERATURE_MAX) - COLOR_TEMPERATURE_MIN) /
+    (COLOR_TEMPERATURE_MAX - COLOR_TEMPERATURE_MIN)
+
+  return {
+    warmWhite: Math.round(ratio * 255),
+    coldWhite: Math.round((1 - ratio) * 255)
+  }
+}
+
+/**
+ * Convert a warm white / cold white mix to a colour temperature
+ *
+ * @param   {{warmWhite: number, coldWhite: number}} white
+ * @returns {number} mireds
+ */
+function whiteToColorTemperature ({ warmWhite, coldWhite }) {
+  const total = warmWhite + coldWhite
+
+  if (total === 0) {
+    return COLOR_TEMPERATURE_MIN
+  }
+
+  return Math.round(COLOR_TEMPERATURE_MIN + (warmWhite / total) * (COLOR_TEMPERATURE_MAX - COLOR_TEMPERATURE_MIN))
+}
+
+/**
+ * Parse a ZWave color string (#RRGGBB[WW[CW]])
+ *
+ * @param   {string} value
+ * @returns {{red: number, green: number, blue: number, warmWhite: number, coldWhite: number}}
+ */
+function parseColorString (value) {
+  const hex = String(value || '').replace(/^#/, '')
+  const channel = i => parseInt(hex.substr(i * 2, 2), 16) || 0
+
+  return {
+    red: channel(0),
+    green: channel(1),
+    blue: channel(2),
+    warmWhite: channel(3),
+    coldWhite: channel(4)
+  }
+}
+
+/**
+ * Format a ZWave color string (#RRGGBB[WWCW])
+ *
+ * @param   {{red: number, green: number, blue: number, warmWhite: number, coldWhite: number}} color
+ * @param   {boolean} includeWhite
+ * @returns {string}
+ */
+function formatColorString ({ red, green, blue, warmWhite = 0, coldWhite = 0 }, includeWhite) {
+  const channels = includeWhite
+    ? [red, green, blue, warmWhite, coldWhite]
+    : [red, green, blue]
+
+  return '#' + channels
+    .map(v => clamp(Math.round(v), 0, 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()
+}
+
+/**
+ * Convert a HomeKit colour state to ZWave color channel values. Channels the device
+ * does not support are approximated using the remaining channels.
+ *
+ * @param   {{hue: number, saturation: number, colorTemperature: number, whiteMode: boolean}} state
+ * @param   {{warmWhite: boolean, coldWhite: boolean}} supportedWhiteChannels
+ * @returns {{red: number, green: number, blue: number, warmWhite: number, coldWhite: number}}
+ */
+function colorStateToChannels (state, supportedWhiteChannels) {
+  if (state.whiteMode) {
+    const { warmWhite, coldWhite } = colorTemperatureToWhite(state.colorTemperature)
+    const color = { red: 0, green: 0, blue: 0, warmWhite: 0, coldWhite: 0 }
+
+    if (supportedWhiteChannels.warmWhite) {
+      color.warmWhite = warmWhite
+    } else {
+      color.red += warmWhite
+      color.green += warmWhite * 0.6
+      color.blue += warmWhite * 0.2
+    }
+
+    if (supportedWhiteChannels.coldWhite) {
+      color.coldWhite = coldWhite
+    } else {
+      color.red += coldWhite
+      color.green += coldWhite
+      color.blue += coldWhite
+    }
+
+    return color
+  }
+
+  const { red, green, blue } = hueSaturationToRgb(state.hue, state.saturation)
+  const color = { red, green, blue, warmWhite: 0, coldWhite: 0 }
+
+  // Move the white component of the colour on to a dedicated white channel if one is available
+  if (supportedWhiteChannels.coldWhite || supportedWhiteChannels.warmWhite) {
+    const white = Math.min(red, green, blue)
+
+    color.red -= white
+    color.green -= white
+    color.blue -= white
+    color[supportedWhiteChannels.coldWhite ? 'coldWhite' : 'warmWhite'] = white
+  }
+
+  return color
+}
+
+/**
+ * Convert ZWave color channel values to a HomeKit colour state
+ *
+ * @param   {{red: number, green: number, blue: number, warmWhite: number, coldWhite: number}} color
+ * @param   {{warmWhite: boolean, coldWhite: boolean}} supportedWhiteChannels
+ * @returns {{hue: number, saturation: number, colorTemperature: number, whiteMode: boolean}}
+ */
+function channelsToColorState ({ red, green, blue, warmWhite, coldWhite }, supportedWhiteChannels) {
+  const rgbIsWhite = red === green && green === blue
+
+  if (warmWhite + coldWhite > 0 && rgbIsWhite) {
+    return {
+      hue: 0,
+      saturation: 0,
+      colorTemperature: whiteToColorTemperature({ warmWhite, coldWhite: coldWhite + red }),
+      whiteMode: true
+    }
+  }
+
+  const white = supportedWhiteChannels.coldWhite ? coldWhite : warmWhite
+
+  return {
+    ...rgbToHueSaturation({ red: red + white, green: green + white, blue: blue + white }),
+    colorTemperature: COLOR_TEMPERATURE_MIN,
+    whiteMode: false
+  }
+}
+
+/**
+ * Clamp a number between a min and max
+ *
+ * @param   {number} value
+ * @param   {number} min
+ * @param   {number} max
+ * @returns {number}
+ */
+function clamp (value, min, max) {
+  return Math.min(Math.max(Number(value), min), max)
+}
+
+module.exports = {
+  COLOR_TEMPERATURE_MIN,
+  COLOR_TEMPERATURE_MAX,
+
+  hueSaturationToRgb,
+  rgbToHueSaturation,
+  colorTemperatureToWhite,
+  whiteToColorTemperature,
+  parseColorString,
+  formatColorString,
+  colorStateToChannels,
+  channelsToColorState
+}
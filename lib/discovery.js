@@ -0,0 +1,149 @@
+const {
+  COMMAND_CLASS_ALARM,
+  COMMAND_CLASS_BATTERY,
+  COMMAND_CLASS_CENTRAL_SCENE,
+  COMMAND_CLASS_DOOR_LOCK,
+  COMMAND_CLASS_SENSOR_BINARY,
+  COMMAND_CLASS_SENSOR_MULTILEVEL,
+  COMMAND_CLASS_SWITCH_BINARY,
+  COMMAND_CLASS_SWITCH_COLOR,
+  COMMAND_CLASS_SWITCH_MULTILEVEL,
+  COMMAND_CLASS_THERMOSTAT_MODE,
+
+  ALARM_INDEX_ACCESS_CONTROL,
+  ALARM_INDEX_CO,
+  ALARM_INDEX_HOME_SECURITY,
+  ALARM_INDEX_SMOKE,
+  ALARM_INDEX_WATER,
+  BATTERY_INDEX_LEVEL,
+  CENTRAL_SCENE_INDEX_SCENE_COUNT,
+  DOOR_LOCK_INDEX_LOCKED,
+  SENSOR_BINARY_INDEX_SENSOR,
+  SENSOR_MULTILEVEL_INDEX_HUMIDITY,
+  SENSOR_MULTILEVEL_INDEX_LUMINANCE,
+  SENSOR_MULTILEVEL_INDEX_TEMPERATURE,
+  SWITCH_BINARY_INDEX_SWITCH,
+  SWITCH_COLOR_INDEX_COLOR,
+  SWITCH_MULTILEVEL_INDEX_LEVEL,
+  THERMOSTAT_MODE_INDEX_MODE
+} = require('./ZWave')
+
+// Multilevel switches are usually dimmers, unless the device type says otherwise
+const WINDOW_COVERING_DEVICE_TYPE_PATTERN = /motor|shutter|blind|curtain|cover/i
+const OUTLET_DEVICE_TYPE_PATTERN = /outlet|plug|socket/i
+
+// The sensor services that can be discovered, and the ZWave node value each one requires
+const SENSOR_SERVICES = [
+  ['CarbonMonoxideSensor', COMMAND_CLASS_ALARM, ALARM_INDEX_CO],
+  ['ContactSensor', COMMAND_CLASS_ALARM, ALARM_INDEX_ACCESS_CONTROL],
+  ['HumiditySensor', COMMAND_CLASS_SENSOR_MULTILEVEL, SENSOR_MULTILEVEL_INDEX_HUMIDITY],
+  ['LeakSensor', COMMAND_CLASS_ALARM, ALARM_INDEX_WATER],
+  ['LightSensor', COMMAND_CLASS_SENSOR_MULTILEVEL, SENSOR_MULTILEVEL_INDEX_LUMINANCE],
+  ['MotionSensor', COMMAND_CLASS_ALARM, ALARM_INDEX_HOME_SECURITY],
+  ['SmokeSensor', COMMAND_CLASS_ALARM, ALARM_INDEX_SMOKE],
+  ['TemperatureSensor', COMMAND_CLASS_SENSOR_MULTILEVEL, SENSOR_MULTILEVEL_INDEX_TEMPERATURE]
+]
+
+/**
+ * Discover the accessory config for a ZWave node from the command classes and values
+ * the node supports. Returns null if the node does not support any of the services
+ * provided by this plugin (i.e the ZWave controller).
+ *
+ * @param   {Object} node
+ * @returns {Object|null}
+ */
+function discoverAccessoryConfig (node) {
+  const values = Array.from(node.values.values())
+  const deviceType = node.type || ''
+
+  const hasValue = (commandClass, index) => values.some(value => {
+    return value.class_id === commandClass && value.index === index
+  })
+
+  // Services for switches are created for each instance (endpoint) of the node so that multi-channel
+  // devices (i.e a double wall switch) are exposed as multiple services
+  const makeServicesForEachInstance = (type, commandClass, index) => {
+    const instances = Array.from(new Set(
+      values
+        .filter(value => value.class_id === commandClass && value.index === index)
+        .map(value => value.instance)
+    )).sort((a, b) => a - b)
+
+    if (instances.length <= 1) {
+      return [type]
+    }
+
+    return instances.map(zwaveInstance => ({ type, zwaveInstance }))
+  }
+
+  const makeAccessoryConfig = (homekitCategory, homekitServices) => ({
+    zwaveNodeId: node.id,
+    displayName: node.product || `Node ${node.id}`,
+    homekitCategory,
+    homekitServices
+  })
+
+  if (hasValue(COMMAND_CLASS_DOOR_LOCK, DOOR_LOCK_INDEX_LOCKED)) {
+    return makeAccessoryConfig('Lock', ['LockMechanism'])
+  }
+
+  if (hasValue(COMMAND_CLASS_THERMOSTAT_MODE, THERMOSTAT_MODE_INDEX_MODE)) {
+    return makeAccessoryConfig('Thermostat', ['Thermostat'])
+  }
+
+  if (hasValue(COMMAND_CLASS_SWITCH_MULTILEVEL, SWITCH_MULTILEVEL_INDEX_LEVEL)) {
+    if (WINDOW_COVERING_DEVICE_TYPE_PATTERN.test(deviceType)) {
+      return makeAccessoryConfig('WindowCovering', ['WindowCovering'])
+    }
+
+    const lightbulbServiceType = hasValue(COMMAND_CLASS_SWITCH_COLOR, SWITCH_COLOR_INDEX_COLOR)
+      ? 'ColorLightbulb'
+      : 'Lightbulb'
+
+    return makeAccessoryConfig('Lightbulb', makeServicesForEachInstance(
+      lightbulbServiceType,
+      COMMAND_CLASS_SWITCH_MULTILEVEL,
+      SWITCH_MULTILEVEL_INDEX_LEVEL
+    ))
+  }
+
+  if (hasValue(COMMAND_CLASS_SWITCH_BINARY, SWITCH_BINARY_INDEX_SWITCH)) {
+    const homekitCategory = OUTLET_DEVICE_TYPE_PATTERN.test(deviceType) ? 'Outlet' : 'Switch'
+
+    return makeAccessoryConfig(homekitCategory, makeServicesForEachInstance(
+      homekitCategory,
+      COMMAND_CLASS_SWITCH_BINARY,
+      SWITCH_BINARY_INDEX_SWITCH
+    ))
+  }
+
+  const hasBattery = hasValue(COMMAND_CLASS_BATTERY, BATTERY_INDEX_LEVEL)
+
+  if (hasValue(COMMAND_CLASS_CENTRAL_SCENE, CENTRAL_SCENE_INDEX_SCENE_COUNT)) {
+    return makeAccessoryConfig('Button', ['StatelessProgrammableSwitch'].concat(hasBattery ? ['Battery'] : []))
+  }
+
+  const sensorServices = SENSOR_SERVICES
+    .filter(([, commandClass, index]) => hasValue(commandClass, index))
+    .map(([type]) => type)
+
+  // Devices that do not support the "Access Control" notification can report the contact
+  // state via the binary sensor, unless the binary sensor is being used to report motion
+  const binarySensorIsContactSensor = hasValue(COMMAND_CLASS_SENSOR_BINARY, SENSOR_BINARY_INDEX_SENSOR) &&
+    !sensorServices.includes('ContactSensor') &&
+    !sensorServices.includes('MotionSensor')
+
+  if (binarySensorIsContactSensor) {
+    sensorServices.push('ContactSensor')
+  }
+
+  if (sensorServices.length > 0) {
+    return makeAccessoryConfig('Sensor', sensorServices.sort().concat(hasBattery ? ['Battery'] : []))
+  }
+
+  return null
+}
+
+module.exports = {
+  discoverAccessoryConfig
+}
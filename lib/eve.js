@@ -0,0 +1,65 @@
+// The custom characteristics used by the Eve app (https://www.evehome.com/en/eve-app) to show the
+// energy used by a device. These are not part of HomeKit, so they are not shown by the Home app.
+const EVE_CHARACTERISTICS = {
+  CurrentConsumption: {
+    displayName: 'Current Consumption',
+    UUID: 'E863F10D-079E-48FF-8F27-9C2605A29F52',
+    props: { format: 'float', unit: 'W', minValue: 0, maxValue: 100000, minStep: 0.1, perms: ['READ', 'NOTIFY'] }
+  },
+  TotalConsumption: {
+    displayName: 'Total Consumption',
+    UUID: 'E863F10C-079E-48FF-8F27-9C2605A29F52',
+    props: { format: 'float', unit: 'kWh', minValue: 0, maxValue: 1000000, minStep: 0.01, perms: ['READ', 'NOTIFY'] }
+  },
+  Voltage: {
+    displayName: 'Voltage',
+    UUID: 'E863F10A-079E-48FF-8F27-9C2605A29F52',
+    props: { format: 'float', unit: 'V', minValue: 0, maxValue: 1000, minStep: 0.1, perms: ['READ', 'NOTIFY'] }
+  },
+  ElectricCurrent: {
+    displayName: 'Electric Current',
+    UUID: 'E863F126-079E-48FF-8F27-9C2605A29F52',
+    props: { format: 'float', unit: 'A', minValue: 0, maxValue: 1000, minStep: 0.01, perms: ['READ', 'NOTIFY'] }
+  },
+  // Eve writes the time of the reset (in seconds since 2001-01-01) when the total consumption is reset
+  ResetTotal: {
+    displayName: 'Reset Total',
+    UUID: 'E863F112-079E-48FF-8F27-9C2605A29F52',
+    props: { format: 'uint32', perms: ['READ', 'WRITE', 'NOTIFY'] }
+  }
+}
+
+/**
+ * Create the Eve characteristics. The characteristics have to be created from the HAP characteristic
+ * provided by Homebridge, so that they are the same as the characteristics created by Homebridge.
+ *
+ * @param   {Function} hapCharacteristic
+ * @returns {Object} the characteristic types keyed by name (i.e CurrentConsumption)
+ */
+function createEveCharacteristics (hapCharacteristic) {
+  const eveCharacteristics = {}
+
+  Object.entries(EVE_CHARACTERISTICS).forEach(([name, { displayName, UUID, props }]) => {
+    const characteristicProps = Object.assign({}, props, {
+      perms: props.perms.map(perm => hapCharacteristic.Perms[perm])
+    })
+
+    const EveCharacteristic = class extends hapCharacteristic {
+      constructor () {
+        super(displayName, UUID, Object.assign({}, characteristicProps))
+
+        this.value = this.getDefaultValue()
+      }
+    }
+
+    EveCharacteristic.UUID = UUID
+
+    eveCharacteristics[name] = EveCharacteristic
+  })
+
+  return eveCharacteristics
+}
+
+module.exports = {
+  createEveCharacteristics
+}
@@ -0,0 +1,116 @@
+const fs = require('fs')
+const path = require('path')
+const Joi = require('@hapi/joi')
+
+// The profiles shipped with this plugin
+const BUILT_IN_PROFILES_PATH = path.join(__dirname, 'profiles')
+
+const valueLocationSchema = Joi.object().keys({
+  commandClass: Joi.number().integer().required(),
+  instance: Joi.number().integer().min(1),
+  index: Joi.number().integer().min(0).required(),
+  transform: Joi.object()
+})
+
+const characteristicMappingSchema = valueLocationSchema.keys({
+  service: Joi.string().required(),
+  subtype: Joi.string(),
+  characteristic: Joi.string().required(),
+  direction: Joi.string().valid('read', 'write', 'readwrite')
+})
+
+const idSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.array().items(Joi.string()).min(1)
+)
+
+const profileSchema = Joi.object().keys({
+  name: Joi.string().required(),
+  manufacturerId: idSchema.required(),
+  productType: idSchema,
+  productId: idSchema,
+  values: Joi.object().pattern(Joi.string(), valueLocationSchema),
+  quirks: Joi.object(),
+  characteristicMappings: Joi.array().items(characteristicMappingSchema)
+})
+
+/**
+ * Load the built-in profiles and any profiles from the given paths. A path can be a profile
+ * file or a directory of profile files. Profiles from the given paths take precedence over the
+ * built-in profiles.
+ *
+ * @param   {string[]} profilePaths
+ * @param   {Function} log
+ * @returns {Object[]}
+ */
+function loadProfiles (profilePaths, log) {
+  return profilePaths
+    .concat(BUILT_IN_PROFILES_PATH)
+    .map(profilePath => {
+      try {
+        if (!fs.statSync(profilePath).isDirectory()) {
+          return [profilePath]
+        }
+
+        return fs.readdirSync(profilePath)
+          .filter(file => path.extname(file) === '.json')
+          .sort()
+          .map(file => path.join(profilePath, file))
+      } catch (err) {
+        log(`Profiles could not be loaded from ${profilePath}: ${err.message}`)
+
+        return []
+      }
+    })
+    .reduce((profileFiles, files) => profileFiles.concat(files), [])
+    .map(profileFile => {
+      try {
+        return Joi.attempt(JSON.parse(fs.readFileSync(profileFile, 'utf8')), profileSchema)
+      } catch (err) {
+        log(`Profile ${profileFile} is invalid and will be ignored: ${err.message}`)
+
+        return null
+      }
+    })
+    .filter(profile => profile !== null)
+}
+
+/**
+ * Find the first profile that matches a ZWave node. The manufacturer, product type and
+ * product ID of the node are matched case insensitively. A profile without a product
+ * type or product ID matches any product type or product ID.
+ *
+ * @param   {Object[]} profiles
+ * @param   {{manufacturerid: string, producttype: string, productid: string}} node
+ * @returns {Object|undefined}
+ */
+function findProfile (profiles, node) {
+  const matches = (ids, id) => {
+    if (ids === undefined) {
+      return true
+    }
+
+    return [].concat(ids).some(v => normalizeId(v) === normalizeId(id))
+  }
+
+  return profiles.find(profile => {
+    return matches(profile.manufacturerId, node.manufacturerid) &&
+      matches(profile.productType, node.producttype) &&
+      matches(profile.productId, node.productid)
+  })
+}
+
+/**
+ * Normalize a manufacturer, product type or product ID (i.e "0x0086" or "86")
+ *
+ * @param   {string} id
+ * @returns {number}
+ */
+function normalizeId (id) {
+  return parseInt(String(id).replace(/^0x/i, ''), 16)
+}
+
+module.exports = {
+  loadProfiles,
+  findProfile
+}
@@ -0,0 +1,101 @@
+/**
+ * Create the functions used to transform a ZWave node value to a characteristic value (read)
+ * and a characteristic value to a ZWave node value (write) from a declarative transform:
+ *
+ * - map       - map ZWave node values to characteristic values (i.e { "Off": 0, "Heat": 1 })
+ * - scale     - multiply the ZWave node value by this amount
+ * - offset    - add this amount to the (scaled) ZWave node value
+ * - threshold - the characteristic value is true if the ZWave node value is greater than this amount
+ * - contains  - the characteristic value is true if the ZWave node value contains this string
+ * - invert    - invert the (boolean) characteristic value
+ *
+ * The read transforms are applied in the order listed above, the write transforms in reverse.
+ * The threshold and contains transforms can not be reversed, so they are ignored when writing.
+ *
+ * Some backends report numbers as strings (i.e "21.5"), so numeric strings are scaled / offset as
+ * numbers, and the scaled value is written back as a string.
+ *
+ * @param   {Object} transform
+ * @returns {{read: Function, write: Function}}
+ */
+function makeValueTransform (transform = {}) {
+  const {
+    map,
+    scale = 1,
+    offset = 0,
+    threshold,
+    contains,
+    invert = false
+  } = transform
+
+  const isScaled = scale !== 1 || offset !== 0
+  const isNumericString = value => typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))
+
+  // Whether the node reports the value as a string, so that the value can be written in the same way
+  let zwaveValueIsString = false
+
+  const read = value => {
+    if (map !== undefined && Object.prototype.hasOwnProperty.call(map, value)) {
+      value = map[value]
+    }
+
+    if (isScaled && isNumericString(value)) {
+      zwaveValueIsString = true
+      value = Number(value)
+    } else if (typeof value === 'number') {
+      zwaveValueIsString = false
+    }
+
+    if (typeof value === 'number') {
+      value = (value * scale) + offset
+    }
+
+    if (threshold !== undefined) {
+      value = Number(value) > threshold
+    }
+
+    if (contains !== undefined) {
+      value = String(value).includes(contains)
+    }
+
+    if (invert) {
+      value = !value
+    }
+
+    return value
+  }
+
+  const write = value => {
+    if (invert) {
+      value = !value
+    }
+
+    if (isScaled && isNumericString(value)) {
+      value = Number(value)
+    }
+
+    if (typeof value === 'number') {
+      value = (value - offset) / scale
+
+      if (isScaled && zwaveValueIsString) {
+        value = String(value)
+      }
+    }
+
+    if (map !== undefined) {
+      const zwaveValue = Object.keys(map).find(key => map[key] === value)
+
+      if (zwaveValue !== undefined) {
+        value = isNaN(Number(zwaveValue)) ? zwaveValue : Number(zwaveValue)
+      }
+    }
+
+    return value
+  }
+
+  return { read, write }
+}
+
+module.exports = {
+  makeValueTransform
+}
@@ -0,0 +1,181 @@
+const assert = require('assert')
+const http = require('http')
+const net = require('net')
+const { TestPlatform, waitFor } = require('./helpers')
+
+const TOKEN = 'a-long-random-secret-token'
+
+const fixture = {
+  nodes: [
+    {
+      id: 27,
+      manufacturer: 'AEON Labs',
+      product: 'Smart Switch 6',
+      values: [
+        { class_id: 37, index: 0, label: 'Switch', value: false },
+        { class_id: 49, index: 1, label: 'Temperature', value: 19.5, units: 'C', read_only: true }
+      ]
+    }
+  ]
+}
+
+/**
+ * Find a port that is not in use
+ *
+ * @returns {Promise<number>}
+ */
+function getFreePort () {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+describe('Admin API', function () {
+  let testPlatform
+  let port
+
+  beforeEach(async function () {
+    port = await getFreePort()
+
+    testPlatform = new TestPlatform(fixture, {
+      zwave: { writeTimeout: 0.1, writeRetries: 0 },
+      adminApi: { port, token: TOKEN },
+      accessories: [
+        { zwaveNodeId: 27, displayName: 'Light Switch', homekitCategory: 'Switch', homekitServices: ['Switch'] }
+      ]
+    })
+
+    await testPlatform.start()
+    await waitFor(() => testPlatform.log.messages.includes(`Admin API listening on http://127.0.0.1:${port}`), 'the admin API to start')
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  /**
+   * Make a request to the admin API
+   *
+   * @param   {string} method
+   * @param   {string} path
+   * @param   {{token: string, body: string}} options
+   * @returns {Promise<{statusCode: number, body: *}>}
+   */
+  const request = (method, path, { token = TOKEN, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path,
+      headers: token === null ? {} : { Authorization: `Bearer ${token}` }
+    }, res => {
+      let responseBody = ''
+
+      res.setEncoding('utf8')
+      res.on('data', chunk => { responseBody += chunk })
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(responseBody) }))
+    })
+
+    req.on('error', reject)
+    req.end(body)
+  })
+
+  it('requires the token', async function () {
+    assert.deepStrictEqual(await request('GET', '/nodes', { token: null }), {
+      statusCode: 401,
+      body: { error: 'A valid token is required' }
+    })
+    assert.strictEqual((await request('GET', '/nodes', { token: 'not-the-right-token' })).statusCode, 401)
+    assert.strictEqual((await request('GET', `/nodes?token=${TOKEN}`, { token: null })).statusCode, 200)
+  })
+
+  it('lists the nodes', async function () {
+    const { statusCode, body } = await request('GET', '/nodes')
+
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(body.map(({ id, product, health, ready }) => ({ id, product, health, ready })), [
+      { id: 27, product: 'Smart Switch 6', health: 'alive', ready: true }
+    ])
+    assert.strictEqual(body[0].values, undefined)
+  })
+
+  it('gets a node with its values and the characteristics they are mapped to', async function () {
+    const { statusCode, body } = await request('GET', '/nodes/27')
+
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(body.values.map(({ value_id: valueId, homekit }) => [valueId, homekit]), [
+      ['27-37-1-0', [{ accessory: 'Light Switch', service: 'Switch', characteristic: 'On' }]],
+      ['27-49-1-1', []]
+    ])
+  })
+
+  it('responds with a 404 for a node, value or route that does not exist', async function () {
+    assert.deepStrictEqual(await request('GET', '/nodes/99'), { statusCode: 404, body: { error: 'Node 99 not found' } })
+    assert.deepStrictEqual(await request('GET', '/values/27-37-1-9'), { statusCode: 404, body: { error: 'Value 27-37-1-9 not found' } })
+    assert.deepStrictEqual(await request('DELETE', '/nodes'), { statusCode: 404, body: { error: 'DELETE /nodes not found' } })
+  })
+
+  it('sets a value once the node has confirmed it', async function () {
+    const { statusCode, body } = await request('PUT', '/values/27-37-1-0', { body: JSON.stringify({ value: true }) })
+
+    assert.strictEqual(statusCode, 200)
+    assert.strictEqual(body.value, true)
+    assert.deepStrictEqual(testPlatform.writes, [{ nodeValueId: '27-37-1-0', value: true }])
+  })
+
+  it('does not set a value that is read only, or a value from an invalid body', async function () {
+    assert.deepStrictEqual(await request('PUT', '/values/27-49-1-1', { body: JSON.stringify({ value: 20 }) }), {
+      statusCode: 400,
+      body: { error: 'Value 27-49-1-1 is read only' }
+    })
+    assert.strictEqual((await request('PUT', '/values/27-37-1-0', { body: '{"value":' })).statusCode, 400)
+    assert.deepStrictEqual(await request('PUT', '/values/27-37-1-0', { body: JSON.stringify({ value: null }) }), {
+      statusCode: 400,
+      body: { error: 'The request body must be an object with a boolean, number or string value' }
+    })
+    assert.deepStrictEqual(testPlatform.writes, [])
+  })
+
+  it('responds with a 504 when the node does not confirm the value', async function () {
+    // The write never reaches the simulated node
+    testPlatform.backend.setValue = () => {}
+
+    assert.deepStrictEqual(await request('PUT', '/values/27-37-1-0', { body: JSON.stringify({ value: true }) }), {
+      statusCode: 504,
+      body: { error: 'Value 27-37-1-0 was not confirmed by the node after 1 attempt(s)' }
+    })
+  })
+
+  it('streams value changes until the server is stopped', async function () {
+    let stream = ''
+    let streamEnded = false
+
+    await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: `/events?token=${TOKEN}` }, res => {
+        assert.strictEqual(res.headers['content-type'], 'text/event-stream')
+
+        res.setEncoding('utf8')
+        res.on('data', chunk => { stream += chunk })
+        res.on('end', () => { streamEnded = true })
+
+        resolve()
+      }).on('error', reject)
+    })
+
+    testPlatform.changeValue('27-49-1-1', 21)
+
+    await waitFor(() => stream.includes('event: value\n'), 'the value event')
+    assert.strictEqual(stream, ': connected\n\nevent: value\ndata: {"value_id":"27-49-1-1","value":21}\n\n')
+
+    testPlatform.api.signalShutdown()
+
+    await waitFor(() => streamEnded, 'the event stream to be closed')
+  })
+})
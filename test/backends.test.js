@@ -0,0 +1,283 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const ZWave = require('../lib/ZWave')
+const { createLog, replaceModule, uncacheModule } = require('./helpers')
+
+/**
+ * A zwave-js node, with the values it has defined
+ */
+class FakeZWaveJSNode extends EventEmitter {
+  /**
+   * FakeZWaveJSNode constructor
+   *
+   * @param {number} id
+   * @param {{valueId: Object, value: *, metadata: Object}[]} values
+   */
+  constructor (id, values) {
+    super()
+
+    this.id = id
+    this.ready = true
+    this.status = 4
+    this.manufacturerId = 0x86
+    this.productType = 0x102
+    this.productId = 0x64
+    this.deviceConfig = { manufacturer: 'AEON Labs', description: 'MultiSensor 6' }
+    this.writes = []
+
+    this._values = values
+  }
+
+  getDefinedValueIDs () {
+    return this._values.map(({ valueId }) => valueId)
+  }
+
+  getValueMetadata (valueId) {
+    return this._findValue(valueId).metadata
+  }
+
+  getValue (valueId) {
+    return this._findValue(valueId).value
+  }
+
+  setValue (valueId, value) {
+    this.writes.push({ valueId, value })
+
+    return Promise.resolve(true)
+  }
+
+  /**
+   * Update a value, reporting it as zwave-js does
+   *
+   * @param {Object} valueId
+   * @param {*} value
+   */
+  updateValue (valueId, value) {
+    this._findValue(valueId).value = value
+
+    this.emit('value updated', this, Object.assign({ newValue: value }, valueId))
+  }
+
+  _findValue ({ commandClass, endpoint = 0, property, propertyKey }) {
+    return this._values.find(({ valueId }) => {
+      return valueId.commandClass === commandClass &&
+        (valueId.endpoint || 0) === endpoint &&
+        valueId.property === property &&
+        valueId.propertyKey === propertyKey
+    })
+  }
+}
+
+/**
+ * The parts of zwave-js that are used by the zwave-js backend
+ */
+function createFakeZWaveJS () {
+  const zwaveJS = {
+    drivers: [],
+    InclusionStrategy: { Insecure: 0, Security_S0: 1 }
+  }
+
+  zwaveJS.Driver = class extends EventEmitter {
+    constructor (devicePath, options) {
+      super()
+
+      this.devicePath = devicePath
+      this.options = options
+      this.controller = Object.assign(new EventEmitter(), { homeId: 0xa1b2, nodes: new Map() })
+
+      zwaveJS.drivers.push(this)
+    }
+
+    start () {
+      return Promise.resolve()
+    }
+
+    destroy () {
+      return Promise.resolve()
+    }
+  }
+
+  return zwaveJS
+}
+
+describe('Backends', function () {
+  describe('createBackend', function () {
+    let restoreModule
+
+    beforeEach(function () {
+      uncacheModule('lib/backends/ZWaveJSBackend')
+
+      restoreModule = replaceModule('zwave-js', null)
+    })
+
+    afterEach(function () {
+      restoreModule()
+    })
+
+    it('tells the user to install the package the backend requires', function () {
+      const { createBackend } = require('../lib/backends')
+
+      assert.throws(
+        () => createBackend('zwave-js', '/dev/ttyACM0', undefined, createLog()),
+        /The zwave-js backend requires the zwave-js package, install it with "npm install zwave-js"/
+      )
+    })
+  })
+
+  describe('zwave-js', function () {
+    const switchValueId = { commandClass: 37, endpoint: 0, property: 'currentValue' }
+    const lockValueId = { commandClass: 98, endpoint: 0, property: 'currentMode' }
+    const modeValueId = { commandClass: 64, endpoint: 0, property: 'mode' }
+    const coverStatusValueId = { commandClass: 113, endpoint: 0, property: 'Home Security', propertyKey: 'Cover status' }
+    const motionStatusValueId = { commandClass: 113, endpoint: 0, property: 'Home Security', propertyKey: 'Motion sensor status' }
+    const sceneValueId = { commandClass: 91, endpoint: 0, property: 'scene', propertyKey: '001' }
+    const homeSecurityMetadata = { label: 'Home Security', ccSpecific: { notificationType: 7 } }
+
+    let restoreModule
+    let zwaveJS
+    let backend
+    let events
+    let node
+
+    beforeEach(function () {
+      zwaveJS = createFakeZWaveJS()
+
+      uncacheModule('lib/backends/ZWaveJSBackend')
+
+      restoreModule = replaceModule('zwave-js', zwaveJS)
+
+      const { createBackend } = require('../lib/backends')
+
+      backend = createBackend('zwave-js', '/dev/ttyACM0', '0x01, 0x02, 0x0A', createLog())
+      events = []
+
+      ;['driver ready', 'node added', 'node ready', 'value added', 'value changed', 'notification'].forEach(event => {
+        backend.on(event, (...args) => events.push([event, ...args]))
+      })
+
+      node = new FakeZWaveJSNode(2, [
+        { valueId: switchValueId, value: true, metadata: { label: 'Current value' } },
+        { valueId: Object.assign({}, switchValueId, { property: 'targetValue' }), value: true, metadata: {} },
+        { valueId: lockValueId, value: 255, metadata: { label: 'Current lock mode' } },
+        { valueId: modeValueId, value: 1, metadata: { label: 'Thermostat mode', states: { 0: 'Off', 1: 'Heat', 2: 'Cool' } } },
+        { valueId: coverStatusValueId, value: 0, metadata: Object.assign({ states: { 0: 'idle', 3: 'Tampering' } }, homeSecurityMetadata) },
+        { valueId: motionStatusValueId, value: 0, metadata: Object.assign({ states: { 0: 'idle', 8: 'Motion detection' } }, homeSecurityMetadata) },
+        { valueId: sceneValueId, metadata: { states: { 0: 'KeyPressed', 1: 'KeyReleased', 2: 'KeyHeldDown' } } }
+      ])
+
+      backend.connect()
+
+      const driver = zwaveJS.drivers[0]
+
+      driver.controller.nodes.set(node.id, node)
+      driver.emit('driver ready')
+    })
+
+    afterEach(function () {
+      backend.disconnect()
+
+      restoreModule()
+
+      uncacheModule('lib/backends/ZWaveJSBackend')
+    })
+
+    const findEvent = (event, valueId) => events.find(([name, , , value]) => name === event && value.value_id === valueId)
+
+    it('connects to the controller with the network key', function () {
+      const { devicePath, options } = zwaveJS.drivers[0]
+
+      assert.strictEqual(devicePath, '/dev/ttyACM0')
+      assert.deepStrictEqual(options.securityKeys, { S0_Legacy: Buffer.from([0x01, 0x02, 0x0a]) })
+    })
+
+    it('reports the nodes in the same shape as OpenZWave', function () {
+      assert.deepStrictEqual(events[0], ['driver ready', 0xa1b2])
+      assert.deepStrictEqual(events[1], ['node added', 2])
+
+      assert.deepStrictEqual(findEvent('value added', '2-37-1-0')[3], {
+        value_id: '2-37-1-0',
+        node_id: 2,
+        class_id: 37,
+        instance: 1,
+        index: 0,
+        label: 'Current value',
+        value: true,
+        values: undefined,
+        units: '',
+        min: undefined,
+        max: undefined,
+        read_only: false
+      })
+      assert.strictEqual(findEvent('value added', '2-98-1-0')[3].value, true)
+      assert.strictEqual(findEvent('value added', '2-64-1-0')[3].value, 'Heat')
+      assert.deepStrictEqual(findEvent('value added', '2-64-1-0')[3].values, ['Off', 'Heat', 'Cool'])
+      assert.strictEqual(findEvent('value added', '2-114-1-4')[3].value, 'a1b2-2')
+
+      assert.deepStrictEqual(events.find(([name]) => name === 'node ready'), ['node ready', 2, {
+        manufacturer: 'AEON Labs',
+        manufacturerid: '0x0086',
+        product: 'MultiSensor 6',
+        producttype: '0x0102',
+        productid: '0x0064',
+        type: '',
+        name: '',
+        loc: ''
+      }])
+      assert.deepStrictEqual(events[events.length - 1], ['notification', 2, ZWave.NODE_NOTIFICATION_ALIVE])
+    })
+
+    it('writes values in the shape zwave-js expects', function () {
+      backend.setValue(2, 37, 1, 0, false)
+      backend.setValue(2, 98, 1, 0, false)
+      backend.setValue(2, 64, 1, 0, 'Cool')
+
+      assert.deepStrictEqual(node.writes, [
+        { valueId: Object.assign({}, switchValueId, { property: 'targetValue' }), value: false },
+        { valueId: Object.assign({}, lockValueId, { property: 'targetMode' }), value: 0 },
+        { valueId: modeValueId, value: 2 }
+      ])
+    })
+
+    it('reports the most recent notification event that is not idle', function () {
+      const homeSecurityValues = () => events
+        .filter(([name, , , value]) => name === 'value changed' && value.value_id === '2-113-1-7')
+        .map(([, , , value]) => value.value)
+
+      node.updateValue(coverStatusValueId, 3)
+      node.updateValue(motionStatusValueId, 8)
+      node.updateValue(motionStatusValueId, 0)
+      node.updateValue(coverStatusValueId, 0)
+
+      assert.deepStrictEqual(homeSecurityValues(), [
+        'Tampering - Cover Removed',
+        'Motion Detected at Unknown Location',
+        'Tampering - Cover Removed',
+        'Clear'
+      ])
+    })
+
+    it('reports the status of a node as a notification', function () {
+      node.status = 3
+      node.emit('dead', node)
+
+      assert.deepStrictEqual(events[events.length - 1], ['notification', 2, ZWave.NODE_NOTIFICATION_DEAD])
+    })
+
+    it('reports a central scene notification as a value', function () {
+      node.emit('value notification', node, Object.assign({ value: 2 }, sceneValueId))
+
+      assert.strictEqual(findEvent('value added', '2-91-1-256')[3].value, 1)
+      assert.strictEqual(findEvent('value changed', '2-91-1-1')[3].value, 'Key Held down')
+    })
+
+    it('reports the driver failing', function () {
+      const failures = []
+
+      backend.on('driver failed', () => failures.push(true))
+
+      zwaveJS.drivers[0].emit('error', new Error('Serial port closed'))
+
+      assert.deepStrictEqual(failures, [true])
+    })
+  })
+})
@@ -0,0 +1,111 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, waitForValue } = require('./helpers')
+
+const { ProgrammableSwitchEvent, StatusLowBattery } = Characteristic
+
+const fixture = {
+  nodes: [
+    {
+      id: 17,
+      manufacturer: 'AEON Labs',
+      product: 'WallMote Duo',
+      values: [
+        { class_id: 91, index: 1, label: 'Scene 1', value: '' },
+        { class_id: 91, index: 2, label: 'Scene 2', value: '' },
+        { class_id: 91, index: 256, label: 'Scene Count', value: 2, read_only: true },
+        { class_id: 128, index: 0, label: 'Battery Level', value: 80, read_only: true }
+      ]
+    }
+  ]
+}
+
+const config = {
+  accessories: [
+    { zwaveNodeId: 17, displayName: 'WallMote', homekitCategory: 'Button', homekitServices: ['StatelessProgrammableSwitch', 'Battery'] }
+  ]
+}
+
+describe('Button', function () {
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  // A programmable switch event is sent to HomeKit even if it is the same as the last event, so the events
+  // are recorded rather than checking the value of the characteristic
+  const recordProgrammableSwitchEvents = sceneId => {
+    const events = []
+
+    testPlatform.getCharacteristic('WallMote', Service.StatelessProgrammableSwitch, ProgrammableSwitchEvent, `scene-${sceneId}`)
+      .on('change', ({ newValue }) => events.push(newValue))
+
+    return events
+  }
+
+  it('adds a labelled service for each scene', function () {
+    const accessory = testPlatform.api.accessories.get('WallMote')
+
+    assert.deepStrictEqual(
+      accessory.services
+        .filter(service => service.UUID === Service.StatelessProgrammableSwitch.UUID)
+        .map(service => [service.subtype, service.getCharacteristic(Characteristic.ServiceLabelIndex).value]),
+      [['scene-1', 1], ['scene-2', 2]]
+    )
+    assert.ok(accessory.getService(Service.ServiceLabel))
+  })
+
+  it('triggers a programmable switch event for a central scene notification', function () {
+    const scene1Events = recordProgrammableSwitchEvents(1)
+    const scene2Events = recordProgrammableSwitchEvents(2)
+
+    testPlatform.changeValue('17-91-1-1', 'Pressed 1 Time')
+    testPlatform.changeValue('17-91-1-2', 'Pressed 2 Times')
+    testPlatform.changeValue('17-91-1-1', 'Key Held down')
+
+    assert.deepStrictEqual(scene1Events, [ProgrammableSwitchEvent.SINGLE_PRESS, ProgrammableSwitchEvent.LONG_PRESS])
+    assert.deepStrictEqual(scene2Events, [ProgrammableSwitchEvent.DOUBLE_PRESS])
+  })
+
+  it('ignores central scene notifications that are not a press', function () {
+    const events = recordProgrammableSwitchEvents(1)
+
+    testPlatform.changeValue('17-91-1-1', 'Key Released')
+
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('triggers a single press for a scene activation', function () {
+    const events = recordProgrammableSwitchEvents(2)
+
+    testPlatform.backend.emit('scene event', 17, 2)
+
+    assert.deepStrictEqual(events, [ProgrammableSwitchEvent.SINGLE_PRESS])
+  })
+
+  it('ignores a scene activation for a node that is not in the network', function () {
+    const events = recordProgrammableSwitchEvents(1)
+
+    testPlatform.backend.emit('scene event', 99, 1)
+
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('reports the battery level', async function () {
+    const statusLowBattery = testPlatform.getCharacteristic('WallMote', Service.BatteryService, StatusLowBattery)
+
+    assert.strictEqual(await getValue(testPlatform.getCharacteristic('WallMote', Service.BatteryService, Characteristic.BatteryLevel)), 80)
+    assert.strictEqual(await getValue(statusLowBattery), StatusLowBattery.BATTERY_LEVEL_NORMAL)
+
+    testPlatform.changeValue('17-128-1-0', 10)
+
+    await waitForValue(statusLowBattery, StatusLowBattery.BATTERY_LEVEL_LOW)
+  })
+})
@@ -0,0 +1,147 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const ZWave = require('../lib/ZWave')
+const { TestPlatform, getValue, setValue, waitFor } = require('./helpers')
+
+const fixture = {
+  nodes: [
+    {
+      id: 1,
+      manufacturer: 'AEON Labs',
+      product: 'ZW090 Z-Stick Gen5',
+      values: []
+    }
+  ]
+}
+
+const networkKey = '0x01,0x02,0x03,0x04,0x05,0x06,0x07,0x08,0x09,0x0A,0x0B,0x0C,0x0D,0x0E,0x0F,0x10'
+
+describe('Controller', function () {
+  let testPlatform
+  let inclusions
+  let includeSwitch
+  let excludeSwitch
+
+  /**
+   * Create the platform, keeping the inclusions started on the simulated network
+   *
+   * @param {Object} config
+   */
+  const createTestPlatform = config => {
+    testPlatform = new TestPlatform(fixture, config)
+    inclusions = []
+
+    const addNode = testPlatform.backend.addNode.bind(testPlatform.backend)
+
+    testPlatform.backend.addNode = secure => {
+      inclusions.push(secure)
+
+      addNode(secure)
+    }
+  }
+
+  const getCharacteristics = () => {
+    includeSwitch = testPlatform.getCharacteristic('Z-Wave Controller', Service.Switch, Characteristic.On, 'include')
+    excludeSwitch = testPlatform.getCharacteristic('Z-Wave Controller', Service.Switch, Characteristic.On, 'exclude')
+  }
+
+  afterEach(async function () {
+    // Cancel any command in progress, so that its timeout does not keep running
+    if (await getValue(includeSwitch)) {
+      await setValue(includeSwitch, false)
+    }
+
+    if (await getValue(excludeSwitch)) {
+      await setValue(excludeSwitch, false)
+    }
+
+    testPlatform.stop()
+  })
+
+  describe('with the default config', function () {
+    beforeEach(async function () {
+      createTestPlatform({ controller: true, zwave: { networkKey } })
+
+      await testPlatform.start()
+
+      getCharacteristics()
+    })
+
+    it('includes a node securely when a network key has been set', async function () {
+      await setValue(includeSwitch, true)
+
+      assert.deepStrictEqual(inclusions, [true])
+      assert.strictEqual(await getValue(includeSwitch), true)
+      await waitFor(
+        () => testPlatform.log.messages.includes('Z-Wave include in progress: Waiting for a node to include'),
+        'the inclusion to be in progress'
+      )
+
+      testPlatform.backend.emit('node added', 40)
+      testPlatform.backend.emit('controller command', 40, ZWave.CONTROLLER_STATE_COMPLETED, 0, 'Completed')
+
+      assert.strictEqual(await getValue(includeSwitch), false)
+      assert.ok(testPlatform.log.messages.includes('Z-Wave include completed for node 40'))
+    })
+
+    it('cancels the command in progress when another command is started', async function () {
+      await setValue(includeSwitch, true)
+      await setValue(excludeSwitch, true)
+
+      assert.ok(testPlatform.log.messages.includes('Z-Wave include cancelled'))
+      assert.strictEqual(await getValue(includeSwitch), false)
+      assert.strictEqual(await getValue(excludeSwitch), true)
+    })
+
+    it('turns the switch off when the command fails', async function () {
+      await setValue(excludeSwitch, true)
+
+      testPlatform.backend.emit('controller command', 0, ZWave.CONTROLLER_STATE_FAILED, 0, 'Failed')
+
+      assert.strictEqual(await getValue(excludeSwitch), false)
+      assert.ok(testPlatform.log.messages.includes('Z-Wave exclude failed: Failed'))
+    })
+  })
+
+  describe('with a timeout', function () {
+    beforeEach(async function () {
+      createTestPlatform({ controller: { displayName: 'Z-Wave Controller', secureInclusion: false, timeout: 1 } })
+
+      await testPlatform.start()
+
+      getCharacteristics()
+    })
+
+    it('includes a node without security when secure inclusion is turned off', async function () {
+      await setValue(includeSwitch, true)
+
+      assert.deepStrictEqual(inclusions, [false])
+    })
+
+    it('stops the command once it has timed out', async function () {
+      await setValue(includeSwitch, true)
+
+      await waitFor(
+        () => testPlatform.log.messages.includes('Z-Wave include timed out after 1 seconds'),
+        'the inclusion to time out'
+      )
+      assert.strictEqual(await getValue(includeSwitch), false)
+    })
+  })
+
+  describe('before the network is ready', function () {
+    it('does not start a command', async function () {
+      createTestPlatform({ controller: true })
+
+      // The ZWave driver starts connecting once Homebridge has finished launching
+      testPlatform.api.signalFinished()
+
+      getCharacteristics()
+
+      await assert.rejects(setValue(includeSwitch, true), /Z-Wave include is unavailable as the ZWave driver is not ready/)
+      assert.deepStrictEqual(inclusions, [])
+
+      await waitFor(() => testPlatform.log.messages.includes('Platform initialized!'), 'the platform to be initialized')
+    })
+  })
+})
@@ -0,0 +1,204 @@
+const assert = require('assert')
+const { Service } = require('hap-nodejs')
+const { discoverAccessoryConfig } = require('../lib/discovery')
+const { TestPlatform } = require('./helpers')
+
+/**
+ * Create a node as it is reported by the ZWave network once it is ready
+ *
+ * @param   {Object} nodeData
+ * @param   {Object[]} values
+ * @returns {Object}
+ */
+function createNode (nodeData, values) {
+  return Object.assign({ ready: true }, nodeData, {
+    values: new Map(values.map(value => {
+      const instance = value.instance || 1
+      const valueId = `${nodeData.id}-${value.class_id}-${instance}-${value.index}`
+
+      return [valueId, Object.assign({ value_id: valueId, instance }, value)]
+    }))
+  })
+}
+
+describe('discoverAccessoryConfig', function () {
+  it('discovers a lock', function () {
+    const node = createNode({ id: 2, product: 'Danalock V3' }, [
+      { class_id: 98, index: 0 },
+      { class_id: 113, index: 6 }
+    ])
+
+    assert.deepStrictEqual(discoverAccessoryConfig(node), {
+      zwaveNodeId: 2,
+      displayName: 'Danalock V3',
+      homekitCategory: 'Lock',
+      homekitServices: ['LockMechanism']
+    })
+  })
+
+  it('discovers a window covering from the device type of a multilevel switch', function () {
+    const node = createNode({ id: 3, product: 'FGR222', type: 'Motor Control Class C' }, [
+      { class_id: 38, index: 0 }
+    ])
+
+    assert.strictEqual(discoverAccessoryConfig(node).homekitCategory, 'WindowCovering')
+  })
+
+  it('discovers a colour lightbulb', function () {
+    const node = createNode({ id: 4, product: 'RGBW Bulb' }, [
+      { class_id: 38, index: 0 },
+      { class_id: 51, index: 0 }
+    ])
+
+    assert.deepStrictEqual(discoverAccessoryConfig(node).homekitServices, ['ColorLightbulb'])
+  })
+
+  it('discovers a service for each instance of a multi-channel switch', function () {
+    const node = createNode({ id: 5, product: 'Double Switch', type: 'Binary Power Switch' }, [
+      { class_id: 37, instance: 2, index: 0 },
+      { class_id: 37, instance: 1, index: 0 }
+    ])
+
+    assert.deepStrictEqual(discoverAccessoryConfig(node), {
+      zwaveNodeId: 5,
+      displayName: 'Double Switch',
+      homekitCategory: 'Switch',
+      homekitServices: [{ type: 'Switch', zwaveInstance: 1 }, { type: 'Switch', zwaveInstance: 2 }]
+    })
+  })
+
+  it('discovers an outlet from the device type of a binary switch', function () {
+    const node = createNode({ id: 6, type: 'Smart Plug' }, [
+      { class_id: 37, index: 0 }
+    ])
+
+    assert.deepStrictEqual(discoverAccessoryConfig(node), {
+      zwaveNodeId: 6,
+      displayName: 'Node 6',
+      homekitCategory: 'Outlet',
+      homekitServices: ['Outlet']
+    })
+  })
+
+  it('discovers a button with a battery', function () {
+    const node = createNode({ id: 7, product: 'WallMote' }, [
+      { class_id: 91, index: 256 },
+      { class_id: 128, index: 0 }
+    ])
+
+    assert.deepStrictEqual(discoverAccessoryConfig(node).homekitServices, ['StatelessProgrammableSwitch', 'Battery'])
+  })
+
+  it('discovers the sensors of a node, using the binary sensor as a contact sensor', function () {
+    const node = createNode({ id: 8, product: 'Door Sensor' }, [
+      { class_id: 48, index: 0 },
+      { class_id: 49, index: 1 },
+      { class_id: 128, index: 0 }
+    ])
+
+    assert.deepStrictEqual(discoverAccessoryConfig(node).homekitServices, ['ContactSensor', 'TemperatureSensor', 'Battery'])
+  })
+
+  it('does not use the binary sensor as a contact sensor for a motion sensor', function () {
+    const node = createNode({ id: 9, product: 'Motion Sensor' }, [
+      { class_id: 48, index: 0 },
+      { class_id: 113, index: 7 }
+    ])
+
+    assert.deepStrictEqual(discoverAccessoryConfig(node).homekitServices, ['MotionSensor'])
+  })
+
+  it('does not discover an accessory for a node without a supported service', function () {
+    const node = createNode({ id: 1, product: 'Z-Stick Gen5' }, [
+      { class_id: 114, index: 4 }
+    ])
+
+    assert.strictEqual(discoverAccessoryConfig(node), null)
+  })
+})
+
+describe('Auto discovery', function () {
+  const fixture = {
+    nodes: [
+      {
+        id: 30,
+        product: 'Wall Plug',
+        type: 'Binary Power Switch',
+        values: [{ class_id: 37, index: 0, label: 'Switch', value: false }]
+      },
+      {
+        id: 31,
+        product: 'Excluded Switch',
+        values: [{ class_id: 37, index: 0, label: 'Switch', value: false }]
+      },
+      {
+        id: 32,
+        product: 'Configured Switch',
+        values: [{ class_id: 37, index: 0, label: 'Switch', value: false }]
+      }
+    ]
+  }
+
+  const config = {
+    autoDiscover: { excludeNodeIds: [31] },
+    accessories: [
+      { zwaveNodeId: 32, displayName: 'Hallway', homekitCategory: 'Switch', homekitServices: ['Switch'] }
+    ]
+  }
+
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  it('discovers accessories for the nodes that are not excluded or configured', function () {
+    assert.deepStrictEqual(Array.from(testPlatform.api.accessories.keys()).sort(), ['Hallway', 'Wall Plug'])
+  })
+
+  it('discovers an accessory for a node that is added to the network', function () {
+    testPlatform.backend.emit('node added', 33)
+    testPlatform.backend.emit('value added', 33, 38, {
+      value_id: '33-38-1-0',
+      class_id: 38,
+      instance: 1,
+      index: 0,
+      label: 'Level',
+      value: 0
+    })
+    testPlatform.backend.emit('node ready', 33, { manufacturer: 'Aeotec', product: 'Nano Dimmer', type: '' })
+
+    const accessory = testPlatform.api.accessories.get('Nano Dimmer')
+
+    assert.ok(accessory)
+    assert.ok(accessory.getService(Service.Lightbulb))
+    assert.ok(testPlatform.log.messages.includes('Discovered Lightbulb accessory for node 33 (Nano Dimmer)'))
+  })
+
+  it('removes the discovered accessory for a node that is removed from the network', function () {
+    testPlatform.backend.emit('node removed', 30)
+    testPlatform.backend.emit('node removed', 32)
+
+    assert.deepStrictEqual(Array.from(testPlatform.api.accessories.keys()), ['Hallway'])
+    assert.ok(testPlatform.log.messages.includes('Wall Plug removed as node 30 has been removed from the network'))
+  })
+
+  it('removes a cached discovered accessory once the node is no longer discovered', async function () {
+    const cachedAccessories = testPlatform.getCachedAccessories()
+
+    testPlatform.stop()
+
+    testPlatform = new TestPlatform(fixture, Object.assign({}, config, { autoDiscover: { excludeNodeIds: [30, 31] } }))
+
+    await testPlatform.start(cachedAccessories)
+
+    assert.deepStrictEqual(Array.from(testPlatform.api.accessories.keys()), ['Hallway'])
+    assert.ok(testPlatform.log.messages.includes('Wall Plug will be removed from the cache due to no longer being discovered'))
+  })
+})
@@ -0,0 +1,81 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, setValue, waitForValue } = require('./helpers')
+
+// The UUIDs of the Eve energy characteristics (see lib/eve.js)
+const CURRENT_CONSUMPTION = 'E863F10D-079E-48FF-8F27-9C2605A29F52'
+const TOTAL_CONSUMPTION = 'E863F10C-079E-48FF-8F27-9C2605A29F52'
+const VOLTAGE = 'E863F10A-079E-48FF-8F27-9C2605A29F52'
+const ELECTRIC_CURRENT = 'E863F126-079E-48FF-8F27-9C2605A29F52'
+const RESET_TOTAL = 'E863F112-079E-48FF-8F27-9C2605A29F52'
+
+const fixture = {
+  nodes: [
+    {
+      id: 20,
+      manufacturer: 'AEON Labs',
+      product: 'Smart Switch 6',
+      values: [
+        { class_id: 37, index: 0, label: 'Switch', value: true },
+        { class_id: 50, index: 0, label: 'Electric - kWh', value: 12.5, units: 'kWh', read_only: true },
+        { class_id: 50, index: 2, label: 'Electric - W', value: 40, units: 'W', read_only: true },
+        { class_id: 50, index: 4, label: 'Electric - V', value: 230, units: 'V', read_only: true },
+        { class_id: 50, index: 257, label: 'Reset', value: false }
+      ]
+    }
+  ]
+}
+
+const config = {
+  accessories: [
+    { zwaveNodeId: 20, displayName: 'Outlet', homekitCategory: 'Outlet', homekitServices: ['Outlet'], outletInUseThreshold: 5 }
+  ]
+}
+
+describe('Energy metering', function () {
+  let testPlatform
+  let service
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+
+    service = testPlatform.api.accessories.get('Outlet').getService(Service.Outlet)
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  const findCharacteristic = UUID => service.characteristics.find(characteristic => characteristic.UUID === UUID)
+
+  it('adds the Eve characteristics for the meter values the node supports', async function () {
+    assert.strictEqual(await getValue(findCharacteristic(CURRENT_CONSUMPTION)), 40)
+    assert.strictEqual(await getValue(findCharacteristic(TOTAL_CONSUMPTION)), 12.5)
+    assert.strictEqual(await getValue(findCharacteristic(VOLTAGE)), 230)
+    assert.strictEqual(findCharacteristic(ELECTRIC_CURRENT), undefined)
+  })
+
+  it('updates the characteristics when the meter reports', async function () {
+    testPlatform.changeValue('20-50-1-2', 1500.5)
+
+    await waitForValue(findCharacteristic(CURRENT_CONSUMPTION), 1500.5)
+  })
+
+  it('resets the meter when Eve resets the total consumption', async function () {
+    await setValue(findCharacteristic(RESET_TOTAL), 624000000)
+
+    assert.deepStrictEqual(testPlatform.writes, [{ nodeValueId: '20-50-1-257', value: true }])
+  })
+
+  it('reports the outlet as in use while the power is over the threshold', async function () {
+    const outletInUse = service.getCharacteristic(Characteristic.OutletInUse)
+
+    assert.strictEqual(await getValue(outletInUse), true)
+
+    testPlatform.changeValue('20-50-1-2', 4)
+
+    await waitForValue(outletInUse, false)
+  })
+})
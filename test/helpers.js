@@ -0,0 +1,407 @@
+const EventEmitter = require('events')
+const fs = require('fs')
+const hap = require('hap-nodejs')
+const Module = require('module')
+const os = require('os')
+const path = require('path')
+
+const registerPlugin = require('..')
+
+// How long (in milliseconds) to wait for the simulated network before giving up
+const TIMEOUT = 8000
+
+// The name of the fixture for the simulated network, relative to the storage path
+const FIXTURE_NAME = 'network.json'
+
+/**
+ * An accessory created by the platform. Homebridge's own platform accessory wraps a HAP accessory,
+ * but the plugin only uses the parts of it that a HAP accessory already has (plus the context).
+ */
+class PlatformAccessory extends hap.Accessory {
+  /**
+   * PlatformAccessory constructor
+   *
+   * @param {string} displayName
+   * @param {string} uuid
+   * @param {number} category
+   */
+  constructor (displayName, uuid, category) {
+    super(displayName, uuid)
+
+    this.category = category
+    this.context = {}
+  }
+}
+
+/**
+ * A stand-in for the API Homebridge passes to plugins. The accessories registered by the platform
+ * are kept so that tests can find them by their display name.
+ */
+class HomebridgeAPI extends EventEmitter {
+  /**
+   * HomebridgeAPI constructor
+   *
+   * @param {string} storagePath
+   */
+  constructor (storagePath) {
+    super()
+
+    this.hap = hap
+    this.platformAccessory = PlatformAccessory
+    this.user = { storagePath: () => storagePath }
+
+    this.platforms = new Map()
+    this.accessories = new Map()
+  }
+
+  /**
+   * @param {string} platformName
+   * @param {Function} constructor
+   */
+  registerPlatform (platformName, constructor) {
+    this.platforms.set(platformName, constructor)
+  }
+
+  /**
+   * @param {string} pluginName
+   * @param {string} platformName
+   * @param {PlatformAccessory[]} accessories
+   */
+  registerPlatformAccessories (pluginName, platformName, accessories) {
+    accessories.forEach(accessory => this.accessories.set(accessory.displayName, accessory))
+  }
+
+  /**
+   * @param {string} pluginName
+   * @param {string} platformName
+   * @param {PlatformAccessory[]} accessories
+   */
+  updatePlatformAccessories (pluginName, platformName, accessories) {
+    this.registerPlatformAccessories(pluginName, platformName, accessories)
+  }
+
+  /**
+   * @param {string} pluginName
+   * @param {string} platformName
+   * @param {PlatformAccessory[]} accessories
+   */
+  unregisterPlatformAccessories (pluginName, platformName, accessories) {
+    accessories.forEach(accessory => this.accessories.delete(accessory.displayName))
+  }
+
+  /**
+   * Tell the platform that Homebridge has finished launching
+   */
+  signalFinished () {
+    this.emit('didFinishLaunching')
+  }
+
+  /**
+   * Tell the platform that Homebridge is shutting down
+   */
+  signalShutdown () {
+    this.emit('shutdown')
+  }
+}
+
+/**
+ * Create a log that keeps the messages logged at every level, so that tests can check what was logged
+ *
+ * @returns {Function}
+ */
+function createLog () {
+  const log = message => log.messages.push(message)
+
+  log.messages = []
+  log.info = log.warn = log.debug = log.error = log
+
+  return log
+}
+
+/**
+ * The platform running against a simulated network. The fixture for the network is written to a
+ * temporary storage path, which is removed when the platform is stopped.
+ */
+class TestPlatform {
+  /**
+   * TestPlatform constructor
+   *
+   * @param {Object} fixture the simulated network (see lib/backends/SimulatedBackend)
+   * @param {Object} config the platform config - zwave.simulate is set to the fixture
+   * @param {string} storagePath the storage path of a platform that was stopped, to start it again
+   */
+  constructor (fixture, config = {}, storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'homebridge-zwave-test-'))) {
+    this.storagePath = storagePath
+    this.log = createLog()
+    this.api = new HomebridgeAPI(storagePath)
+
+    fs.writeFileSync(path.join(storagePath, FIXTURE_NAME), JSON.stringify(fixture))
+
+    registerPlugin(this.api)
+
+    const Platform = this.api.platforms.get('ZWavePlatform')
+
+    this.platform = new Platform(this.log, Object.assign({ accessories: [] }, config, {
+      zwave: Object.assign({ simulate: FIXTURE_NAME }, config.zwave)
+    }), this.api)
+
+    // Keep the values written to the simulated network, so that tests can check what was written
+    this.writes = []
+
+    if (this.platform._zwave !== null) {
+      const setValue = this.backend.setValue.bind(this.backend)
+
+      this.backend.setValue = (nodeId, commandClass, instance, index, value) => {
+        this.writes.push({ nodeValueId: `${nodeId}-${commandClass}-${instance}-${index}`, value })
+
+        setValue(nodeId, commandClass, instance, index, value)
+      }
+    }
+  }
+
+  /**
+   * The ZWave network of the platform
+   *
+   * @returns {Object}
+   */
+  get zwave () {
+    return this.platform._zwave
+  }
+
+  /**
+   * The simulated backend of the platform, to report changes to the network that the fixture can not
+   *
+   * @returns {Object}
+   */
+  get backend () {
+    return this.platform._zwave._backend
+  }
+
+  /**
+   * Start the platform, waiting for the simulated network to be scanned
+   *
+   * @param   {PlatformAccessory[]} cachedAccessories accessories restored from the cache by Homebridge
+   * @returns {Promise}
+   */
+  start (cachedAccessories = []) {
+    cachedAccessories.forEach(accessory => this.platform.configureAccessory(accessory))
+
+    this.api.signalFinished()
+
+    return waitFor(() => this.log.messages.includes('Platform initialized!'), 'the platform to be initialized')
+  }
+
+  /**
+   * Stop the platform, stopping the simulated network
+   *
+   * @param {boolean} keepStoragePath whether to keep the storage path, to start the platform again
+   */
+  stop (keepStoragePath = false) {
+    this.api.signalShutdown()
+
+    this.platform._accessories.forEach(accessoryManager => accessoryManager.destroy())
+
+    if (this.platform._zwave !== null) {
+      this.backend.disconnect()
+    }
+
+    if (!keepStoragePath) {
+      // fs.rmSync is not available on Node 12
+      (fs.rmSync || fs.rmdirSync)(this.storagePath, { recursive: true })
+    }
+  }
+
+  /**
+   * Get the accessories the platform has registered, as Homebridge would restore them from the cache
+   *
+   * @returns {PlatformAccessory[]}
+   */
+  getCachedAccessories () {
+    return Array.from(this.api.accessories.values()).map(accessory => {
+      const cachedAccessory = new PlatformAccessory(accessory.displayName, accessory.UUID, accessory.category)
+
+      cachedAccessory.context = JSON.parse(JSON.stringify(accessory.context))
+
+      return cachedAccessory
+    })
+  }
+
+  /**
+   * Get a characteristic of a registered accessory
+   *
+   * @param   {string} accessoryName
+   * @param   {Function} Service
+   * @param   {Function} Characteristic
+   * @param   {string} subtype
+   * @returns {Object}
+   */
+  getCharacteristic (accessoryName, Service, Characteristic, subtype) {
+    const accessory = this.api.accessories.get(accessoryName)
+
+    if (accessory === undefined) {
+      throw new Error(`${accessoryName} has not been registered`)
+    }
+
+    const service = subtype === undefined ? accessory.getService(Service) : accessory.getServiceById(Service, subtype)
+
+    if (service === undefined) {
+      throw new Error(`${accessoryName} does not have the service`)
+    }
+
+    return service.getCharacteristic(Characteristic)
+  }
+
+  /**
+   * Get the current value of a node value
+   *
+   * @param   {string} nodeValueId
+   * @returns {*}
+   */
+  getNodeValue (nodeValueId) {
+    return this.zwave.getNode(Number(nodeValueId.split('-')[0])).values.get(nodeValueId).value
+  }
+
+  /**
+   * Report a node value changing, as if the node had reported it (bypassing the simulated node, so
+   * that the value of a read only node value can be changed)
+   *
+   * @param {string} nodeValueId
+   * @param {*} value
+   */
+  changeValue (nodeValueId, value) {
+    const nodeId = Number(nodeValueId.split('-')[0])
+    const nodeValue = Object.assign({}, this.zwave.getNode(nodeId).values.get(nodeValueId), { value })
+
+    this.backend.emit('value changed', nodeId, nodeValue.class_id, nodeValue)
+  }
+}
+
+/**
+ * Wait for a condition to be met
+ *
+ * @param   {Function} condition
+ * @param   {string} description what is being waited for
+ * @returns {Promise}
+ */
+function waitFor (condition, description) {
+  const start = Date.now()
+
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) {
+        return resolve()
+      }
+
+      if (Date.now() - start > TIMEOUT) {
+        return reject(new Error(`Timed out waiting for ${description}`))
+      }
+
+      setTimeout(check, 10)
+    }
+
+    check()
+  })
+}
+
+/**
+ * Get the value of a characteristic from its getter
+ *
+ * @param   {Object} characteristic
+ * @returns {Promise}
+ */
+function getValue (characteristic) {
+  return new Promise((resolve, reject) => {
+    characteristic.listeners('get')[0]((err, value) => err ? reject(err) : resolve(value))
+  })
+}
+
+/**
+ * Set the value of a characteristic via its setter
+ *
+ * @param   {Object} characteristic
+ * @param   {*} value
+ * @returns {Promise}
+ */
+function setValue (characteristic, value) {
+  return new Promise((resolve, reject) => {
+    characteristic.listeners('set')[0](value, err => err ? reject(err) : resolve())
+  })
+}
+
+/**
+ * Wait for a characteristic to be updated with a value
+ *
+ * @param   {Object} characteristic
+ * @param   {*} value
+ * @returns {Promise}
+ */
+function waitForValue (characteristic, value) {
+  return waitFor(() => characteristic.value === value, `${characteristic.displayName} to be updated to ${value}`)
+}
+
+/**
+ * Replace a package that the plugin requires (i.e an optional dependency) until the returned function
+ * is called. The package is reported as not installed if its exports are null. Modules that required
+ * the package must be removed from the require cache so that they require the replacement.
+ *
+ * @param   {string} request the name of the package
+ * @param   {Object|null} exports
+ * @returns {Function} restores the package
+ */
+function replaceModule (request, exports) {
+  const resolveFilename = Module._resolveFilename
+  const filename = `${request} (replaced by the tests)`
+
+  Module._resolveFilename = function (resolveRequest, ...args) {
+    if (resolveRequest !== request) {
+      return resolveFilename.call(this, resolveRequest, ...args)
+    }
+
+    if (exports === null) {
+      const err = new Error(`Cannot find module '${request}'`)
+
+      err.code = 'MODULE_NOT_FOUND'
+
+      throw err
+    }
+
+    return filename
+  }
+
+  if (exports !== null) {
+    const module = new Module(filename)
+
+    module.exports = exports
+    module.loaded = true
+
+    require.cache[filename] = module
+  }
+
+  return () => {
+    Module._resolveFilename = resolveFilename
+
+    delete require.cache[filename]
+  }
+}
+
+/**
+ * Remove a module of the plugin from the require cache, so that it is loaded again when it is next required
+ *
+ * @param {string} modulePath relative to the root of the plugin
+ */
+function uncacheModule (modulePath) {
+  delete require.cache[require.resolve(path.join('..', modulePath))]
+}
+
+module.exports = {
+  HomebridgeAPI,
+  PlatformAccessory,
+  TestPlatform,
+  createLog,
+  getValue,
+  replaceModule,
+  setValue,
+  uncacheModule,
+  waitFor,
+  waitForValue
+}
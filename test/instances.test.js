@@ -0,0 +1,97 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, setValue, waitForValue } = require('./helpers')
+
+const fixture = {
+  nodes: [
+    {
+      id: 21,
+      manufacturer: 'Fibargroup',
+      product: 'FGS223 Double Switch 2',
+      values: [
+        { class_id: 37, instance: 1, index: 0, label: 'Switch', value: false },
+        { class_id: 37, instance: 2, index: 0, label: 'Switch', value: true }
+      ]
+    }
+  ]
+}
+
+const accessoryConfig = {
+  zwaveNodeId: 21,
+  displayName: 'Double Switch',
+  homekitCategory: 'Switch',
+  homekitServices: [
+    { type: 'Switch', zwaveInstance: 1, displayName: 'Left' },
+    { type: 'Switch', zwaveInstance: 2, displayName: 'Right' }
+  ]
+}
+
+describe('Multi-instance nodes', function () {
+  let testPlatform
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  describe('a service for each instance', function () {
+    let left
+    let right
+
+    beforeEach(async function () {
+      testPlatform = new TestPlatform(fixture, { accessories: [accessoryConfig] })
+
+      await testPlatform.start()
+
+      left = testPlatform.getCharacteristic('Double Switch', Service.Switch, Characteristic.On, 'instance-1')
+      right = testPlatform.getCharacteristic('Double Switch', Service.Switch, Characteristic.On, 'instance-2')
+    })
+
+    it('names the services', function () {
+      const accessory = testPlatform.api.accessories.get('Double Switch')
+
+      assert.strictEqual(accessory.getServiceById(Service.Switch, 'instance-1').displayName, 'Left')
+      assert.strictEqual(accessory.getServiceById(Service.Switch, 'instance-2').displayName, 'Right')
+    })
+
+    it('reads and writes the node values of the instance', async function () {
+      assert.strictEqual(await getValue(left), false)
+      assert.strictEqual(await getValue(right), true)
+
+      await setValue(right, false)
+
+      assert.deepStrictEqual(testPlatform.writes, [{ nodeValueId: '21-37-2-0', value: false }])
+    })
+
+    it('only updates the service for the instance that changed', async function () {
+      const rightValues = []
+
+      right.on('change', ({ newValue }) => rightValues.push(newValue))
+
+      testPlatform.changeValue('21-37-1-0', true)
+
+      await waitForValue(left, true)
+      assert.deepStrictEqual(rightValues, [])
+    })
+  })
+
+  it('uses the instance of the accessory for services without an instance', async function () {
+    testPlatform = new TestPlatform(fixture, {
+      accessories: [{ zwaveNodeId: 21, zwaveInstance: 2, displayName: 'Right Switch', homekitCategory: 'Switch', homekitServices: ['Switch'] }]
+    })
+
+    await testPlatform.start()
+
+    assert.strictEqual(await getValue(testPlatform.getCharacteristic('Right Switch', Service.Switch, Characteristic.On)), true)
+  })
+
+  it('does not allow two services of the same type for an instance', function () {
+    testPlatform = new TestPlatform(fixture, {
+      accessories: [Object.assign({}, accessoryConfig, {
+        homekitServices: ['Switch', { type: 'Switch', zwaveInstance: 1 }]
+      })]
+    })
+
+    assert.strictEqual(testPlatform.zwave, null)
+    assert.ok(testPlatform.log.messages.some(message => message.includes('"homekitServices" can only have one Switch service for ZWave instance 1')))
+  })
+})
@@ -0,0 +1,128 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, setValue, waitForValue } = require('./helpers')
+
+const fixture = {
+  nodes: [
+    {
+      id: 4,
+      manufacturer: 'Fibargroup',
+      product: 'FGD212 Dimmer 2',
+      values: [
+        { class_id: 38, index: 0, label: 'Level', value: 0 }
+      ]
+    },
+    {
+      id: 5,
+      manufacturer: 'AEON Labs',
+      product: 'LED Bulb 6 Multi-Color',
+      values: [
+        { class_id: 38, index: 0, label: 'Level', value: 99 },
+        { class_id: 51, index: 0, label: 'Color', value: '#FF00000000' },
+        { class_id: 51, index: 2, label: 'Color Channels', value: 3 }
+      ]
+    }
+  ]
+}
+
+const config = {
+  accessories: [
+    { zwaveNodeId: 4, displayName: 'Dimmer', homekitCategory: 'Lightbulb', homekitServices: ['Lightbulb'] },
+    { zwaveNodeId: 5, displayName: 'Bulb', homekitCategory: 'Lightbulb', homekitServices: ['ColorLightbulb'] }
+  ]
+}
+
+describe('Lightbulb', function () {
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  describe('Lightbulb service', function () {
+    let on
+    let brightness
+
+    beforeEach(function () {
+      on = testPlatform.getCharacteristic('Dimmer', Service.Lightbulb, Characteristic.On)
+      brightness = testPlatform.getCharacteristic('Dimmer', Service.Lightbulb, Characteristic.Brightness)
+    })
+
+    it('reports the last non-zero brightness while the light is off', async function () {
+      assert.strictEqual(await getValue(on), false)
+      assert.strictEqual(await getValue(brightness), 100)
+    })
+
+    it('maps a brightness of 100 to the maximum level of 99', async function () {
+      await setValue(brightness, 100)
+
+      assert.strictEqual(testPlatform.getNodeValue('4-38-1-0'), 99)
+      assert.strictEqual(await getValue(brightness), 100)
+    })
+
+    it('restores the previous brightness when the light is turned back on', async function () {
+      await setValue(brightness, 40)
+      await setValue(on, false)
+
+      assert.strictEqual(testPlatform.getNodeValue('4-38-1-0'), 0)
+
+      await setValue(on, true)
+
+      assert.strictEqual(testPlatform.getNodeValue('4-38-1-0'), 40)
+      assert.strictEqual(await getValue(brightness), 40)
+    })
+
+    it('updates the characteristics when the level changes outside of HomeKit', async function () {
+      testPlatform.changeValue('4-38-1-0', 60)
+
+      await waitForValue(on, true)
+      await waitForValue(brightness, 60)
+    })
+  })
+
+  describe('ColorLightbulb service', function () {
+    let hue
+    let saturation
+    let colorTemperature
+
+    beforeEach(function () {
+      hue = testPlatform.getCharacteristic('Bulb', Service.Lightbulb, Characteristic.Hue)
+      saturation = testPlatform.getCharacteristic('Bulb', Service.Lightbulb, Characteristic.Saturation)
+      colorTemperature = testPlatform.getCharacteristic('Bulb', Service.Lightbulb, Characteristic.ColorTemperature)
+    })
+
+    it('reports the hue and saturation of the colour', async function () {
+      assert.strictEqual(await getValue(hue), 0)
+      assert.strictEqual(await getValue(saturation), 100)
+    })
+
+    it('writes a colour to the colour channels', async function () {
+      await setValue(hue, 120)
+
+      assert.strictEqual(testPlatform.getNodeValue('5-51-1-0'), '#00FF000000')
+    })
+
+    it('writes a colour temperature to the white channels the bulb supports', async function () {
+      await setValue(colorTemperature, 500)
+
+      assert.strictEqual(testPlatform.getNodeValue('5-51-1-0'), '#000000FF00')
+    })
+
+    it('enables Adaptive Lighting for a bulb with white channels', function () {
+      assert.ok(testPlatform.log.messages.includes('Bulb Adaptive Lighting enabled'))
+    })
+
+    it('updates the characteristics when the colour changes outside of HomeKit', async function () {
+      testPlatform.changeValue('5-51-1-0', '#0000FF0000')
+
+      await waitForValue(hue, 240)
+      await waitForValue(saturation, 100)
+    })
+  })
+})
@@ -0,0 +1,92 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, setValue, waitForValue } = require('./helpers')
+
+const { LockCurrentState, LockTargetState } = Characteristic
+
+const fixture = {
+  nodes: [
+    {
+      id: 11,
+      manufacturer: 'Danalock',
+      product: 'Danalock V3',
+      values: [
+        { class_id: 98, index: 0, label: 'Locked', value: false },
+        { class_id: 113, index: 6, label: 'Access Control', value: 'Clear' }
+      ]
+    }
+  ]
+}
+
+const accessories = [
+  { zwaveNodeId: 11, displayName: 'Front Door', homekitCategory: 'Lock', homekitServices: ['LockMechanism'] }
+]
+
+describe('Lock', function () {
+  let testPlatform
+  let lockCurrentState
+  let lockTargetState
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, {
+      zwave: { networkKey: '0x01,0x02,0x03,0x04,0x05,0x06,0x07,0x08,0x09,0x0A,0x0B,0x0C,0x0D,0x0E,0x0F,0x10' },
+      accessories
+    })
+
+    await testPlatform.start()
+
+    lockCurrentState = testPlatform.getCharacteristic('Front Door', Service.LockMechanism, LockCurrentState)
+    lockTargetState = testPlatform.getCharacteristic('Front Door', Service.LockMechanism, LockTargetState)
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  it('locks and unlocks the door lock', async function () {
+    assert.strictEqual(await getValue(lockCurrentState), LockCurrentState.UNSECURED)
+    assert.strictEqual(await getValue(lockTargetState), LockTargetState.UNSECURED)
+
+    await setValue(lockTargetState, LockTargetState.SECURED)
+
+    assert.strictEqual(testPlatform.getNodeValue('11-98-1-0'), true)
+    await waitForValue(lockCurrentState, LockCurrentState.SECURED)
+  })
+
+  it('keeps the target state in sync when the lock is operated manually', async function () {
+    testPlatform.changeValue('11-113-1-6', 'Manual Lock Operation')
+
+    await waitForValue(lockCurrentState, LockCurrentState.SECURED)
+    await waitForValue(lockTargetState, LockTargetState.SECURED)
+
+    testPlatform.changeValue('11-113-1-6', 'Keypad Unlock Operation')
+
+    await waitForValue(lockCurrentState, LockCurrentState.UNSECURED)
+    await waitForValue(lockTargetState, LockTargetState.UNSECURED)
+  })
+
+  it('reports a jammed lock until the lock is operated', async function () {
+    testPlatform.changeValue('11-113-1-6', 'Lock Jammed')
+
+    await waitForValue(lockCurrentState, LockCurrentState.JAMMED)
+    assert.strictEqual(await getValue(lockCurrentState), LockCurrentState.JAMMED)
+
+    // The same Door Lock value being reported again does not clear the jam
+    testPlatform.changeValue('11-98-1-0', false)
+
+    assert.strictEqual(lockCurrentState.value, LockCurrentState.JAMMED)
+
+    testPlatform.changeValue('11-98-1-0', true)
+
+    await waitForValue(lockCurrentState, LockCurrentState.SECURED)
+    assert.strictEqual(await getValue(lockCurrentState), LockCurrentState.SECURED)
+  })
+
+  it('warns that a lock will not work without a network key', function () {
+    const insecurePlatform = new TestPlatform(fixture, { accessories })
+
+    insecurePlatform.stop()
+
+    assert.ok(insecurePlatform.log.messages.some(message => message.includes('zwave.networkKey has not been set')))
+  })
+})
@@ -0,0 +1,80 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, setValue, waitForValue } = require('./helpers')
+
+const fixture = {
+  nodes: [
+    {
+      id: 19,
+      manufacturer: 'Qubino',
+      product: 'Flush 1D Relay',
+      values: [
+        { class_id: 37, index: 0, label: 'Switch', value: false },
+        { class_id: 49, index: 1, label: 'Temperature', value: '215', units: 'C', read_only: true }
+      ]
+    }
+  ]
+}
+
+const config = {
+  accessories: [
+    {
+      zwaveNodeId: 19,
+      displayName: 'Relay',
+      homekitCategory: 'Switch',
+      homekitServices: ['Switch'],
+      characteristicMappings: [
+        { service: 'Switch', characteristic: 'On', commandClass: 37, index: 0, direction: 'readwrite', transform: { invert: true } },
+        { service: 'TemperatureSensor', characteristic: 'CurrentTemperature', commandClass: 49, index: 1, transform: { scale: 0.1 } },
+        { service: 'Thermometer', characteristic: 'CurrentTemperature', commandClass: 49, index: 1 }
+      ]
+    }
+  ]
+}
+
+describe('Characteristic mappings', function () {
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  it('adds a characteristic mapped to a node value', async function () {
+    const currentTemperature = testPlatform.getCharacteristic('Relay', Service.TemperatureSensor, Characteristic.CurrentTemperature)
+
+    assert.strictEqual(await getValue(currentTemperature), 21.5)
+
+    testPlatform.changeValue('19-49-1-1', '180')
+
+    await waitForValue(currentTemperature, 18)
+  })
+
+  it('overrides the characteristic of a service', async function () {
+    const on = testPlatform.getCharacteristic('Relay', Service.Switch, Characteristic.On)
+
+    assert.strictEqual(await getValue(on), true)
+
+    await setValue(on, false)
+
+    assert.strictEqual(testPlatform.getNodeValue('19-37-1-0'), true)
+
+    // Only the mapping updates the characteristic when the node value changes
+    const values = []
+
+    on.on('change', ({ newValue }) => values.push(newValue))
+
+    testPlatform.changeValue('19-37-1-0', false)
+
+    assert.deepStrictEqual(values, [true])
+  })
+
+  it('ignores a mapping for a service that does not exist', function () {
+    assert.ok(testPlatform.log.messages.includes('Relay characteristic mapping "Thermometer.CurrentTemperature" is invalid and will be ignored'))
+  })
+})
@@ -0,0 +1,169 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const ZWave = require('../lib/ZWave')
+const { TestPlatform, replaceModule, uncacheModule } = require('./helpers')
+
+const fixture = {
+  nodes: [
+    {
+      id: 28,
+      manufacturer: 'AEON Labs',
+      product: 'Smart Switch 6',
+      values: [
+        { class_id: 37, index: 0, label: 'Switch', value: false },
+        { class_id: 49, index: 1, label: 'Temperature', value: 19.5, units: 'C', read_only: true }
+      ]
+    }
+  ]
+}
+
+/**
+ * The parts of the mqtt package that are used by the MQTT bridge. The clients keep what was published
+ * and subscribed to, and only connect when the tests tell them to.
+ */
+function createFakeMqtt () {
+  const mqtt = { clients: [] }
+
+  mqtt.connect = (url, options) => {
+    const client = Object.assign(new EventEmitter(), {
+      url,
+      options,
+      connected: false,
+      ended: false,
+      published: [],
+      subscribed: [],
+      publish: (topic, payload, options) => client.published.push([topic, payload, options]),
+      subscribe: (topic, options) => client.subscribed.push([topic, options]),
+      end: () => { client.ended = true }
+    })
+
+    mqtt.clients.push(client)
+
+    return client
+  }
+
+  return mqtt
+}
+
+describe('MQTT bridge', function () {
+  let restoreModule
+  let testPlatform
+
+  afterEach(function () {
+    testPlatform.stop()
+
+    restoreModule()
+
+    uncacheModule('lib/MqttBridge')
+  })
+
+  describe('connected to the broker', function () {
+    let mqtt
+    let client
+
+    beforeEach(async function () {
+      mqtt = createFakeMqtt()
+
+      uncacheModule('lib/MqttBridge')
+
+      restoreModule = replaceModule('mqtt', mqtt)
+
+      testPlatform = new TestPlatform(fixture, {
+        mqtt: { url: 'mqtt://localhost:1883', username: 'homebridge', password: 'secret', topicPrefix: 'home/zwave/' },
+        accessories: []
+      })
+
+      await testPlatform.start()
+
+      client = mqtt.clients[0]
+      client.connected = true
+      client.emit('connect')
+    })
+
+    const getPublished = () => client.published.map(([topic, payload]) => [topic, payload])
+
+    it('connects to the broker, with a will that marks the bridge as offline', function () {
+      assert.strictEqual(client.url, 'mqtt://localhost:1883')
+      assert.deepStrictEqual(client.options, {
+        username: 'homebridge',
+        password: 'secret',
+        will: { topic: 'home/zwave/status', payload: 'offline', qos: 1, retain: true }
+      })
+      assert.deepStrictEqual(client.subscribed, [['home/zwave/+/+/+/+/set', { qos: 1 }]])
+    })
+
+    it('publishes the state of the network as retained messages when it connects', function () {
+      assert.deepStrictEqual(getPublished(), [
+        ['home/zwave/status', 'online'],
+        ['home/zwave/28/health', 'alive'],
+        ['home/zwave/28/status', 'online'],
+        ['home/zwave/28/37/1/0', 'false'],
+        ['home/zwave/28/49/1/1', '19.5']
+      ])
+      assert.ok(client.published.every(([, , options]) => options.retain && options.qos === 1))
+    })
+
+    it('publishes the values and health of a node when they change', function () {
+      client.published = []
+
+      testPlatform.changeValue('28-49-1-1', 21)
+      testPlatform.backend.emit('notification', 28, ZWave.NODE_NOTIFICATION_DEAD)
+
+      assert.deepStrictEqual(getPublished(), [
+        ['home/zwave/28/49/1/1', '21'],
+        ['home/zwave/28/health', 'dead'],
+        ['home/zwave/28/status', 'offline']
+      ])
+    })
+
+    it('sets a value published to its set topic', function () {
+      client.emit('message', 'home/zwave/28/37/1/0/set', Buffer.from('true'))
+      client.emit('message', 'home/zwave/28/49/1/1/set', Buffer.from('25'))
+      client.emit('message', 'home/zwave/28/37/1/9/set', Buffer.from('true'))
+
+      assert.deepStrictEqual(testPlatform.writes, [{ nodeValueId: '28-37-1-0', value: true }])
+      assert.ok(testPlatform.log.messages.includes('MQTT value 28-49-1-1 not set as the value is read only'))
+      assert.ok(testPlatform.log.messages.includes('MQTT value 28-37-1-9 not set as the value does not exist'))
+    })
+
+    it('clears the retained values of a node that is removed from the network', function () {
+      client.published = []
+
+      testPlatform.backend.emit('node removed', 28)
+
+      assert.deepStrictEqual(getPublished(), [
+        ['home/zwave/28/health', ''],
+        ['home/zwave/28/37/1/0', ''],
+        ['home/zwave/28/49/1/1', ''],
+        ['home/zwave/28/status', 'offline']
+      ])
+    })
+
+    it('marks the bridge as offline and disconnects when Homebridge shuts down', function () {
+      client.published = []
+
+      testPlatform.api.signalShutdown()
+
+      assert.deepStrictEqual(getPublished(), [['home/zwave/status', 'offline']])
+      assert.strictEqual(client.ended, true)
+    })
+  })
+
+  describe('without the mqtt package', function () {
+    beforeEach(async function () {
+      uncacheModule('lib/MqttBridge')
+
+      restoreModule = replaceModule('mqtt', null)
+
+      testPlatform = new TestPlatform(fixture, { mqtt: { url: 'mqtt://localhost:1883' } })
+
+      await testPlatform.start()
+    })
+
+    it('tells the user to install the package', function () {
+      assert.ok(testPlatform.log.messages.includes(
+        'MQTT bridge will not be started: it requires the mqtt package, install it with "npm install mqtt"'
+      ))
+    })
+  })
+})
@@ -0,0 +1,134 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Characteristic, Service } = require('hap-nodejs')
+const NodeCache = require('../lib/NodeCache')
+const { TestPlatform, createLog, getValue } = require('./helpers')
+
+describe('NodeCache', function () {
+  let cacheDirectory
+  let cachePath
+
+  beforeEach(function () {
+    cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'homebridge-zwave-cache-'))
+    cachePath = path.join(cacheDirectory, 'homebridge-zwave', 'nodes.json')
+  })
+
+  afterEach(function () {
+    // fs.rmSync is not available on Node 12
+    (fs.rmSync || fs.rmdirSync)(cacheDirectory, { recursive: true })
+  })
+
+  it('saves the cached nodes when flushed, and loads them again', function () {
+    const nodeCache = new NodeCache(cachePath, createLog())
+
+    nodeCache.setNodeData(2, { manufacturer: 'Fibargroup', product: 'FGS212 Switch' })
+    nodeCache.setNodeValue(2, { value_id: '2-37-1-0', value: true })
+    nodeCache.setNodeValue(3, { value_id: '3-49-1-1', value: 19.5 })
+    nodeCache.removeNode(3)
+    nodeCache.flush()
+
+    const log = createLog()
+    const loadedNodeCache = new NodeCache(cachePath, log)
+
+    loadedNodeCache.load()
+
+    assert.deepStrictEqual(loadedNodeCache.getNode(2), {
+      data: { manufacturer: 'Fibargroup', product: 'FGS212 Switch' },
+      values: new Map([['2-37-1-0', { value_id: '2-37-1-0', value: true }]])
+    })
+    assert.strictEqual(loadedNodeCache.getNode(3), undefined)
+    assert.deepStrictEqual(log.messages, ['Loaded 1 node(s) from the node cache'])
+  })
+
+  it('does not save the cache when flushed if nothing has changed', function () {
+    new NodeCache(cachePath, createLog()).flush()
+
+    assert.strictEqual(fs.existsSync(cachePath), false)
+  })
+
+  it('is empty if the cache does not exist or can not be read', function () {
+    const log = createLog()
+    const nodeCache = new NodeCache(cachePath, log)
+
+    nodeCache.load()
+
+    assert.deepStrictEqual(log.messages, [])
+
+    fs.mkdirSync(path.dirname(cachePath))
+    fs.writeFileSync(cachePath, '{')
+
+    nodeCache.load()
+
+    assert.strictEqual(nodeCache.getNode(2), undefined)
+    assert.ok(log.messages[0].startsWith(`Node cache could not be loaded from ${cachePath}`))
+  })
+})
+
+describe('Last known node values', function () {
+  const fixture = {
+    nodes: [
+      {
+        id: 25,
+        manufacturer: 'Fibargroup',
+        product: 'FGS212 Switch',
+        values: [
+          { class_id: 37, index: 0, label: 'Switch', value: true }
+        ]
+      }
+    ]
+  }
+
+  const config = {
+    accessories: [
+      { zwaveNodeId: 25, displayName: 'Switch', homekitCategory: 'Switch', homekitServices: ['Switch'] }
+    ]
+  }
+
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+
+    // Homebridge shutting down saves the node cache straight away
+    testPlatform.stop(true)
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  it('caches a simulated network separately from the real network', function () {
+    const cacheDirectory = path.join(testPlatform.storagePath, 'homebridge-zwave')
+
+    assert.deepStrictEqual(fs.readdirSync(cacheDirectory), ['nodes-simulated.json'])
+  })
+
+  it('answers HomeKit with the last known values until the node is ready', async function () {
+    const cachedAccessories = testPlatform.getCachedAccessories()
+
+    // The node has not woken up since Homebridge was restarted, so it is not reported by the network
+    testPlatform = new TestPlatform({ nodes: [] }, config, testPlatform.storagePath)
+
+    await testPlatform.start(cachedAccessories)
+
+    assert.strictEqual(await getValue(testPlatform.getCharacteristic('Switch', Service.Switch, Characteristic.On)), true)
+    assert.ok(testPlatform.log.messages.includes(
+      'Switch is not yet ready, using the last known "On" characteristic value (stale ZWave node value(s): 25-37-1-0)'
+    ))
+  })
+
+  it('forgets the last known values of a node that is removed from the network', async function () {
+    testPlatform = new TestPlatform(fixture, config, testPlatform.storagePath)
+
+    await testPlatform.start()
+
+    testPlatform.backend.emit('node removed', 25)
+
+    assert.strictEqual(testPlatform.zwave.getCachedNodeData(25), undefined)
+    await assert.rejects(getValue(testPlatform.getCharacteristic('Switch', Service.Switch, Characteristic.On)), /Switch is not yet ready/)
+  })
+})
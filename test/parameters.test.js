@@ -0,0 +1,88 @@
+const assert = require('assert')
+const ZWave = require('../lib/ZWave')
+const { TestPlatform, waitFor } = require('./helpers')
+
+const fixture = {
+  nodes: [
+    {
+      id: 22,
+      manufacturer: 'Fibargroup',
+      product: 'FGMS001 Motion Sensor',
+      values: [
+        { class_id: 112, index: 1, label: 'Sensitivity', value: 15 },
+        { class_id: 112, index: 2, label: 'LED', value: 'Disabled', type: 'list', values: ['Disabled', 'Enabled'] },
+        { class_id: 112, index: 3, label: 'Blind Time', value: 5, read_only: true },
+        { class_id: 112, index: 4, label: 'Alarm Cancellation Delay', value: 30 }
+      ]
+    }
+  ]
+}
+
+const config = {
+  zwave: { writeTimeout: 0.5, writeRetries: 0 },
+  accessories: [
+    {
+      zwaveNodeId: 22,
+      displayName: 'Motion',
+      homekitCategory: 'Sensor',
+      homekitServices: ['MotionSensor'],
+      zwaveParameters: { 1: 10, 2: 1, 3: 7, 4: 30, 9: 1 }
+    }
+  ]
+}
+
+describe('ZWave parameters', function () {
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  const waitForLog = message => waitFor(() => testPlatform.log.messages.includes(message), `"${message}" to be logged`)
+
+  it('writes the parameters that differ from the config when the node is ready', async function () {
+    await waitForLog('Motion ZWave parameter 1 updated to 10')
+
+    assert.strictEqual(testPlatform.getNodeValue('22-112-1-1'), 10)
+    assert.ok(!testPlatform.writes.some(({ nodeValueId }) => nodeValueId === '22-112-1-4'))
+  })
+
+  it('writes the label of the item for a list parameter given as an index', async function () {
+    await waitForLog('Motion ZWave parameter 2 updated to Enabled')
+
+    assert.strictEqual(testPlatform.getNodeValue('22-112-1-2'), 'Enabled')
+  })
+
+  it('logs the value the node reports when a write is not confirmed', async function () {
+    testPlatform.changeValue('22-112-1-3', 6)
+
+    await waitForLog('Motion ZWave parameter 3 expected 7, but the node reported 6')
+    await waitForLog('Motion ZWave parameter 3 was not updated (expected 7, the node reports 6): Value 22-112-1-3 was not confirmed by the node after 1 attempt(s)')
+  })
+
+  it('logs the parameters the node does not support', function () {
+    assert.ok(testPlatform.log.messages.includes('Motion ZWave parameter 9 is not supported by the node'))
+  })
+
+  it('queues the parameters for a sleeping node until it wakes up', async function () {
+    await waitForLog('Motion ZWave parameter 1 updated to 10')
+
+    // The node is ready again while asleep, with the parameter having been changed on the node
+    testPlatform.backend.emit('notification', 22, ZWave.NODE_NOTIFICATION_SLEEP)
+    testPlatform.changeValue('22-112-1-1', 15)
+    testPlatform.backend.emit('node ready', 22, { manufacturer: 'Fibargroup', product: 'FGMS001 Motion Sensor' })
+
+    assert.ok(testPlatform.log.messages.includes('Motion ZWave parameter updates queued until the node wakes up'))
+
+    testPlatform.writes = []
+    testPlatform.backend.emit('notification', 22, ZWave.NODE_NOTIFICATION_AWAKE)
+
+    assert.deepStrictEqual(testPlatform.writes, [{ nodeValueId: '22-112-1-1', value: 10 }])
+  })
+})
@@ -0,0 +1,84 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, setValue, waitForValue } = require('./helpers')
+
+const fixture = require('./fixtures/network.json')
+
+describe('Platform', function () {
+  let testPlatform
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  it('reads, writes and updates accessories from the simulated network', async function () {
+    testPlatform = new TestPlatform(fixture, {
+      accessories: [
+        { zwaveNodeId: 2, displayName: 'Switch', homekitCategory: 'Switch', homekitServices: ['Switch'] },
+        { zwaveNodeId: 3, displayName: 'Sensor', homekitCategory: 'Sensor', homekitServices: ['TemperatureSensor'] }
+      ]
+    })
+
+    await testPlatform.start()
+
+    assert.deepStrictEqual(Array.from(testPlatform.api.accessories.keys()), ['Switch', 'Sensor'])
+
+    const switchOn = testPlatform.getCharacteristic('Switch', Service.Switch, Characteristic.On)
+    const temperature = testPlatform.getCharacteristic('Sensor', Service.TemperatureSensor, Characteristic.CurrentTemperature)
+
+    assert.strictEqual(await getValue(switchOn), false)
+    assert.strictEqual(await getValue(temperature), 19.5)
+
+    // The simulated node reports the new value back, confirming the write
+    await setValue(switchOn, true)
+    assert.strictEqual(await getValue(switchOn), true)
+
+    // The script in the fixture changes the temperature, and then turns the switch off
+    await waitForValue(temperature, 21)
+    await waitForValue(switchOn, false)
+    assert.strictEqual(await getValue(switchOn), false)
+  })
+
+  it('rolls back a characteristic when the node does not confirm the new value', async function () {
+    // The simulated node never reports a read only value back, so the write can not be confirmed
+    testPlatform = new TestPlatform({
+      nodes: [
+        {
+          id: 26,
+          product: 'Stuck Switch',
+          values: [{ class_id: 37, index: 0, label: 'Switch', value: false, read_only: true }]
+        }
+      ]
+    }, {
+      zwave: { writeTimeout: 0.1, writeRetries: 1 },
+      accessories: [
+        { zwaveNodeId: 26, displayName: 'Switch', homekitCategory: 'Switch', homekitServices: ['Switch'] }
+      ]
+    })
+
+    await testPlatform.start()
+
+    const switchOn = testPlatform.getCharacteristic('Switch', Service.Switch, Characteristic.On)
+    const notifiedValues = []
+
+    switchOn.updateValue(false)
+    switchOn.sendEventNotification = value => notifiedValues.push(value)
+
+    await assert.rejects(setValue(switchOn, true), /Value 26-37-1-0 was not confirmed by the node after 2 attempt\(s\)/)
+
+    assert.strictEqual(testPlatform.writes.length, 2)
+    assert.deepStrictEqual(notifiedValues, [false])
+    assert.ok(testPlatform.log.messages.includes(
+      'Switch "On" value was not updated to true: Value 26-37-1-0 was not confirmed by the node after 2 attempt(s)'
+    ))
+  })
+
+  it('is not initialized when the config is invalid', function () {
+    testPlatform = new TestPlatform(fixture, {
+      accessories: [{ zwaveNodeId: 2, displayName: 'Switch', homekitCategory: 'Switch' }]
+    })
+
+    assert.strictEqual(testPlatform.zwave, null)
+    assert.ok(testPlatform.log.messages.some(message => message.includes('will not be initialized due to a configuration error')))
+  })
+})
@@ -0,0 +1,157 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Characteristic, Service } = require('hap-nodejs')
+const { findProfile, loadProfiles } = require('../lib/profiles')
+const { TestPlatform, createLog, getValue, waitForValue } = require('./helpers')
+
+const { ChargingState, StatusLowBattery } = Characteristic
+
+describe('findProfile', function () {
+  const profiles = [
+    { name: 'Specific', manufacturerId: '0x0086', productType: ['0x0002', '0x0102'], productId: '0x0064' },
+    { name: 'Any Product', manufacturerId: '0x0086' }
+  ]
+
+  it('matches the IDs of a node regardless of their format', function () {
+    const node = { manufacturerid: '86', producttype: '0X0102', productid: '0x64' }
+
+    assert.strictEqual(findProfile(profiles, node).name, 'Specific')
+  })
+
+  it('matches any product of the manufacturer when the product is not given', function () {
+    const node = { manufacturerid: '0x0086', producttype: '0x0003', productid: '0x0064' }
+
+    assert.strictEqual(findProfile(profiles, node).name, 'Any Product')
+  })
+
+  it('does not match a node from another manufacturer', function () {
+    const node = { manufacturerid: '0x010f', producttype: '0x0002', productid: '0x0064' }
+
+    assert.strictEqual(findProfile(profiles, node), undefined)
+  })
+})
+
+describe('loadProfiles', function () {
+  let profilesPath
+
+  beforeEach(function () {
+    profilesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'homebridge-zwave-profiles-'))
+  })
+
+  afterEach(function () {
+    // fs.rmSync is not available on Node 12
+    (fs.rmSync || fs.rmdirSync)(profilesPath, { recursive: true })
+  })
+
+  it('loads the built-in profiles', function () {
+    assert.deepStrictEqual(loadProfiles([], createLog()).map(profile => profile.name), ['Aeotec MultiSensor 6'])
+  })
+
+  it('loads profiles from a directory ahead of the built-in profiles', function () {
+    fs.writeFileSync(path.join(profilesPath, 'multisensor.json'), JSON.stringify({
+      name: 'My MultiSensor 6',
+      manufacturerId: '0x0086'
+    }))
+    fs.writeFileSync(path.join(profilesPath, 'README.md'), 'Not a profile')
+
+    const profiles = loadProfiles([profilesPath], createLog())
+
+    assert.deepStrictEqual(profiles.map(profile => profile.name), ['My MultiSensor 6', 'Aeotec MultiSensor 6'])
+    assert.strictEqual(findProfile(profiles, { manufacturerid: '0x0086', producttype: '0x0002', productid: '0x0064' }).name, 'My MultiSensor 6')
+  })
+
+  it('ignores profiles that are invalid or can not be found', function () {
+    const invalidProfilePath = path.join(profilesPath, 'invalid.json')
+    const missingProfilePath = path.join(profilesPath, 'missing')
+    const log = createLog()
+
+    fs.writeFileSync(invalidProfilePath, JSON.stringify({ name: 'No Manufacturer' }))
+
+    const profiles = loadProfiles([invalidProfilePath, missingProfilePath], log)
+
+    assert.deepStrictEqual(profiles.map(profile => profile.name), ['Aeotec MultiSensor 6'])
+    assert.ok(log.messages.some(message => message.startsWith(`Profile ${invalidProfilePath} is invalid and will be ignored`)))
+    assert.ok(log.messages.some(message => message.startsWith(`Profiles could not be loaded from ${missingProfilePath}`)))
+  })
+})
+
+describe('Device profiles', function () {
+  const fixture = {
+    nodes: [
+      {
+        id: 23,
+        manufacturer: 'AEON Labs',
+        manufacturerid: '0x0086',
+        product: 'ZW100 MultiSensor 6',
+        producttype: '0x0102',
+        productid: '0x0064',
+        values: [
+          { class_id: 49, index: 1, label: 'Temperature', value: 21, units: 'C', read_only: true },
+          { class_id: 112, index: 9, label: 'Power Source', value: 'Battery power' },
+          { class_id: 112, index: 39, label: 'Low Battery', value: 30 },
+          { class_id: 128, index: 0, label: 'Battery Level', value: 25, read_only: true }
+        ]
+      },
+      {
+        id: 24,
+        manufacturer: 'Acme',
+        manufacturerid: '0x7fff',
+        product: 'Roller Shutter',
+        producttype: '0x0001',
+        productid: '0x0001',
+        values: [
+          { class_id: 38, index: 0, label: 'Level', value: 99 }
+        ]
+      }
+    ]
+  }
+
+  const config = {
+    profiles: ['acme.json'],
+    accessories: [
+      { zwaveNodeId: 23, displayName: 'MultiSensor', homekitCategory: 'Sensor', homekitServices: ['TemperatureSensor', 'Battery'] },
+      { zwaveNodeId: 24, displayName: 'Shutter', homekitCategory: 'WindowCovering', homekitServices: ['WindowCovering'] }
+    ]
+  }
+
+  let testPlatform
+
+  beforeEach(async function () {
+    // The profile is loaded from the storage path when the platform is created
+    const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'homebridge-zwave-test-'))
+
+    fs.writeFileSync(path.join(storagePath, 'acme.json'), JSON.stringify({
+      name: 'Acme Roller Shutter',
+      manufacturerId: '0x7FFF',
+      quirks: { invertPosition: true }
+    }))
+
+    testPlatform = new TestPlatform(fixture, config, storagePath)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  it('reports the battery state using the built-in profile', async function () {
+    const getCharacteristic = Characteristic => testPlatform.getCharacteristic('MultiSensor', Service.BatteryService, Characteristic)
+
+    assert.ok(testPlatform.log.messages.includes('MultiSensor is using the "Aeotec MultiSensor 6" profile'))
+    assert.strictEqual(await getValue(getCharacteristic(ChargingState)), ChargingState.NOT_CHARGING)
+    assert.strictEqual(await getValue(getCharacteristic(StatusLowBattery)), StatusLowBattery.BATTERY_LEVEL_LOW)
+
+    testPlatform.changeValue('23-112-1-9', 'USB power')
+
+    await waitForValue(getCharacteristic(ChargingState), ChargingState.CHARGING)
+    await waitForValue(getCharacteristic(StatusLowBattery), StatusLowBattery.BATTERY_LEVEL_NORMAL)
+  })
+
+  it('uses the quirks of a profile loaded from the config', async function () {
+    assert.ok(testPlatform.log.messages.includes('Shutter is using the "Acme Roller Shutter" profile'))
+    assert.strictEqual(await getValue(testPlatform.getCharacteristic('Shutter', Service.WindowCovering, Characteristic.CurrentPosition)), 0)
+  })
+})
@@ -0,0 +1,208 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const ZWave = require('../lib/ZWave')
+const { TestPlatform, getValue, waitForValue } = require('./helpers')
+
+const fixture = {
+  nodes: [
+    {
+      id: 6,
+      manufacturer: 'AEON Labs',
+      product: 'Door Window Sensor 7',
+      values: [
+        { class_id: 113, index: 6, label: 'Access Control', value: 'Door/Window is closed' },
+        { class_id: 113, index: 7, label: 'Home Security', value: 'Clear' }
+      ]
+    },
+    {
+      id: 7,
+      manufacturer: 'Fibargroup',
+      product: 'FGDW002 Door Opening Sensor 2',
+      values: [
+        { class_id: 48, index: 0, label: 'Sensor', value: false, read_only: true }
+      ]
+    },
+    {
+      id: 8,
+      manufacturer: 'Fibargroup',
+      product: 'FGFS101 Flood Sensor',
+      values: [
+        { class_id: 113, index: 5, label: 'Water', value: 'Clear' }
+      ]
+    },
+    {
+      id: 9,
+      manufacturer: 'Fibargroup',
+      product: 'FGSD002 Smoke Sensor',
+      values: [
+        { class_id: 113, index: 1, label: 'Smoke', value: 'Clear' }
+      ]
+    },
+    {
+      id: 10,
+      manufacturer: 'Popp',
+      product: 'CO Detector',
+      values: [
+        { class_id: 113, index: 2, label: 'Carbon Monoxide', value: 'Clear' }
+      ]
+    }
+  ]
+}
+
+const config = {
+  accessories: [
+    { zwaveNodeId: 6, displayName: 'Door', homekitCategory: 'Sensor', homekitServices: ['ContactSensor'] },
+    { zwaveNodeId: 7, displayName: 'Window', homekitCategory: 'Sensor', homekitServices: ['ContactSensor'] },
+    { zwaveNodeId: 8, displayName: 'Flood', homekitCategory: 'Sensor', homekitServices: ['LeakSensor'] },
+    { zwaveNodeId: 9, displayName: 'Smoke', homekitCategory: 'Sensor', homekitServices: ['SmokeSensor'] },
+    { zwaveNodeId: 10, displayName: 'CO', homekitCategory: 'Sensor', homekitServices: ['CarbonMonoxideSensor'] }
+  ]
+}
+
+describe('Sensors', function () {
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  describe('ContactSensor service', function () {
+    const { CONTACT_DETECTED, CONTACT_NOT_DETECTED } = Characteristic.ContactSensorState
+
+    it('reports the contact state from the Access Control notification', async function () {
+      const contactSensorState = testPlatform.getCharacteristic('Door', Service.ContactSensor, Characteristic.ContactSensorState)
+
+      assert.strictEqual(await getValue(contactSensorState), CONTACT_DETECTED)
+
+      testPlatform.changeValue('6-113-1-6', 'Door/Window is open')
+
+      await waitForValue(contactSensorState, CONTACT_NOT_DETECTED)
+    })
+
+    it('ignores Access Control events that are not about the contact state', async function () {
+      const contactSensorState = testPlatform.getCharacteristic('Door', Service.ContactSensor, Characteristic.ContactSensorState)
+
+      testPlatform.changeValue('6-113-1-6', 'Door/Window is open')
+      await waitForValue(contactSensorState, CONTACT_NOT_DETECTED)
+
+      testPlatform.changeValue('6-113-1-6', 'Keypad Lock Operation')
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      assert.strictEqual(contactSensorState.value, CONTACT_NOT_DETECTED)
+    })
+
+    it('reports the contact state from the binary sensor', async function () {
+      const contactSensorState = testPlatform.getCharacteristic('Window', Service.ContactSensor, Characteristic.ContactSensorState)
+
+      assert.strictEqual(await getValue(contactSensorState), CONTACT_DETECTED)
+
+      testPlatform.changeValue('7-48-1-0', true)
+
+      await waitForValue(contactSensorState, CONTACT_NOT_DETECTED)
+    })
+
+    it('reports tampering from the Home Security notification', async function () {
+      const statusTampered = testPlatform.getCharacteristic('Door', Service.ContactSensor, Characteristic.StatusTampered)
+
+      assert.strictEqual(await getValue(statusTampered), 0)
+
+      testPlatform.changeValue('6-113-1-7', 'Tampering - Cover Removed')
+
+      await waitForValue(statusTampered, 1)
+    })
+  })
+
+  describe('notification sensor services', function () {
+    it('detects a leak regardless of the case of the notification label', async function () {
+      const leakDetected = testPlatform.getCharacteristic('Flood', Service.LeakSensor, Characteristic.LeakDetected)
+
+      assert.strictEqual(await getValue(leakDetected), 0)
+
+      testPlatform.changeValue('8-113-1-5', 'Water leak detected')
+
+      await waitForValue(leakDetected, 1)
+    })
+
+    it('detects smoke', async function () {
+      const smokeDetected = testPlatform.getCharacteristic('Smoke', Service.SmokeSensor, Characteristic.SmokeDetected)
+
+      testPlatform.changeValue('9-113-1-1', 'Smoke Detected')
+
+      await waitForValue(smokeDetected, 1)
+
+      testPlatform.changeValue('9-113-1-1', 'Clear')
+
+      await waitForValue(smokeDetected, 0)
+    })
+
+    it('detects carbon monoxide', async function () {
+      const carbonMonoxideDetected = testPlatform.getCharacteristic('CO', Service.CarbonMonoxideSensor, Characteristic.CarbonMonoxideDetected)
+
+      testPlatform.changeValue('10-113-1-2', 'CARBON MONOXIDE DETECTED')
+
+      await waitForValue(carbonMonoxideDetected, 1)
+    })
+
+    it('reports a fault when the sensor needs to be replaced', async function () {
+      const statusFault = testPlatform.getCharacteristic('Smoke', Service.SmokeSensor, Characteristic.StatusFault)
+
+      assert.strictEqual(await getValue(statusFault), Characteristic.StatusFault.NO_FAULT)
+
+      testPlatform.changeValue('9-113-1-1', 'Replacement required')
+
+      await waitForValue(statusFault, Characteristic.StatusFault.GENERAL_FAULT)
+    })
+  })
+
+  describe('node health', function () {
+    let contactSensorState
+    let statusActive
+    let statusFault
+
+    beforeEach(function () {
+      contactSensorState = testPlatform.getCharacteristic('Door', Service.ContactSensor, Characteristic.ContactSensorState)
+      statusActive = testPlatform.getCharacteristic('Door', Service.ContactSensor, Characteristic.StatusActive)
+      statusFault = testPlatform.getCharacteristic('Door', Service.ContactSensor, Characteristic.StatusFault)
+    })
+
+    it('reports a dead node as inactive and faulty, and not responding', async function () {
+      testPlatform.backend.emit('notification', 6, ZWave.NODE_NOTIFICATION_DEAD)
+
+      assert.strictEqual(statusActive.value, false)
+      assert.strictEqual(statusFault.value, Characteristic.StatusFault.GENERAL_FAULT)
+      await assert.rejects(getValue(contactSensorState), /Door is not responding/)
+    })
+
+    it('recovers when a dead node reports a value', async function () {
+      testPlatform.backend.emit('notification', 6, ZWave.NODE_NOTIFICATION_DEAD)
+      testPlatform.changeValue('6-113-1-6', 'Door/Window is open')
+
+      assert.strictEqual(testPlatform.zwave.getNodeHealth(6), ZWave.NODE_HEALTH_ALIVE)
+      assert.strictEqual(statusActive.value, true)
+      assert.strictEqual(statusFault.value, Characteristic.StatusFault.NO_FAULT)
+      assert.strictEqual(await getValue(contactSensorState), Characteristic.ContactSensorState.CONTACT_NOT_DETECTED)
+    })
+
+    it('reports an unresponsive node as faulty, but still active', function () {
+      testPlatform.backend.emit('notification', 6, ZWave.NODE_NOTIFICATION_TIMEOUT)
+
+      assert.strictEqual(testPlatform.zwave.getNodeHealth(6), ZWave.NODE_HEALTH_UNRESPONSIVE)
+      assert.strictEqual(statusActive.value, true)
+      assert.strictEqual(statusFault.value, Characteristic.StatusFault.GENERAL_FAULT)
+    })
+
+    it('does not report a sleeping node as unresponsive when a message times out', function () {
+      testPlatform.backend.emit('notification', 6, ZWave.NODE_NOTIFICATION_SLEEP)
+      testPlatform.backend.emit('notification', 6, ZWave.NODE_NOTIFICATION_TIMEOUT)
+
+      assert.strictEqual(testPlatform.zwave.getNodeHealth(6), ZWave.NODE_HEALTH_ASLEEP)
+      assert.strictEqual(statusFault.value, Characteristic.StatusFault.NO_FAULT)
+    })
+  })
+})
@@ -0,0 +1,52 @@
+const assert = require('assert')
+const SubscriberMap = require('../lib/SubscriberMap')
+
+describe('SubscriberMap', function () {
+  let subscriberMap
+  let calls
+
+  beforeEach(function () {
+    subscriberMap = new SubscriberMap()
+    calls = []
+  })
+
+  it('only notifies the subscribers of the key', function () {
+    subscriberMap.subscribe('node.value.updated:2-37-1-0', value => calls.push(['2-37-1-0', value]))
+    subscriberMap.subscribe('node.value.updated:3-37-1-0', value => calls.push(['3-37-1-0', value]))
+
+    subscriberMap.notify('node.value.updated:2-37-1-0', true)
+    subscriberMap.notify('node.value.updated:4-37-1-0', true)
+
+    assert.deepStrictEqual(calls, [['2-37-1-0', true]])
+  })
+
+  it('notifies a handler for each time it has been subscribed, until it is unsubscribed', function () {
+    const handler = value => calls.push(value)
+    const unsubscribe = subscriberMap.subscribe('key', handler)
+
+    subscriberMap.subscribe('key', handler)
+    subscriberMap.notify('key', 1)
+
+    unsubscribe()
+    unsubscribe()
+    subscriberMap.notify('key', 2)
+
+    assert.deepStrictEqual(calls, [1, 1, 2])
+  })
+
+  it('does not notify subscribers that are added or removed while notifying', function () {
+    let unsubscribeSecond = null
+
+    subscriberMap.subscribe('key', () => {
+      calls.push('first')
+
+      unsubscribeSecond()
+      subscriberMap.subscribe('key', () => calls.push('added'))
+    })
+    unsubscribeSecond = subscriberMap.subscribe('key', () => calls.push('second'))
+
+    subscriberMap.notify('key')
+
+    assert.deepStrictEqual(calls, ['first'])
+  })
+})
@@ -0,0 +1,139 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, setValue, waitForValue } = require('./helpers')
+
+const { CurrentHeatingCoolingState, TargetHeatingCoolingState, TemperatureDisplayUnits } = Characteristic
+
+const fixture = {
+  nodes: [
+    {
+      id: 12,
+      manufacturer: 'Honeywell',
+      product: 'T6 Pro',
+      values: [
+        { class_id: 49, index: 1, label: 'Temperature', value: 70, units: 'F', read_only: true },
+        { class_id: 64, index: 0, label: 'Mode', value: 'Heat', values: ['Off', 'Heat', 'Cool'] },
+        { class_id: 66, index: 0, label: 'Operating State', value: 'Heating', read_only: true },
+        { class_id: 67, index: 1, label: 'Heating 1', value: 68, units: 'F', min: 40, max: 90 },
+        { class_id: 67, index: 2, label: 'Cooling 1', value: 77, units: 'F', min: 40, max: 90 }
+      ]
+    },
+    {
+      id: 13,
+      manufacturer: 'Eurotronic',
+      product: 'Spirit Z-Wave Plus',
+      values: [
+        { class_id: 67, index: 1, label: 'Heating 1', value: 21, units: 'C', min: 0, max: 0 }
+      ]
+    }
+  ]
+}
+
+const config = {
+  accessories: [
+    { zwaveNodeId: 12, displayName: 'Thermostat', homekitCategory: 'Thermostat', homekitServices: ['Thermostat'] },
+    { zwaveNodeId: 13, displayName: 'Radiator', homekitCategory: 'Thermostat', homekitServices: ['Thermostat'] }
+  ]
+}
+
+describe('Thermostat', function () {
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  describe('thermostat with modes', function () {
+    const getCharacteristic = Characteristic => testPlatform.getCharacteristic('Thermostat', Service.Thermostat, Characteristic)
+
+    it('converts the temperatures of a fahrenheit thermostat to celsius', async function () {
+      assert.strictEqual(await getValue(getCharacteristic(Characteristic.CurrentTemperature)), 21.1)
+      assert.strictEqual(await getValue(getCharacteristic(Characteristic.TargetTemperature)), 20)
+      assert.strictEqual(await getValue(getCharacteristic(TemperatureDisplayUnits)), TemperatureDisplayUnits.FAHRENHEIT)
+    })
+
+    it('writes the target temperature in the units of the thermostat', async function () {
+      await setValue(getCharacteristic(Characteristic.TargetTemperature), 22)
+
+      assert.strictEqual(testPlatform.getNodeValue('12-67-1-1'), 71.6)
+    })
+
+    it('limits the target temperature to the range reported by the setpoint', function () {
+      const { minValue, maxValue } = getCharacteristic(Characteristic.TargetTemperature).props
+
+      assert.strictEqual(minValue, 4.4)
+      assert.strictEqual(maxValue, 32.2)
+    })
+
+    it('only allows the modes the thermostat supports', function () {
+      assert.deepStrictEqual(getCharacteristic(TargetHeatingCoolingState).props.validValues, [
+        TargetHeatingCoolingState.OFF,
+        TargetHeatingCoolingState.HEAT,
+        TargetHeatingCoolingState.COOL
+      ])
+    })
+
+    it('uses the setpoint for the current mode', async function () {
+      const targetTemperature = getCharacteristic(Characteristic.TargetTemperature)
+
+      await setValue(getCharacteristic(TargetHeatingCoolingState), TargetHeatingCoolingState.COOL)
+
+      assert.strictEqual(testPlatform.getNodeValue('12-64-1-0'), 'Cool')
+      await waitForValue(targetTemperature, 25)
+
+      await setValue(targetTemperature, 24)
+
+      assert.strictEqual(testPlatform.getNodeValue('12-67-1-2'), 75.2)
+      assert.strictEqual(testPlatform.getNodeValue('12-67-1-1'), 68)
+    })
+
+    it('reports the operating state of the thermostat', async function () {
+      const currentHeatingCoolingState = getCharacteristic(CurrentHeatingCoolingState)
+
+      assert.strictEqual(await getValue(currentHeatingCoolingState), CurrentHeatingCoolingState.HEAT)
+
+      testPlatform.changeValue('12-66-1-0', 'Cooling')
+
+      await waitForValue(currentHeatingCoolingState, CurrentHeatingCoolingState.COOL)
+    })
+  })
+
+  describe('radiator valve without a mode or temperature sensor', function () {
+    const getCharacteristic = Characteristic => testPlatform.getCharacteristic('Radiator', Service.Thermostat, Characteristic)
+
+    it('reports the setpoint as the current temperature', async function () {
+      assert.strictEqual(await getValue(getCharacteristic(Characteristic.CurrentTemperature)), 21)
+
+      testPlatform.changeValue('13-67-1-1', 5)
+
+      await waitForValue(getCharacteristic(Characteristic.CurrentTemperature), 5)
+    })
+
+    it('allows frost protection temperatures when the setpoint does not report its range', async function () {
+      const targetTemperature = getCharacteristic(Characteristic.TargetTemperature)
+
+      assert.strictEqual(targetTemperature.props.minValue, 4)
+      assert.strictEqual(targetTemperature.props.maxValue, 38)
+
+      await setValue(targetTemperature, 4)
+
+      assert.strictEqual(testPlatform.getNodeValue('13-67-1-1'), 4)
+    })
+
+    it('is always heating', async function () {
+      const targetHeatingCoolingState = getCharacteristic(TargetHeatingCoolingState)
+
+      assert.deepStrictEqual(targetHeatingCoolingState.props.validValues, [TargetHeatingCoolingState.HEAT])
+      assert.strictEqual(await getValue(getCharacteristic(CurrentHeatingCoolingState)), CurrentHeatingCoolingState.HEAT)
+
+      // There is no mode to write
+      await setValue(targetHeatingCoolingState, TargetHeatingCoolingState.HEAT)
+    })
+  })
+})
@@ -0,0 +1,55 @@
+const assert = require('assert')
+const { makeValueTransform } = require('../lib/transform')
+
+describe('makeValueTransform', function () {
+  it('passes values through without a transform', function () {
+    const { read, write } = makeValueTransform()
+
+    assert.strictEqual(read('Heat'), 'Heat')
+    assert.strictEqual(write(21), 21)
+  })
+
+  it('maps node values to characteristic values and back', function () {
+    const { read, write } = makeValueTransform({ map: { Off: 0, Heat: 1, 255: 2 } })
+
+    assert.strictEqual(read('Heat'), 1)
+    assert.strictEqual(write(0), 'Off')
+    assert.strictEqual(write(2), 255)
+  })
+
+  it('scales and offsets numbers, in reverse when writing', function () {
+    const { read, write } = makeValueTransform({ scale: 10, offset: 5 })
+
+    assert.strictEqual(read(2), 25)
+    assert.strictEqual(write(25), 2)
+  })
+
+  it('writes a scaled number back as a string when the node reports strings', function () {
+    const { read, write } = makeValueTransform({ scale: 0.1 })
+
+    assert.strictEqual(read('215'), 21.5)
+    assert.strictEqual(write(21.5), '215')
+  })
+
+  it('compares the value to a threshold, which is ignored when writing', function () {
+    const { read, write } = makeValueTransform({ threshold: 10 })
+
+    assert.strictEqual(read(11), true)
+    assert.strictEqual(read(10), false)
+    assert.strictEqual(write(true), true)
+  })
+
+  it('checks whether the value contains a string', function () {
+    const { read } = makeValueTransform({ contains: 'detected' })
+
+    assert.strictEqual(read('Motion detected'), true)
+    assert.strictEqual(read('Clear'), false)
+  })
+
+  it('inverts the value when reading and writing', function () {
+    const { read, write } = makeValueTransform({ threshold: 0, invert: true })
+
+    assert.strictEqual(read(0), true)
+    assert.strictEqual(write(false), true)
+  })
+})
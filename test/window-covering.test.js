@@ -0,0 +1,118 @@
+const assert = require('assert')
+const { Characteristic, Service } = require('hap-nodejs')
+const { TestPlatform, getValue, setValue, waitFor, waitForValue } = require('./helpers')
+
+const { PositionState } = Characteristic
+
+const fixture = {
+  nodes: [14, 15].map(id => ({
+    id,
+    manufacturer: 'Fibargroup',
+    product: 'FGR222 Roller Shutter 2',
+    values: [
+      { class_id: 38, index: 0, label: 'Level', value: 0 }
+    ]
+  })).concat({
+    id: 16,
+    manufacturer: 'Qubino',
+    product: 'Flush Shutter',
+    values: [
+      { class_id: 38, index: 0, label: 'Level', value: 99 }
+    ]
+  })
+}
+
+const config = {
+  accessories: [
+    { zwaveNodeId: 14, displayName: 'Blind', homekitCategory: 'WindowCovering', homekitServices: ['WindowCovering'] },
+    { zwaveNodeId: 15, displayName: 'Other Blind', homekitCategory: 'WindowCovering', homekitServices: ['WindowCovering'] },
+    { zwaveNodeId: 16, displayName: 'Shutter', homekitCategory: 'WindowCovering', homekitServices: ['WindowCovering'], invertPosition: true }
+  ]
+}
+
+describe('WindowCovering', function () {
+  let testPlatform
+
+  beforeEach(async function () {
+    testPlatform = new TestPlatform(fixture, config)
+
+    await testPlatform.start()
+  })
+
+  afterEach(function () {
+    testPlatform.stop()
+  })
+
+  const getCharacteristic = (accessoryName, Characteristic) => {
+    return testPlatform.getCharacteristic(accessoryName, Service.WindowCovering, Characteristic)
+  }
+
+  it('moves the window covering to the target position', async function () {
+    const currentPosition = getCharacteristic('Blind', Characteristic.CurrentPosition)
+    const positionState = getCharacteristic('Blind', PositionState)
+
+    assert.strictEqual(await getValue(currentPosition), 0)
+    assert.strictEqual(await getValue(positionState), PositionState.STOPPED)
+
+    await setValue(getCharacteristic('Blind', Characteristic.TargetPosition), 50)
+
+    // The write is not confirmed, as the node only reports the new level once it has stopped moving
+    await waitForValue(currentPosition, 50)
+    assert.strictEqual(testPlatform.getNodeValue('14-38-1-0'), 50)
+    assert.strictEqual(positionState.value, PositionState.INCREASING)
+  })
+
+  it('holds the window covering at its current position', async function () {
+    const targetPosition = getCharacteristic('Blind', Characteristic.TargetPosition)
+
+    await setValue(targetPosition, 80)
+    testPlatform.changeValue('14-38-1-0', 30)
+
+    await setValue(getCharacteristic('Blind', Characteristic.HoldPosition), true)
+
+    assert.deepStrictEqual(testPlatform.writes, [
+      { nodeValueId: '14-38-1-0', value: 80 },
+      { nodeValueId: '14-38-1-0', value: 30 }
+    ])
+    assert.strictEqual(targetPosition.value, 30)
+  })
+
+  it('does nothing when the hold position is released', async function () {
+    await setValue(getCharacteristic('Blind', Characteristic.HoldPosition), false)
+
+    assert.deepStrictEqual(testPlatform.writes, [])
+  })
+
+  it('inverts the position when configured to', async function () {
+    const targetPosition = getCharacteristic('Shutter', Characteristic.TargetPosition)
+
+    assert.strictEqual(await getValue(getCharacteristic('Shutter', Characteristic.CurrentPosition)), 0)
+
+    await setValue(targetPosition, 100)
+
+    await waitFor(() => testPlatform.getNodeValue('16-38-1-0') === 0, 'the level to be 0')
+  })
+
+  it('is stopped once the position reports stop, unless it has been removed', async function () {
+    const positionState = getCharacteristic('Blind', PositionState)
+    const removedPositionState = getCharacteristic('Other Blind', PositionState)
+
+    testPlatform.changeValue('14-38-1-0', 20)
+    testPlatform.changeValue('15-38-1-0', 20)
+
+    assert.strictEqual(positionState.value, PositionState.INCREASING)
+    assert.strictEqual(removedPositionState.value, PositionState.INCREASING)
+
+    // The accessory for the other blind is removed while it is settling
+    testPlatform.platform._accessories.forEach(accessoryManager => {
+      if (accessoryManager.getAccessory().displayName === 'Other Blind') {
+        accessoryManager.destroy()
+      }
+    })
+
+    await waitForValue(positionState, PositionState.STOPPED)
+
+    assert.strictEqual(getCharacteristic('Blind', Characteristic.TargetPosition).value, 20)
+    assert.strictEqual(removedPositionState.value, PositionState.INCREASING)
+  })
+})
@@ -0,0 +1,322 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const ZWave = require('../lib/ZWave')
+const { createLog } = require('./helpers')
+
+/**
+ * A backend that only reports what the tests tell it to, and keeps what it was asked to do
+ */
+class FakeBackend extends EventEmitter {
+  constructor () {
+    super()
+
+    this.connections = 0
+    this.disconnections = 0
+    this.writes = []
+  }
+
+  connect () {
+    this.connections++
+  }
+
+  disconnect () {
+    this.disconnections++
+  }
+
+  setValue (nodeId, commandClass, instance, index, value) {
+    this.writes.push({ nodeValueId: `${nodeId}-${commandClass}-${instance}-${index}`, value })
+  }
+
+  /**
+   * Report a node as the backend does when the network is scanned
+   *
+   * @param {number} nodeId
+   * @param {Object[]} values
+   */
+  addNode (nodeId, values) {
+    this.emit('node added', nodeId)
+
+    values.forEach(value => {
+      this.emit('value added', nodeId, value.class_id, Object.assign({
+        value_id: `${nodeId}-${value.class_id}-1-${value.index}`,
+        instance: 1,
+        label: ''
+      }, value))
+    })
+
+    this.emit('node ready', nodeId, { manufacturer: 'Fibargroup', product: 'FGS212 Switch' })
+  }
+
+  /**
+   * Report a node value changing
+   *
+   * @param {string} nodeValueId
+   * @param {*} value
+   */
+  changeValue (nodeValueId, value) {
+    const [nodeId, commandClass, instance, index] = nodeValueId.split('-').map(Number)
+
+    this.emit('value changed', nodeId, commandClass, { value_id: nodeValueId, class_id: commandClass, instance, index, value })
+  }
+}
+
+/**
+ * Replace the timers used by ZWave, so that the timers can be run without waiting for them
+ *
+ * @returns {{timers: Object[], restore: Function}}
+ */
+function useFakeTimers () {
+  const { setTimeout, clearTimeout } = global
+  const timers = []
+
+  global.setTimeout = (fn, delay) => {
+    const timer = { fn, delay, cleared: false }
+
+    timers.push(timer)
+
+    return timer
+  }
+
+  global.clearTimeout = timer => {
+    if (timer) {
+      timer.cleared = true
+    }
+  }
+
+  return {
+    timers,
+    restore: () => Object.assign(global, { setTimeout, clearTimeout })
+  }
+}
+
+describe('ZWave', function () {
+  let backend
+  let zwave
+
+  /**
+   * Create a network with a switch (node 2) and a thermostat (node 3) that has been scanned
+   *
+   * @param {{writeTimeout: number, writeRetries: number}} options
+   */
+  const createZWave = options => {
+    backend = new FakeBackend()
+    zwave = new ZWave(backend, createLog(), null, options)
+
+    zwave.init(() => {})
+
+    backend.emit('driver ready', 1)
+    backend.addNode(2, [{ class_id: 37, index: 0, value: false }])
+    backend.addNode(3, [{ class_id: 67, index: 1, value: 20 }])
+    backend.emit('scan complete')
+  }
+
+  /**
+   * Update a node value, waiting for the node to confirm it
+   *
+   * @param   {string} nodeValueId
+   * @param   {*} value
+   * @returns {Promise}
+   */
+  const updateNodeValue = (nodeValueId, value) => new Promise((resolve, reject) => {
+    zwave.updateNodeValueByIdWithConfirmation(nodeValueId, value, err => err ? reject(err) : resolve())
+  })
+
+  describe('write confirmation', function () {
+    beforeEach(function () {
+      createZWave({ writeTimeout: 20, writeRetries: 1 })
+    })
+
+    afterEach(function () {
+      // Settle any write that is still waiting to be confirmed, so that its timer does not keep running
+      backend.emit('driver failed')
+
+      clearTimeout(zwave._reconnectTimer)
+    })
+
+    it('is confirmed once the node reports the new value', async function () {
+      const write = updateNodeValue('2-37-1-0', true)
+
+      backend.changeValue('2-37-1-0', true)
+
+      await write
+      assert.deepStrictEqual(backend.writes, [{ nodeValueId: '2-37-1-0', value: true }])
+    })
+
+    it('is confirmed by a number the node has rounded', async function () {
+      const write = updateNodeValue('3-67-1-1', 21.3)
+
+      backend.changeValue('3-67-1-1', '21.5')
+
+      await write
+    })
+
+    it('is not confirmed by a number outside of the tolerance', async function () {
+      const write = updateNodeValue('3-67-1-1', 21.3)
+
+      backend.changeValue('3-67-1-1', 22)
+
+      await assert.rejects(write, /Value 3-67-1-1 was not confirmed by the node after 2 attempt\(s\)/)
+    })
+
+    it('writes the value again until the retries have run out', async function () {
+      await assert.rejects(updateNodeValue('2-37-1-0', true), /not confirmed/)
+
+      assert.deepStrictEqual(backend.writes, [
+        { nodeValueId: '2-37-1-0', value: true },
+        { nodeValueId: '2-37-1-0', value: true }
+      ])
+    })
+
+    it('coalesces writes to a value that is waiting to be confirmed', async function () {
+      const writes = [
+        updateNodeValue('3-67-1-1', 21),
+        updateNodeValue('3-67-1-1', 22),
+        updateNodeValue('3-67-1-1', 23)
+      ]
+
+      // Only the latest value is written, once the value being written has been confirmed
+      backend.changeValue('3-67-1-1', 21)
+      backend.changeValue('3-67-1-1', 23)
+
+      await Promise.all(writes)
+      assert.deepStrictEqual(backend.writes, [
+        { nodeValueId: '3-67-1-1', value: 21 },
+        { nodeValueId: '3-67-1-1', value: 23 }
+      ])
+    })
+
+    it('does not wait for a node that already has the value, or is asleep', async function () {
+      await updateNodeValue('2-37-1-0', false)
+
+      backend.emit('notification', 3, ZWave.NODE_NOTIFICATION_SLEEP)
+
+      await updateNodeValue('3-67-1-1', 18)
+
+      assert.deepStrictEqual(backend.writes, [
+        { nodeValueId: '2-37-1-0', value: false },
+        { nodeValueId: '3-67-1-1', value: 18 }
+      ])
+    })
+
+    it('fails the writes waiting to be confirmed when the driver fails', async function () {
+      const write = updateNodeValue('2-37-1-0', true)
+
+      backend.emit('driver failed')
+
+      await assert.rejects(write, /Value 2-37-1-0 was not confirmed as the ZWave driver failed/)
+    })
+
+    it('fails a write to a node that is not in the network', async function () {
+      await assert.rejects(updateNodeValue('99-37-1-0', true), /Value 99-37-1-0 can not be updated as the node is not in the network/)
+
+      assert.deepStrictEqual(backend.writes, [])
+    })
+  })
+
+  describe('reconnecting', function () {
+    let fakeTimers
+
+    beforeEach(function () {
+      fakeTimers = useFakeTimers()
+
+      createZWave()
+    })
+
+    afterEach(function () {
+      fakeTimers.restore()
+    })
+
+    /**
+     * Fail the driver, and then run the reconnect timer
+     *
+     * @returns {number} the delay before reconnecting
+     */
+    const failAndReconnect = () => {
+      backend.emit('driver failed')
+
+      const reconnectTimer = fakeTimers.timers.filter(timer => !timer.cleared).pop()
+
+      reconnectTimer.cleared = true
+      reconnectTimer.fn()
+
+      return reconnectTimer.delay
+    }
+
+    it('reconnects with a delay that doubles after each failure, up to the maximum', function () {
+      const reconnectDelays = []
+
+      zwave.onDriverFailed(reconnectDelay => reconnectDelays.push(reconnectDelay))
+
+      const timerDelays = Array.from({ length: 8 }, failAndReconnect)
+
+      assert.deepStrictEqual(reconnectDelays, [5000, 10000, 20000, 40000, 80000, 160000, 300000, 300000])
+      assert.deepStrictEqual(timerDelays, reconnectDelays)
+      assert.strictEqual(backend.disconnections, 8)
+      assert.strictEqual(backend.connections, 9)
+      assert.strictEqual(zwave.getDriverState(), ZWave.DRIVER_STATE_CONNECTING)
+    })
+
+    it('resets the delay once the driver is ready', function () {
+      failAndReconnect()
+      failAndReconnect()
+
+      backend.emit('driver ready', 1)
+
+      assert.strictEqual(zwave.getDriverState(), ZWave.DRIVER_STATE_READY)
+      assert.strictEqual(failAndReconnect(), 5000)
+    })
+
+    it('only reconnects once when the driver reports the same failure again', function () {
+      backend.emit('driver failed')
+      backend.emit('driver failed')
+
+      assert.strictEqual(fakeTimers.timers.filter(timer => !timer.cleared).length, 1)
+      assert.strictEqual(zwave.getDriverState(), ZWave.DRIVER_STATE_FAILED)
+    })
+
+    it('discards the nodes until the network has been scanned again', function () {
+      backend.emit('driver failed')
+
+      assert.deepStrictEqual(zwave.getNodes(), [])
+    })
+  })
+
+  describe('events for nodes that are not in the network', function () {
+    beforeEach(function () {
+      createZWave()
+    })
+
+    it('are ignored', function () {
+      const events = []
+
+      zwave.onAnyNodeValueChanged(nodeValueId => events.push(nodeValueId))
+      zwave.onAnyNodeReady(node => events.push(node.id))
+      zwave.onAnyNodeHealthChanged(nodeId => events.push(nodeId))
+      zwave.onNodeSceneActivated(99, sceneId => events.push(sceneId))
+
+      backend.changeValue('99-37-1-0', true)
+      backend.emit('value added', 99, 37, { value_id: '99-37-1-0', class_id: 37, instance: 1, index: 0, value: true })
+      backend.emit('value removed', 99, 37, 1, 0)
+      backend.emit('notification', 99, ZWave.NODE_NOTIFICATION_DEAD)
+      backend.emit('scene event', 99, 1)
+      backend.emit('node ready', 99, { manufacturer: '', product: '' })
+
+      assert.deepStrictEqual(events, [])
+      assert.strictEqual(zwave.getNode(99), undefined)
+      assert.strictEqual(zwave.getNodeHealth(99), undefined)
+      assert.strictEqual(zwave.findNodeValue(99, { class_id: 37, index: 0 }), undefined)
+    })
+
+    it('are ignored once the node has been removed', function () {
+      const readyNodeIds = []
+
+      zwave.onAnyNodeReady(node => readyNodeIds.push(node.id))
+
+      backend.emit('node removed', 2)
+      backend.emit('node ready', 2, { manufacturer: 'Fibargroup', product: 'FGS212 Switch' })
+
+      assert.deepStrictEqual(readyNodeIds, [])
+      assert.strictEqual(zwave.getNode(2), undefined)
+    })
+  })
+})